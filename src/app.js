@@ -11,9 +11,19 @@ const http = require('http'); // [新增] 引入 http 模块
 const { Server } = require('socket.io'); // [新增] 引入 Socket.IO
 const config = require('./config');
 const createRoomRouter = require('./routes/roomRoutes');
+const createPlaylistRouter = require('./routes/playlistRoutes');
+const createSubtitleRouter = require('./routes/subtitleRoutes');
+const createMessageRouter = require('./routes/messageRoutes');
+const createDanmakuRouter = require('./routes/danmakuRoutes');
+const createBanRouter = require('./routes/banRoutes');
+const createMuteRouter = require('./routes/muteRoutes');
+const createInviteRouter = require('./routes/inviteRoutes');
+const createJoinRequestRouter = require('./routes/joinRequestRoutes');
 const requestLogger = require('./middlewares/requestLogger');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
 const ChatGateway = require('./gateways/ChatGateway'); // [新增] 引入聊天网关
+const SyncGateway = require('./gateways/SyncGateway');
+const LobbyGateway = require('./gateways/LobbyGateway');
 
 /**
  * 创建并配置Express应用实例
@@ -88,6 +98,54 @@ const createApp = () => {
         });
     });
 
+    /**
+     * 播放列表路由
+     * 挂载到 /api/rooms/:roomId/playlist 路径
+     */
+    app.use('/api/rooms/:roomId/playlist', createPlaylistRouter());
+
+    /**
+     * 字幕路由
+     * 挂载到 /api/rooms/:roomId/subtitles 路径
+     */
+    app.use('/api/rooms/:roomId/subtitles', createSubtitleRouter());
+
+    /**
+     * 聊天记录路由
+     * 挂载到 /api/rooms/:roomId/messages 路径
+     */
+    app.use('/api/rooms/:roomId/messages', createMessageRouter());
+
+    /**
+     * 弹幕路由
+     * 挂载到 /api/rooms/:roomId/danmaku 路径
+     */
+    app.use('/api/rooms/:roomId/danmaku', createDanmakuRouter());
+
+    /**
+     * 黑名单路由
+     * 挂载到 /api/rooms/:roomId/bans 路径
+     */
+    app.use('/api/rooms/:roomId/bans', createBanRouter());
+
+    /**
+     * 邀请路由
+     * 挂载到 /api/rooms/:roomId/invites 路径
+     */
+    app.use('/api/rooms/:roomId/invites', createInviteRouter());
+
+    /**
+     * 入场申请路由
+     * 挂载到 /api/rooms/:roomId/join-requests 路径
+     */
+    app.use('/api/rooms/:roomId/join-requests', createJoinRequestRouter());
+
+    /**
+     * 禁言路由
+     * 挂载到 /api/rooms/:roomId/participants/:participantId/mute 路径
+     */
+    app.use('/api/rooms/:roomId/participants/:participantId/mute', createMuteRouter());
+
     /**
      * 房间管理路由
      * 挂载到 /api/rooms 路径
@@ -134,6 +192,12 @@ const startServer = () => {
     // 注意：你需要确保 ./gateways/ChatGateway.js 文件已存在
     new ChatGateway(io);
 
+    // 初始化同步网关 (播放控制与 Sync_Event 广播)
+    new SyncGateway(io);
+
+    // 初始化等候室网关 (入场申请者等待审批结果)
+    new LobbyGateway(io);
+
     // [修改] 4. 使用 httpServer.listen 启动，而不是 app.listen
     httpServer.listen(port, () => {
         console.log('================================================');
@@ -142,6 +206,8 @@ const startServer = () => {
         console.log(`  服务地址: http://${host}:${port}`);
         console.log(`  API地址:  http://${host}:${port}/api`);
         console.log(`  Socket地址: http://${host}:${port}/chat`); // [新增]
+        console.log(`  同步地址: http://${host}:${port}/sync`);
+        console.log(`  等候室:   http://${host}:${port}/lobby`);
         console.log(`  健康检查: http://${host}:${port}/health`);
         console.log('================================================');
         console.log(`  启动时间: ${new Date().toISOString()}`);
@@ -4,6 +4,9 @@
  * @module config
  */
 
+const path = require('path');
+const crypto = require('crypto');
+
 const config = {
   /**
    * 服务器配置
@@ -33,7 +36,254 @@ const config = {
     // 公告最大长度
     announcementMaxLength: 500,
     // 房间号长度
-    roomIdLength: 6
+    roomIdLength: 6,
+    // 默认同步误差阈值(秒)，观众上报的进度偏差超过该值时强制校准
+    defaultDriftThreshold: 1,
+    // 同步误差阈值最小值(秒)
+    minDriftThreshold: 0.2,
+    // 同步误差阈值最大值(秒)
+    maxDriftThreshold: 10,
+    // 默认缓冲等待超时(秒)，超时后不再等待仍在缓冲的成员，直接恢复播放
+    defaultBufferingTimeout: 15,
+    // 缓冲等待超时最小值(秒)
+    minBufferingTimeout: 3,
+    // 缓冲等待超时最大值(秒)
+    maxBufferingTimeout: 120,
+    // 默认房主继任策略（promote/close）
+    defaultSuccessionPolicy: 'promote',
+    // 创建者离线超过该时长(秒)后按继任策略处理
+    creatorOfflineGracePeriod: 120
+  },
+
+  /**
+   * 片源配置
+   * 定义外部视频链接的格式约束与可达性探测参数
+   */
+  video: {
+    // 链接最大长度
+    sourceMaxLength: 2048,
+    // 允许的协议
+    allowedProtocols: ['http:', 'https:'],
+    // 允许的文件扩展名
+    allowedExtensions: ['.mp4', '.webm', '.ogg', '.ogv', '.mov', '.mkv', '.m3u8', '.mpd'],
+    // 允许的MIME类型（以 / 结尾表示前缀匹配）
+    allowedMimeTypes: [
+      'video/',
+      'application/vnd.apple.mpegurl',
+      'application/x-mpegurl',
+      'application/dash+xml'
+    ],
+    // 可达性探测超时时间(毫秒)
+    probeTimeout: 5000,
+    // 允许上报的最大片源时长(秒)
+    maxDuration: 24 * 3600
+  },
+
+  /**
+   * 字幕配置
+   */
+  subtitle: {
+    // 字幕文件存储目录
+    storageDir: process.env.SUBTITLE_DIR || path.join(__dirname, '../../uploads/subtitles'),
+    // 上传文件大小上限(字节)
+    maxFileSize: 2 * 1024 * 1024,
+    // 允许上传的扩展名
+    allowedExtensions: ['.srt', '.ass', '.ssa', '.vtt'],
+    // 每个房间的轨道数量上限
+    maxTracks: 10,
+    // 语言代码最大长度
+    languageMaxLength: 20,
+    // 显示名称最大长度
+    labelMaxLength: 50,
+    // 字幕时间偏移范围(秒)
+    maxOffset: 600
+  },
+
+  /**
+   * 播放列表配置
+   */
+  playlist: {
+    // 待播队列最大长度
+    maxItems: 50,
+    // 标题最大长度
+    titleMaxLength: 100
+  },
+
+  /**
+   * 同步配置
+   * 定义客户端时钟偏移估算（NTP式 ping/pong）相关参数
+   */
+  sync: {
+    // 周期性时钟探测间隔(毫秒)
+    pingInterval: 10000,
+    // 单次探测等待客户端响应的超时时间(毫秒)
+    pingTimeout: 3000,
+    // 加入房间后连续探测的次数，用于快速得到初始估算
+    pingBurstCount: 5,
+    // 每个连接保留的样本数量
+    clockSampleSize: 8
+  },
+
+  /**
+   * 聊天配置
+   */
+  chat: {
+    // 每个房间保留的历史消息条数，超出后丢弃最早的消息
+    historySize: 200,
+    // 加入房间时下发的最近消息条数
+    joinHistoryCount: 50,
+    // 分页查询默认条数
+    defaultPageSize: 20,
+    // 分页查询最大条数
+    maxPageSize: 100,
+    // 慢速模式默认发言间隔(秒)
+    defaultSlowModeInterval: 10,
+    // 慢速模式发言间隔最小值(秒)
+    minSlowModeInterval: 1,
+    // 慢速模式发言间隔最大值(秒)
+    maxSlowModeInterval: 600,
+    // 发言频率限制（令牌桶）
+    rateLimit: {
+      // 单个成员允许的突发条数
+      participantBurst: 5,
+      // 单个成员每秒恢复的条数
+      participantRefillPerSecond: 1,
+      // 整个房间允许的突发条数
+      roomBurst: 30,
+      // 整个房间每秒恢复的条数
+      roomRefillPerSecond: 10,
+      // 重复消息检测窗口(毫秒)
+      duplicateWindow: 10000,
+      // 窗口内允许发送相同内容的最大次数
+      maxDuplicates: 2,
+      // 违规计数窗口(毫秒)
+      offenceWindow: 60000,
+      // 窗口内违规达到该次数后自动禁言
+      offenceThreshold: 5,
+      // 自动禁言时长(毫秒)
+      autoMuteDuration: 60000
+    }
+  },
+
+  /**
+   * 弹幕配置
+   */
+  danmaku: {
+    // 弹幕内容最大长度
+    contentMaxLength: 50,
+    // 每个视频源保留的弹幕条数，超出后丢弃最早发送的弹幕
+    maxPerSource: 5000,
+    // 单次按时间范围查询的最大跨度(秒)
+    maxRangeWindow: 600,
+    // 默认颜色
+    defaultColor: '#FFFFFF'
+  },
+
+  /**
+   * 内容审核配置
+   * 敏感词过滤作用于聊天消息、房间名称、公告与昵称
+   */
+  moderation: {
+    // 敏感词词库文件，每行一个词
+    wordListFile: process.env.SENSITIVE_WORDS_FILE || path.join(__dirname, 'sensitive-words.txt'),
+    // 检测词库文件变更的轮询间隔(毫秒)，变更后自动重新加载
+    reloadInterval: 5000,
+    // 新建房间默认的审核策略（mask/reject/review）
+    defaultPolicy: 'mask',
+    // 打码使用的字符
+    maskChar: '*'
+  },
+
+  /**
+   * 封禁配置
+   */
+  ban: {
+    // 封禁时长上限(秒)，不指定时长表示永久封禁
+    maxDuration: 30 * 24 * 3600,
+    // 封禁原因最大长度
+    reasonMaxLength: 100
+  },
+
+  /**
+   * 邀请配置
+   */
+  invite: {
+    // 邀请码长度
+    codeLength: 10,
+    // 默认有效期(秒)
+    defaultExpiresIn: 24 * 3600,
+    // 有效期上限(秒)
+    maxExpiresIn: 30 * 24 * 3600,
+    // 可使用次数上限，不指定次数时不限
+    maxUses: 1000,
+    // 每个房间同时有效的邀请数量上限
+    maxActivePerRoom: 50
+  },
+
+  /**
+   * 入场审批配置
+   */
+  admission: {
+    // 入场申请的等待时限(秒)，超时未处理视为过期
+    requestTimeout: 120,
+    // 处理结果的保留时长(秒)，申请者断线重连后仍可在等候室取回
+    resultRetention: 60,
+    // 每个房间同时等待审批的申请数量上限
+    maxPendingPerRoom: 20
+  },
+
+  /**
+   * 禁言配置
+   */
+  mute: {
+    // 禁言时长上限(秒)，不指定时长表示直到手动解除
+    maxDuration: 7 * 24 * 3600,
+    // 禁言原因最大长度
+    reasonMaxLength: 100
+  },
+
+  /**
+   * 定时放映配置
+   */
+  showtime: {
+    // 最多可提前预约的时间(毫秒)
+    maxAdvance: 7 * 24 * 3600 * 1000,
+    // 开播前进入倒计时的秒数，倒计时期间每秒广播一次
+    countdownSeconds: 10
+  },
+
+  /**
+   * 身份令牌配置
+   * 创建或加入房间时签发，之后的操作以令牌中的身份为准
+   */
+  auth: {
+    // 签名密钥，未配置时每次启动随机生成（重启后已签发的令牌失效）
+    tokenSecret: process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+    // 令牌有效期(秒)
+    tokenTtl: 24 * 3600
+  },
+
+  /**
+   * 房间密码配置
+   * 密码以加盐 scrypt 哈希保存；验证失败按「房间+IP」与「房间」两个维度计数，达到次数后锁定，锁定时长逐次翻倍
+   */
+  password: {
+    // 盐长度(字节)
+    saltBytes: 16,
+    // 派生密钥长度(字节)
+    keyLength: 64,
+    attempts: {
+      // 同一IP对同一房间连续失败该次数后锁定
+      ipMaxAttempts: 5,
+      // 同一房间累计失败该次数后锁定（防止多个IP分散猜测）
+      roomMaxAttempts: 20,
+      // 首次锁定时长(毫秒)
+      baseLockout: 30 * 1000,
+      // 锁定时长上限(毫秒)
+      maxLockout: 3600 * 1000,
+      // 距上次失败或锁定结束超过该时长(毫秒)后清空计数
+      resetAfter: 15 * 60 * 1000
+    }
   },
 
   /**
@@ -0,0 +1,144 @@
+/**
+ * @file 封禁控制器
+ * @description 处理房间黑名单相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/BanController
+ */
+
+const BanService = require('../services/BanService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 封禁控制器类
+ * 处理 /api/rooms/:roomId/bans 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class BanController
+ */
+class BanController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {BanController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.banService = BanService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.listBans = this.listBans.bind(this);
+    this.banParticipant = this.banParticipant.bind(this);
+    this.unban = this.unban.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {BanController} 控制器实例
+   */
+  static getInstance() {
+    if (!BanController.instance) {
+      BanController.instance = new BanController();
+    }
+    return BanController.instance;
+  }
+
+  /**
+   * 获取黑名单
+   * GET /api/rooms/:roomId/bans
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要封禁权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async listBans(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.banService.listBans(roomId, operatorId);
+
+      ResponseHelper.success(res, result, '获取黑名单成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 封禁用户
+   * POST /api/rooms/:roomId/bans
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要封禁权限）
+   * @param {Object} req.body - 请求体
+   * @param {string} [req.body.participantId] - 被封禁的参与者ID
+   * @param {string} [req.body.nickname] - 被封禁的昵称
+   * @param {number} [req.body.duration] - 封禁时长(秒)，不传表示永久
+   * @param {string} [req.body.reason] - 封禁原因
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async banParticipant(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { participantId, nickname, duration, reason } = req.body;
+
+      const result = await this.banService.banParticipant(roomId, operatorId, {
+        participantId,
+        nickname,
+        duration,
+        reason
+      });
+
+      ResponseHelper.created(res, result, '封禁成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 解除封禁
+   * DELETE /api/rooms/:roomId/bans/:banId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.banId - 封禁记录ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要封禁权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async unban(req, res, next) {
+    try {
+      const { roomId, banId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.banService.unban(roomId, operatorId, banId);
+
+      ResponseHelper.success(res, result, '已解除封禁');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = BanController;
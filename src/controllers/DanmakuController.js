@@ -0,0 +1,82 @@
+/**
+ * @file 弹幕控制器
+ * @description 处理房间弹幕相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/DanmakuController
+ */
+
+const DanmakuService = require('../services/DanmakuService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 弹幕控制器类
+ * 处理 /api/rooms/:roomId/danmaku 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class DanmakuController
+ */
+class DanmakuController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {DanmakuController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.danmakuService = DanmakuService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.getDanmaku = this.getDanmaku.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {DanmakuController} 控制器实例
+   */
+  static getInstance() {
+    if (!DanmakuController.instance) {
+      DanmakuController.instance = new DanmakuController();
+    }
+    return DanmakuController.instance;
+  }
+
+  /**
+   * 按视频时间范围获取弹幕
+   * GET /api/rooms/:roomId/danmaku
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.query - 查询参数
+   * @param {number} [req.query.from] - 起始时间(秒)
+   * @param {number} [req.query.to] - 结束时间(秒)
+   * @param {string} [req.query.source] - 视频源URL
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 查询者ID，取自身份令牌（须仍在房间内）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async getDanmaku(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { from, to, source } = req.query;
+
+      const result = this.danmakuService.getDanmaku(roomId, req.auth.participantId, { from, to, source });
+
+      ResponseHelper.success(res, result, '获取弹幕成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = DanmakuController;
@@ -0,0 +1,138 @@
+/**
+ * @file 邀请控制器
+ * @description 处理房间邀请相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/InviteController
+ */
+
+const InviteService = require('../services/InviteService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 邀请控制器类
+ * 处理 /api/rooms/:roomId/invites 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class InviteController
+ */
+class InviteController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {InviteController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.inviteService = InviteService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.listInvites = this.listInvites.bind(this);
+    this.createInvite = this.createInvite.bind(this);
+    this.revokeInvite = this.revokeInvite.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {InviteController} 控制器实例
+   */
+  static getInstance() {
+    if (!InviteController.instance) {
+      InviteController.instance = new InviteController();
+    }
+    return InviteController.instance;
+  }
+
+  /**
+   * 获取邀请列表
+   * GET /api/rooms/:roomId/invites
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要邀请管理权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async listInvites(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.inviteService.listInvites(roomId, operatorId);
+
+      ResponseHelper.success(res, result, '获取邀请列表成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 创建邀请
+   * POST /api/rooms/:roomId/invites
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要邀请管理权限）
+   * @param {Object} req.body - 请求体
+   * @param {number} [req.body.expiresIn] - 有效期(秒)
+   * @param {number} [req.body.maxUses] - 可使用次数，不传表示不限
+   * @param {string} [req.body.role] - 加入后获得的角色
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async createInvite(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { expiresIn, maxUses, role } = req.body;
+
+      const result = this.inviteService.createInvite(roomId, operatorId, { expiresIn, maxUses, role });
+
+      ResponseHelper.created(res, result, '邀请创建成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 撤销邀请
+   * DELETE /api/rooms/:roomId/invites/:inviteId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.inviteId - 邀请ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要邀请管理权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async revokeInvite(req, res, next) {
+    try {
+      const { roomId, inviteId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.inviteService.revokeInvite(roomId, operatorId, inviteId);
+
+      ResponseHelper.success(res, result, '邀请已撤销');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = InviteController;
@@ -0,0 +1,134 @@
+/**
+ * @file 入场申请控制器
+ * @description 处理入场审批相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/JoinRequestController
+ */
+
+const AdmissionService = require('../services/AdmissionService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 入场申请控制器类
+ * 处理 /api/rooms/:roomId/join-requests 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class JoinRequestController
+ */
+class JoinRequestController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {JoinRequestController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.admissionService = AdmissionService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.listRequests = this.listRequests.bind(this);
+    this.approveRequest = this.approveRequest.bind(this);
+    this.denyRequest = this.denyRequest.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {JoinRequestController} 控制器实例
+   */
+  static getInstance() {
+    if (!JoinRequestController.instance) {
+      JoinRequestController.instance = new JoinRequestController();
+    }
+    return JoinRequestController.instance;
+  }
+
+  /**
+   * 获取待审批的入场申请
+   * GET /api/rooms/:roomId/join-requests
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要入场审批权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async listRequests(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.admissionService.listRequests(roomId, operatorId);
+
+      ResponseHelper.success(res, result, '获取入场申请成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 批准入场申请
+   * POST /api/rooms/:roomId/join-requests/:requestId/approve
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.requestId - 申请ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要入场审批权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async approveRequest(req, res, next) {
+    try {
+      const { roomId, requestId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.admissionService.approveRequest(roomId, operatorId, requestId);
+
+      ResponseHelper.success(res, result, '已批准入场');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 拒绝入场申请
+   * POST /api/rooms/:roomId/join-requests/:requestId/deny
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.requestId - 申请ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要入场审批权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async denyRequest(req, res, next) {
+    try {
+      const { roomId, requestId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.admissionService.denyRequest(roomId, operatorId, requestId);
+
+      ResponseHelper.success(res, result, '已拒绝入场');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = JoinRequestController;
@@ -0,0 +1,81 @@
+/**
+ * @file 聊天消息控制器
+ * @description 处理房间聊天记录相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/MessageController
+ */
+
+const ChatService = require('../services/ChatService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 聊天消息控制器类
+ * 处理 /api/rooms/:roomId/messages 下的所有请求
+ * 采用单例模式
+ * 
+ * @class MessageController
+ */
+class MessageController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {MessageController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.chatService = ChatService;
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.getHistory = this.getHistory.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {MessageController} 控制器实例
+   */
+  static getInstance() {
+    if (!MessageController.instance) {
+      MessageController.instance = new MessageController();
+    }
+    return MessageController.instance;
+  }
+
+  /**
+   * 分页获取聊天记录
+   * GET /api/rooms/:roomId/messages
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.query - 查询参数
+   * @param {string} [req.query.before] - 消息ID游标
+   * @param {number} [req.query.limit] - 返回条数
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 查询者ID，取自身份令牌（须仍在房间内）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async getHistory(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { before, limit } = req.query;
+
+      const result = this.chatService.getHistory(roomId, req.auth.participantId, { before, limit });
+
+      ResponseHelper.success(res, result, '获取聊天记录成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MessageController;
@@ -0,0 +1,111 @@
+/**
+ * @file 禁言控制器
+ * @description 处理成员禁言相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/MuteController
+ */
+
+const MuteService = require('../services/MuteService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 禁言控制器类
+ * 处理 /api/rooms/:roomId/participants/:participantId/mute 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class MuteController
+ */
+class MuteController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {MuteController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.muteService = MuteService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.muteParticipant = this.muteParticipant.bind(this);
+    this.unmuteParticipant = this.unmuteParticipant.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {MuteController} 控制器实例
+   */
+  static getInstance() {
+    if (!MuteController.instance) {
+      MuteController.instance = new MuteController();
+    }
+    return MuteController.instance;
+  }
+
+  /**
+   * 禁言成员
+   * POST /api/rooms/:roomId/participants/:participantId/mute
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.participantId - 目标参与者ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要禁言权限）
+   * @param {Object} req.body - 请求体
+   * @param {number} [req.body.duration] - 禁言时长(秒)，不传表示直到手动解除
+   * @param {string} [req.body.reason] - 禁言原因
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async muteParticipant(req, res, next) {
+    try {
+      const { roomId, participantId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { duration, reason } = req.body;
+
+      const result = this.muteService.muteParticipant(roomId, operatorId, participantId, { duration, reason });
+
+      ResponseHelper.success(res, result, '已禁言');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 解除禁言
+   * DELETE /api/rooms/:roomId/participants/:participantId/mute
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.participantId - 目标参与者ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要禁言权限）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async unmuteParticipant(req, res, next) {
+    try {
+      const { roomId, participantId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = this.muteService.unmuteParticipant(roomId, operatorId, participantId);
+
+      ResponseHelper.success(res, result, '已解除禁言');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MuteController;
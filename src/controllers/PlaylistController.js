@@ -0,0 +1,193 @@
+/**
+ * @file 播放列表控制器
+ * @description 处理房间播放列表相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/PlaylistController
+ */
+
+const PlaylistService = require('../services/PlaylistService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 播放列表控制器类
+ * 处理 /api/rooms/:roomId/playlist 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class PlaylistController
+ */
+class PlaylistController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {PlaylistController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.playlistService = PlaylistService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.getPlaylist = this.getPlaylist.bind(this);
+    this.addItem = this.addItem.bind(this);
+    this.removeItem = this.removeItem.bind(this);
+    this.moveItem = this.moveItem.bind(this);
+    this.playNext = this.playNext.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {PlaylistController} 控制器实例
+   */
+  static getInstance() {
+    if (!PlaylistController.instance) {
+      PlaylistController.instance = new PlaylistController();
+    }
+    return PlaylistController.instance;
+  }
+
+  /**
+   * 获取播放列表
+   * GET /api/rooms/:roomId/playlist
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async getPlaylist(req, res, next) {
+    try {
+      const { roomId } = req.params;
+
+      const result = await this.playlistService.getPlaylist(roomId);
+
+      ResponseHelper.success(res, result, '获取播放列表成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 添加队列项
+   * POST /api/rooms/:roomId/playlist
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌
+   * @param {Object} req.body - 请求体
+   * @param {string} [req.body.title] - 标题
+   * @param {string} req.body.url - 视频链接
+   * @param {string} [req.body.subtitle] - 字幕设置
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async addItem(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { title, url, subtitle } = req.body;
+
+      const result = await this.playlistService.addItem(roomId, operatorId, { title, url, subtitle });
+
+      ResponseHelper.created(res, result, '已添加到播放列表');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 移除队列项
+   * DELETE /api/rooms/:roomId/playlist/:itemId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.itemId - 队列项ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async removeItem(req, res, next) {
+    try {
+      const { roomId, itemId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = await this.playlistService.removeItem(roomId, operatorId, itemId);
+
+      ResponseHelper.success(res, result, '已从播放列表移除');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 调整队列项位置
+   * PATCH /api/rooms/:roomId/playlist/:itemId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.itemId - 队列项ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌
+   * @param {Object} req.body - 请求体
+   * @param {number} req.body.position - 目标位置(从0开始)
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async moveItem(req, res, next) {
+    try {
+      const { roomId, itemId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { position } = req.body;
+
+      const result = await this.playlistService.moveItem(roomId, operatorId, itemId, position);
+
+      ResponseHelper.success(res, result, '播放列表顺序已更新');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 切换到下一项
+   * POST /api/rooms/:roomId/playlist/next
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async playNext(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = await this.playlistService.playNext(roomId, operatorId);
+
+      ResponseHelper.success(res, result, '已切换到下一项');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PlaylistController;
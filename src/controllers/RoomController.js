@@ -42,6 +42,11 @@ class RoomController {
     this.updateRoom = this.updateRoom.bind(this);
     this.verifyPassword = this.verifyPassword.bind(this);
     this.getRoomStats = this.getRoomStats.bind(this);
+    this.setVideoSource = this.setVideoSource.bind(this);
+    this.setParticipantRole = this.setParticipantRole.bind(this);
+    this.kickParticipant = this.kickParticipant.bind(this);
+    this.transferOwnership = this.transferOwnership.bind(this);
+    this.updatePermissions = this.updatePermissions.bind(this);
   }
 
   /**
@@ -68,19 +73,40 @@ class RoomController {
    * @param {number} [req.body.capacity] - 人数上限
    * @param {string} [req.body.password] - 房间密码
    * @param {string} [req.body.announcement] - 房间公告
+   * @param {string|number} [req.body.scheduledStartTime] - 预约开播时间（ISO字符串或毫秒时间戳）
+   * @param {string} [req.body.moderationPolicy] - 内容审核策略（mask/reject/review）
+   * @param {string} [req.body.chatMode] - 聊天模式（open/controllers/slow/off）
+   * @param {number} [req.body.slowModeInterval] - 慢速模式下的发言间隔(秒)
+   * @param {string} [req.body.successionPolicy] - 房主继任策略（promote/close）
    * @param {string} req.body.creatorNickname - 创建者昵称
    * @param {Object} res - Express响应对象
    * @param {Function} next - Express下一步中间件
    */
   async createRoom(req, res, next) {
     try {
-      const { name, capacity, password, announcement, creatorNickname } = req.body;
+      const {
+        name,
+        capacity,
+        password,
+        announcement,
+        scheduledStartTime,
+        moderationPolicy,
+        chatMode,
+        slowModeInterval,
+        successionPolicy,
+        creatorNickname
+      } = req.body;
 
       const result = await this.roomService.createRoom({
         name,
         capacity,
         password,
         announcement,
+        scheduledStartTime,
+        moderationPolicy,
+        chatMode,
+        slowModeInterval,
+        successionPolicy,
         creatorNickname
       });
 
@@ -162,7 +188,7 @@ class RoomController {
       const { roomId } = req.params;
       const { password } = req.body;
 
-      await this.roomService.verifyRoomPassword(roomId, password);
+      await this.roomService.verifyRoomPassword(roomId, password, req.ip);
 
       ResponseHelper.success(res, { valid: true }, '密码验证成功');
     } catch (error) {
@@ -181,18 +207,25 @@ class RoomController {
    * @param {Object} req.body - 请求体
    * @param {string} req.body.nickname - 用户昵称
    * @param {string} [req.body.password] - 房间密码
+   * @param {string} [req.body.inviteCode] - 邀请码
    * @param {Object} res - Express响应对象
    * @param {Function} next - Express下一步中间件
    */
   async joinRoom(req, res, next) {
     try {
       const { roomId } = req.params;
-      const { nickname, password } = req.body;
+      const { nickname, password, inviteCode } = req.body;
 
       const result = await this.roomService.joinRoom(roomId, {
         nickname,
-        password
-      });
+        password,
+        inviteCode
+      }, req.ip);
+
+      if (result.pending) {
+        ResponseHelper.success(res, result, '已提交入场申请，请等待审批', 202);
+        return;
+      }
 
       ResponseHelper.success(res, result, '加入房间成功');
     } catch (error) {
@@ -208,15 +241,15 @@ class RoomController {
    * @param {Object} req - Express请求对象
    * @param {Object} req.params - 路径参数
    * @param {string} req.params.roomId - 房间ID
-   * @param {Object} req.body - 请求体
-   * @param {string} req.body.participantId - 参与者ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 参与者ID
    * @param {Object} res - Express响应对象
    * @param {Function} next - Express下一步中间件
    */
   async leaveRoom(req, res, next) {
     try {
       const { roomId } = req.params;
-      const { participantId } = req.body;
+      const { participantId } = req.auth;
 
       await this.roomService.leaveRoom(roomId, participantId);
 
@@ -234,15 +267,15 @@ class RoomController {
    * @param {Object} req - Express请求对象
    * @param {Object} req.params - 路径参数
    * @param {string} req.params.roomId - 房间ID
-   * @param {Object} req.body - 请求体
-   * @param {string} req.body.operatorId - 操作者ID（必须是房间创建者）
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（必须是房间创建者）
    * @param {Object} res - Express响应对象
    * @param {Function} next - Express下一步中间件
    */
   async dissolveRoom(req, res, next) {
     try {
       const { roomId } = req.params;
-      const { operatorId } = req.body;
+      const { participantId: operatorId } = req.auth;
 
       await this.roomService.dissolveRoom(roomId, operatorId);
 
@@ -260,19 +293,27 @@ class RoomController {
    * @param {Object} req - Express请求对象
    * @param {Object} req.params - 路径参数
    * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要房间配置权限）
    * @param {Object} req.body - 请求体
-   * @param {string} req.body.operatorId - 操作者ID（必须是房间创建者）
    * @param {string} [req.body.name] - 新的房间名称
    * @param {number} [req.body.capacity] - 新的人数上限
    * @param {string} [req.body.password] - 新的密码
    * @param {string} [req.body.announcement] - 新的公告
+   * @param {string|number|null} [req.body.scheduledStartTime] - 新的预约开播时间，null 表示取消
+   * @param {string} [req.body.moderationPolicy] - 新的内容审核策略
+   * @param {string} [req.body.chatMode] - 新的聊天模式
+   * @param {number} [req.body.slowModeInterval] - 新的慢速模式发言间隔(秒)
+   * @param {string} [req.body.successionPolicy] - 新的房主继任策略
+   * @param {boolean} [req.body.requireApproval] - 是否需要审批才能入场
    * @param {Object} res - Express响应对象
    * @param {Function} next - Express下一步中间件
    */
   async updateRoom(req, res, next) {
     try {
       const { roomId } = req.params;
-      const { operatorId, ...updateData } = req.body;
+      const { participantId: operatorId } = req.auth;
+      const updateData = req.body;
 
       const result = await this.roomService.updateRoom(roomId, operatorId, updateData);
 
@@ -282,6 +323,153 @@ class RoomController {
     }
   }
 
+  /**
+   * 设置片源
+   * PUT /api/rooms/:roomId/source
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要播放控制权限）
+   * @param {Object} req.body - 请求体
+   * @param {string} req.body.source - 外部视频链接
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async setVideoSource(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { source } = req.body;
+
+      const syncEvent = await this.roomService.setVideoSource(roomId, operatorId, source);
+
+      ResponseHelper.success(res, syncEvent.toJSON(), '片源设置成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 设置参与者角色
+   * PATCH /api/rooms/:roomId/participants/:participantId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.participantId - 目标参与者ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要角色管理权限）
+   * @param {Object} req.body - 请求体
+   * @param {string} req.body.role - 新角色（moderator/controller/viewer）
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async setParticipantRole(req, res, next) {
+    try {
+      const { roomId, participantId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { role } = req.body;
+
+      const result = await this.roomService.setParticipantRole(roomId, operatorId, participantId, role);
+
+      ResponseHelper.success(res, result, '参与者角色已更新');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 踢出参与者
+   * POST /api/rooms/:roomId/participants/:participantId/kick
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.participantId - 目标参与者ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（需要踢人权限）
+   * @param {Object} req.body - 请求体
+   * @param {string} [req.body.reason] - 踢出原因
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async kickParticipant(req, res, next) {
+    try {
+      const { roomId, participantId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { reason } = req.body;
+
+      const result = await this.roomService.kickParticipant(roomId, operatorId, participantId, { reason });
+
+      ResponseHelper.success(res, result, '已踢出参与者');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 转让房主
+   * POST /api/rooms/:roomId/transfer
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（必须是房间创建者）
+   * @param {Object} req.body - 请求体
+   * @param {string} req.body.participantId - 新房主的参与者ID
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async transferOwnership(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { participantId } = req.body;
+
+      const result = await this.roomService.transferOwnership(roomId, operatorId, participantId);
+
+      ResponseHelper.success(res, result, '房主已转让');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 调整房间权限矩阵
+   * PUT /api/rooms/:roomId/permissions
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌（必须是房间创建者）
+   * @param {Object} req.body - 请求体
+   * @param {Object} req.body.permissions - 角色到权限列表的映射，null 表示恢复默认
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async updatePermissions(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { permissions } = req.body;
+
+      const result = await this.roomService.updatePermissions(roomId, operatorId, permissions);
+
+      ResponseHelper.success(res, result, '权限已更新');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * 获取房间统计信息
    * GET /api/rooms/stats
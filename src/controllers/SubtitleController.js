@@ -0,0 +1,167 @@
+/**
+ * @file 字幕控制器
+ * @description 处理房间字幕轨道相关的HTTP请求，负责参数提取、调用服务层并格式化响应
+ * @module controllers/SubtitleController
+ */
+
+const SubtitleService = require('../services/SubtitleService');
+const ResponseHelper = require('../utils/ResponseHelper');
+
+/**
+ * 字幕控制器类
+ * 处理 /api/rooms/:roomId/subtitles 下的所有请求
+ * 采用单例模式，确保服务层实例的复用
+ * 
+ * @class SubtitleController
+ */
+class SubtitleController {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {SubtitleController|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建控制器实例
+   * @constructor
+   * @private
+   */
+  constructor() {
+    this.subtitleService = SubtitleService.getInstance();
+
+    // 绑定方法的this上下文，确保在路由中调用时this指向正确
+    this.listTracks = this.listTracks.bind(this);
+    this.uploadTrack = this.uploadTrack.bind(this);
+    this.getTrackFile = this.getTrackFile.bind(this);
+    this.deleteTrack = this.deleteTrack.bind(this);
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {SubtitleController} 控制器实例
+   */
+  static getInstance() {
+    if (!SubtitleController.instance) {
+      SubtitleController.instance = new SubtitleController();
+    }
+    return SubtitleController.instance;
+  }
+
+  /**
+   * 获取字幕轨道列表
+   * GET /api/rooms/:roomId/subtitles
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async listTracks(req, res, next) {
+    try {
+      const { roomId } = req.params;
+
+      const result = await this.subtitleService.listTracks(roomId);
+
+      ResponseHelper.success(res, result, '获取字幕列表成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 上传字幕轨道
+   * POST /api/rooms/:roomId/subtitles (multipart/form-data)
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {Object} req.file - 上传的字幕文件（由 subtitleUpload 中间件解析）
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌
+   * @param {Object} req.body - 表单字段
+   * @param {string} req.body.language - 语言代码
+   * @param {string} [req.body.label] - 显示名称
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async uploadTrack(req, res, next) {
+    try {
+      const { roomId } = req.params;
+      const { participantId: operatorId } = req.auth;
+      const { language, label } = req.body || {};
+
+      const result = await this.subtitleService.uploadTrack(roomId, operatorId, {
+        buffer: req.file ? req.file.buffer : null,
+        originalName: req.file ? req.file.originalname : '',
+        language,
+        label
+      });
+
+      ResponseHelper.created(res, result, '字幕上传成功');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取字幕文件（WebVTT）
+   * GET /api/rooms/:roomId/subtitles/:trackId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.trackId - 轨道ID
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async getTrackFile(req, res, next) {
+    try {
+      const { roomId, trackId } = req.params;
+
+      const filePath = await this.subtitleService.getTrackFile(roomId, trackId);
+
+      res.type('text/vtt').sendFile(filePath, (error) => {
+        if (error) next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 删除字幕轨道
+   * DELETE /api/rooms/:roomId/subtitles/:trackId
+   * 
+   * @async
+   * @param {Object} req - Express请求对象
+   * @param {Object} req.params - 路径参数
+   * @param {string} req.params.roomId - 房间ID
+   * @param {string} req.params.trackId - 轨道ID
+   * @param {Object} req.auth - 身份令牌中的身份
+   * @param {string} req.auth.participantId - 操作者ID，取自身份令牌
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一步中间件
+   */
+  async deleteTrack(req, res, next) {
+    try {
+      const { roomId, trackId } = req.params;
+      const { participantId: operatorId } = req.auth;
+
+      const result = await this.subtitleService.deleteTrack(roomId, operatorId, trackId);
+
+      ResponseHelper.success(res, result, '字幕已删除');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SubtitleController;
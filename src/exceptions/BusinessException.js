@@ -112,6 +112,263 @@ class RoomClosedException extends BusinessException {
   }
 }
 
+/**
+ * 不在房间内异常
+ * 当操作者不是该房间的参与者时抛出
+ * 
+ * @class NotInRoomException
+ * @extends BusinessException
+ */
+class NotInRoomException extends BusinessException {
+  constructor(roomId, participantId) {
+    super(`参与者不在房间 ${roomId} 内`, 'NOT_IN_ROOM', 403);
+    this.roomId = roomId;
+    this.participantId = participantId;
+  }
+}
+
+/**
+ * 参与者不存在异常
+ * 当操作的目标参与者不在房间内时抛出
+ * 
+ * @class ParticipantNotFoundException
+ * @extends BusinessException
+ */
+class ParticipantNotFoundException extends BusinessException {
+  constructor(participantId) {
+    super(`参与者 ${participantId} 不存在`, 'PARTICIPANT_NOT_FOUND', 404);
+    this.participantId = participantId;
+  }
+}
+
+/**
+ * 片源不可达异常
+ * 当外部视频链接无法访问或返回的内容不是视频时抛出
+ * 
+ * @class SourceUnreachableException
+ * @extends BusinessException
+ */
+class SourceUnreachableException extends BusinessException {
+  constructor(source, reason) {
+    super(`视频源不可用: ${reason}`, 'SOURCE_UNREACHABLE', 422);
+    this.source = source;
+  }
+}
+
+/**
+ * 播放列表项不存在异常
+ * 当操作的队列项不在房间播放列表中时抛出
+ * 
+ * @class PlaylistItemNotFoundException
+ * @extends BusinessException
+ */
+class PlaylistItemNotFoundException extends BusinessException {
+  constructor(itemId) {
+    super(`播放列表项 ${itemId} 不存在`, 'PLAYLIST_ITEM_NOT_FOUND', 404);
+    this.itemId = itemId;
+  }
+}
+
+/**
+ * 字幕轨道不存在异常
+ * 当操作的字幕轨道不在房间中时抛出
+ * 
+ * @class SubtitleTrackNotFoundException
+ * @extends BusinessException
+ */
+class SubtitleTrackNotFoundException extends BusinessException {
+  constructor(trackId) {
+    super(`字幕轨道 ${trackId} 不存在`, 'SUBTITLE_TRACK_NOT_FOUND', 404);
+    this.trackId = trackId;
+  }
+}
+
+/**
+ * 非法状态迁移异常
+ * 当房间状态不允许迁移到目标状态时抛出
+ * 
+ * @class InvalidStateTransitionException
+ * @extends BusinessException
+ */
+class InvalidStateTransitionException extends BusinessException {
+  constructor(roomId, from, to) {
+    super(`房间 ${roomId} 无法从 ${from} 状态切换到 ${to} 状态`, 'INVALID_STATE_TRANSITION', 409);
+    this.roomId = roomId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * 发言频率超限异常
+ * 当发言过快、重复刷屏或处于自动禁言期间时抛出
+ * 
+ * @class RateLimitedException
+ * @extends BusinessException
+ */
+class RateLimitedException extends BusinessException {
+  constructor(retryAfter, reason = 'too_fast') {
+    super(`发言过于频繁，请 ${Math.ceil(retryAfter / 1000)} 秒后再试`, 'RATE_LIMITED', 429);
+    this.retryAfter = retryAfter;
+    this.reason = reason;
+    this.details = { retryAfter, reason };
+  }
+}
+
+/**
+ * 密码尝试次数过多异常
+ * 当同一IP或同一房间的密码（或邀请码）验证失败次数达到上限、处于锁定期间时抛出
+ * 
+ * @class TooManyAttemptsException
+ * @extends BusinessException
+ */
+class TooManyAttemptsException extends BusinessException {
+  constructor(retryAfter) {
+    super(`密码或邀请码错误次数过多，请 ${Math.ceil(retryAfter / 1000)} 秒后再试`, 'TOO_MANY_ATTEMPTS', 429);
+    this.retryAfter = retryAfter;
+    this.details = { retryAfter };
+  }
+}
+
+/**
+ * 敏感内容异常
+ * 当房间审核策略为拒绝且内容命中敏感词时抛出
+ * 
+ * @class SensitiveContentException
+ * @extends BusinessException
+ */
+class SensitiveContentException extends BusinessException {
+  constructor() {
+    super('内容包含敏感词，发送失败', 'SENSITIVE_CONTENT', 400);
+  }
+}
+
+/**
+ * 聊天受限异常
+ * 当房间聊天模式不允许当前成员发言时抛出
+ * 
+ * @class ChatRestrictedException
+ * @extends BusinessException
+ */
+class ChatRestrictedException extends BusinessException {
+  constructor(chatMode) {
+    const reason = chatMode === 'off' ? '房间已关闭聊天' : '当前仅房主与放映控制者可以发言';
+    super(reason, 'CHAT_RESTRICTED', 403);
+    this.chatMode = chatMode;
+    this.details = { chatMode };
+  }
+}
+
+/**
+ * 已被封禁异常
+ * 当被房间封禁的用户尝试加入房间时抛出
+ * 
+ * @class BannedException
+ * @extends BusinessException
+ */
+class BannedException extends BusinessException {
+  constructor(roomId, ban) {
+    const until = ban.expiresAt ? `，解封时间 ${ban.expiresAt.toISOString()}` : '';
+    super(`你已被房间 ${roomId} 封禁${until}`, 'PARTICIPANT_BANNED', 403);
+    this.roomId = roomId;
+    this.details = {
+      reason: ban.reason,
+      expiresAt: ban.expiresAt ? ban.expiresAt.toISOString() : null
+    };
+  }
+}
+
+/**
+ * 封禁记录不存在异常
+ * 
+ * @class BanNotFoundException
+ * @extends BusinessException
+ */
+class BanNotFoundException extends BusinessException {
+  constructor(banId) {
+    super(`封禁记录 ${banId} 不存在`, 'BAN_NOT_FOUND', 404);
+    this.banId = banId;
+  }
+}
+
+/**
+ * 邀请不存在异常
+ * 
+ * @class InviteNotFoundException
+ * @extends BusinessException
+ */
+class InviteNotFoundException extends BusinessException {
+  constructor(inviteId) {
+    super(`邀请 ${inviteId} 不存在`, 'INVITE_NOT_FOUND', 404);
+    this.inviteId = inviteId;
+  }
+}
+
+/**
+ * 邀请码无效异常
+ * 当使用不存在、已过期、已用完或已撤销的邀请码加入房间时抛出
+ * 
+ * @class InvalidInviteException
+ * @extends BusinessException
+ */
+class InvalidInviteException extends BusinessException {
+  constructor() {
+    super('邀请码无效或已失效', 'INVALID_INVITE', 403);
+  }
+}
+
+/**
+ * 入场申请不存在异常
+ * 当申请不存在、已被处理或已过期时抛出
+ * 
+ * @class JoinRequestNotFoundException
+ * @extends BusinessException
+ */
+class JoinRequestNotFoundException extends BusinessException {
+  constructor(requestId) {
+    super(`入场申请 ${requestId} 不存在或已处理`, 'JOIN_REQUEST_NOT_FOUND', 404);
+    this.requestId = requestId;
+  }
+}
+
+/**
+ * 已被禁言异常
+ * 当被禁言的成员尝试发送消息或弹幕时抛出
+ * 
+ * @class ParticipantMutedException
+ * @extends BusinessException
+ */
+class ParticipantMutedException extends BusinessException {
+  constructor(mute) {
+    const until = mute.until ? `，解除时间 ${mute.until.toISOString()}` : '';
+    super(`你已被禁言${until}`, 'PARTICIPANT_MUTED', 403);
+    this.details = {
+      reason: mute.reason,
+      mutedUntil: mute.until ? mute.until.toISOString() : null
+    };
+  }
+}
+
+/**
+ * 身份认证失败异常
+ * 当请求缺少身份令牌，或令牌无效、过期、不属于目标房间时抛出
+ * 
+ * @class UnauthorizedException
+ * @extends BusinessException
+ */
+class UnauthorizedException extends BusinessException {
+  constructor(reason = 'invalid') {
+    const messages = {
+      missing: '缺少身份令牌',
+      invalid: '身份令牌无效',
+      expired: '身份令牌已过期',
+      room_mismatch: '身份令牌不属于该房间'
+    };
+    super(messages[reason] || messages.invalid, 'UNAUTHORIZED', 401);
+    this.details = { reason };
+  }
+}
+
 module.exports = {
   BusinessException,
   RoomNotFoundException,
@@ -119,5 +376,22 @@ module.exports = {
   InvalidPasswordException,
   PermissionDeniedException,
   ValidationException,
-  RoomClosedException
+  RoomClosedException,
+  NotInRoomException,
+  ParticipantNotFoundException,
+  SourceUnreachableException,
+  PlaylistItemNotFoundException,
+  SubtitleTrackNotFoundException,
+  InvalidStateTransitionException,
+  RateLimitedException,
+  TooManyAttemptsException,
+  SensitiveContentException,
+  ChatRestrictedException,
+  BannedException,
+  BanNotFoundException,
+  InviteNotFoundException,
+  InvalidInviteException,
+  JoinRequestNotFoundException,
+  ParticipantMutedException,
+  UnauthorizedException
 };
@@ -1,11 +1,20 @@
 /**
  * @file 聊天网关
  * @description 处理 Socket.IO 实时通信事件
- * 负责连接管理、房间加入、消息广播
+ * 负责连接管理、房间加入、消息与弹幕广播
  * @module ChatGateway
  */
 
 const ChatService = require('../services/ChatService');
+const DanmakuService = require('../services/DanmakuService');
+const RoomService = require('../services/RoomService');
+const BanService = require('../services/BanService');
+const MuteService = require('../services/MuteService');
+const AdmissionService = require('../services/AdmissionService');
+const { Permission } = require('../models/Permission');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const { authenticateSocket } = require('../middlewares/authenticate');
+const { UnauthorizedException } = require('../exceptions/BusinessException');
 
 class ChatGateway {
     /**
@@ -15,7 +24,107 @@ class ChatGateway {
     constructor(io) {
         // 1. 定义 Namespace 为 /chat
         this.io = io.of('/chat');
+        // 握手时校验身份令牌，之后以令牌中的身份为准
+        this.io.use(authenticateSocket);
+        this.danmakuService = DanmakuService.getInstance();
+        this.roomService = RoomService.getInstance();
+        this.banService = BanService.getInstance();
+        this.muteService = MuteService.getInstance();
+        // 入场审批服务需随网关启动，以便为新申请安排过期定时器
+        this.admissionService = AdmissionService.getInstance();
         this.initialize();
+        this.subscribe();
+    }
+
+    /**
+     * 订阅事件总线，将房间内的成员变化、房间状态迁移与聊天模式变更广播到聊天频道，并向房主推送待审核内容；
+     * 成员被踢出时先广播通知，再断开其全部聊天连接；禁言状态变化时额外广播一条系统提示；
+     * 入场申请及其处理结果只推送给在线的审批者
+     */
+    subscribe() {
+        EventBus.getInstance().on(BusEvent.ROLE_CHANGED, (roomId, change) => {
+            this.io.to(`room:${roomId}`).emit('participant:role', { roomId, ...change });
+        });
+
+        EventBus.getInstance().on(BusEvent.ROOM_STATUS, (roomId, change) => {
+            this.io.to(`room:${roomId}`).emit('room:status', { roomId, ...change });
+        });
+
+        EventBus.getInstance().on(BusEvent.PARTICIPANT_KICKED, (roomId, kick) => {
+            this.io.to(`room:${roomId}`).emit('participant:kicked', { roomId, ...kick });
+
+            this.io.sockets.forEach(socket => {
+                if (socket.data.roomId === roomId && socket.data.participantId === kick.participant.id) {
+                    socket.disconnect();
+                }
+            });
+        });
+
+        EventBus.getInstance().on(BusEvent.PARTICIPANT_MUTED, (roomId, change) => {
+            const { nickname } = change.participant;
+            let content;
+            if (!change.muted) {
+                content = `${nickname} 已被解除禁言`;
+            } else if (change.mutedUntil) {
+                content = `${nickname} 已被禁言至 ${change.mutedUntil}`;
+            } else {
+                content = `${nickname} 已被禁言`;
+            }
+
+            const channel = this.io.to(`room:${roomId}`);
+            channel.emit('participant:muted', { roomId, ...change });
+            channel.emit('message:system', {
+                roomId,
+                type: change.muted ? 'mute' : 'unmute',
+                content,
+                sentAt: new Date().toISOString()
+            });
+        });
+
+        EventBus.getInstance().on(BusEvent.CHAT_MODE_CHANGED, (roomId, change) => {
+            this.io.to(`room:${roomId}`).emit('chat:mode', { roomId, ...change });
+        });
+
+        EventBus.getInstance().on(BusEvent.PERMISSIONS_CHANGED, (roomId, change) => {
+            this.io.to(`room:${roomId}`).emit('room:permissions', { roomId, ...change });
+        });
+
+        EventBus.getInstance().on(BusEvent.JOIN_REQUESTED, (roomId, request) => {
+            this.emitToAdmitters(roomId, 'knock:new', { roomId, request: request.toJSON() });
+        });
+
+        EventBus.getInstance().on(BusEvent.JOIN_REQUEST_RESOLVED, (roomId, request) => {
+            this.emitToAdmitters(roomId, 'knock:resolved', { roomId, request: request.toJSON() });
+        });
+
+        // 待审核内容只通知房主
+        EventBus.getInstance().on(BusEvent.CONTENT_FLAGGED, (roomId, entry) => {
+            const creator = this.roomService.findById(roomId)?.getCreator();
+            if (creator?.socketId) {
+                this.io.to(creator.socketId).emit('moderation:flagged', { roomId, ...entry });
+            }
+        });
+    }
+
+    /**
+     * 向房间内拥有入场审批权限的在线成员推送事件
+     * 按连接逐个检查，权限以推送时的权限矩阵为准
+     * @param {string} roomId - 房间ID
+     * @param {string} event - 事件名
+     * @param {Object} payload - 事件数据
+     */
+    emitToAdmitters(roomId, event, payload) {
+        const room = this.roomService.findById(roomId);
+        if (!room) {
+            return;
+        }
+
+        this.io.sockets.forEach(socket => {
+            if (socket.data.roomId === roomId &&
+                room.can(room.getParticipant(socket.data.participantId), Permission.ADMIT)) {
+                socket.emit(event, payload);
+            }
+        });
     }
 
     /**
@@ -28,10 +137,14 @@ class ChatGateway {
             // ==================== 事件: 加入聊天频道 ====================
             socket.on('room:join', async (data, ack) => {
                 try {
-                    const { roomId, participantId } = data;
+                    // 身份取自握手令牌，客户端传入的房间号须与令牌一致
+                    const { roomId, participantId } = socket.data.auth;
+                    if (data?.roomId && data.roomId !== roomId) {
+                        throw new UnauthorizedException('room_mismatch');
+                    }
 
                     // 1. 调用业务层进行校验
-                    const result = await ChatService.joinRoomChat(roomId, participantId);
+                    const result = await ChatService.joinRoomChat(roomId, participantId, socket.id);
 
                     // 2. Socket 加入房间频道
                     const channelName = `room:${roomId}`;
@@ -43,14 +156,21 @@ class ChatGateway {
 
                     console.log(`[Socket] 用户 ${participantId} 加入频道 ${channelName}`);
 
-                    // 3. 成功回调
-                    if (ack) ack({ ok: true, data: { channel: channelName } });
+                    // 3. 下发初始化快照 (视频状态、公告、在线成员) 与最近的聊天记录
+                    socket.emit('room:init', result.init);
+                    socket.emit('message:history', { roomId, messages: result.history });
+
+                    // 4. 成功回调
+                    if (ack) ack({
+                        ok: true,
+                        data: { channel: channelName, init: result.init, history: result.history }
+                    });
 
                 } catch (error) {
                     console.error('[Socket] 加入失败:', error.message);
                     if (ack) ack({
                         ok: false,
-                        error: { message: error.message || '加入房间失败' }
+                        error: { code: error.errorCode, message: error.message || '加入房间失败', details: error.details || null }
                     });
                 }
             });
@@ -58,7 +178,11 @@ class ChatGateway {
             // ==================== 事件: 发送消息 ====================
             socket.on('message:send', async (data, ack) => {
                 try {
-                    const { roomId, participantId, content } = data;
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+                    const content = data?.content;
 
                     // 1. 调用业务层构造标准消息对象
                     const messageDto = await ChatService.sendMessage(roomId, participantId, content);
@@ -78,7 +202,236 @@ class ChatGateway {
                     console.error('[Socket] 发送消息失败:', error.message);
                     if (ack) ack({
                         ok: false,
-                        error: { message: error.message || '发送消息失败' }
+                        error: {
+                            code: error.errorCode,
+                            message: error.message || '发送消息失败',
+                            retryAfter: error.retryAfter,
+                            details: error.details || null
+                        }
+                    });
+                }
+            });
+
+            // ==================== 事件: 拉取历史消息 ====================
+            socket.on('message:history', (data, ack) => {
+                try {
+                    if (!socket.data.roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const page = ChatService.getHistory(socket.data.roomId, socket.data.participantId, {
+                        before: data?.before,
+                        limit: data?.limit
+                    });
+
+                    if (ack) ack({ ok: true, data: page });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '获取历史消息失败' }
+                    });
+                }
+            });
+
+            // ==================== 事件: 发送弹幕 ====================
+            // 弹幕时间点由服务端根据当前播放进度确定，单独通过 danmaku:new 广播
+            socket.on('danmaku:send', (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const danmaku = this.danmakuService.sendDanmaku(roomId, participantId, {
+                        content: data?.content,
+                        mode: data?.mode,
+                        color: data?.color
+                    });
+
+                    this.io.to(`room:${roomId}`).emit('danmaku:new', danmaku.toJSON());
+
+                    if (ack) ack({ ok: true, data: { id: danmaku.id, time: danmaku.time } });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: {
+                            code: error.errorCode,
+                            message: error.message || '发送弹幕失败',
+                            retryAfter: error.retryAfter,
+                            details: error.details || null
+                        }
+                    });
+                }
+            });
+
+            // ==================== 事件: 按时间范围拉取弹幕 ====================
+            socket.on('danmaku:range', (data, ack) => {
+                try {
+                    if (!socket.data.roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = this.danmakuService.getDanmaku(socket.data.roomId, socket.data.participantId, {
+                        source: data?.source,
+                        from: data?.from,
+                        to: data?.to
+                    });
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '获取弹幕失败', details: error.details || null }
+                    });
+                }
+            });
+
+            // ==================== 事件: 踢出成员 ====================
+            socket.on('participant:kick', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = await this.roomService.kickParticipant(roomId, participantId, data?.participantId, {
+                        reason: data?.reason
+                    });
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '踢出成员失败', details: error.details || null }
+                    });
+                }
+            });
+
+            // ==================== 事件: 封禁用户 ====================
+            socket.on('participant:ban', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = await this.banService.banParticipant(roomId, participantId, {
+                        participantId: data?.participantId,
+                        nickname: data?.nickname,
+                        duration: data?.duration,
+                        reason: data?.reason
+                    });
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '封禁失败', details: error.details || null }
+                    });
+                }
+            });
+
+            // ==================== 事件: 禁言 / 解除禁言 ====================
+            socket.on('participant:mute', (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = this.muteService.muteParticipant(roomId, participantId, data?.participantId, {
+                        duration: data?.duration,
+                        reason: data?.reason
+                    });
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '禁言失败', details: error.details || null }
+                    });
+                }
+            });
+
+            socket.on('participant:unmute', (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = this.muteService.unmuteParticipant(roomId, participantId, data?.participantId);
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '解除禁言失败', details: error.details || null }
+                    });
+                }
+            });
+
+            // ==================== 事件: 入场审批 ====================
+            socket.on('knock:list', (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = this.admissionService.listRequests(roomId, participantId);
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '获取入场申请失败', details: error.details || null }
+                    });
+                }
+            });
+
+            socket.on('knock:approve', (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = this.admissionService.approveRequest(roomId, participantId, data?.requestId);
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '批准入场失败', details: error.details || null }
+                    });
+                }
+            });
+
+            socket.on('knock:deny', (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new Error('请先加入聊天频道');
+                    }
+
+                    const result = this.admissionService.denyRequest(roomId, participantId, data?.requestId);
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack({
+                        ok: false,
+                        error: { code: error.errorCode, message: error.message || '拒绝入场失败', details: error.details || null }
                     });
                 }
             });
@@ -86,6 +439,7 @@ class ChatGateway {
             // ==================== 事件: 断开连接 ====================
             socket.on('disconnect', () => {
                 if (socket.data.roomId) {
+                    ChatService.leaveRoomChat(socket.data.roomId, socket.data.participantId, socket.id);
                     console.log(`[Socket] 断开连接: ${socket.id} (Room: ${socket.data.roomId})`);
                 }
             });
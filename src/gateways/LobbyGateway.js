@@ -0,0 +1,101 @@
+/**
+ * @file 等候室网关
+ * @description 处理入场申请者的 Socket.IO 连接
+ * 申请者尚未成为参与者，凭加入房间时下发的等候凭证连接，等待审批结果并取回身份令牌
+ * @module LobbyGateway
+ */
+
+const AdmissionService = require('../services/AdmissionService');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+
+class LobbyGateway {
+    /**
+     * 初始化等候室网关
+     * @param {Server} io - Socket.IO 服务端实例
+     */
+    constructor(io) {
+        // 1. 定义 Namespace 为 /lobby
+        this.io = io.of('/lobby');
+        this.admissionService = AdmissionService.getInstance();
+        // 握手时校验等候凭证，而非参与者身份令牌
+        this.io.use((socket, next) => this.authenticate(socket, next));
+        this.initialize();
+        this.subscribe();
+    }
+
+    /**
+     * 握手认证：凭 auth 中的 roomId、requestId 与 ticket 找到对应的入场申请
+     * 失败时拒绝连接，客户端可在 connect_error 的 err.data 中拿到错误码
+     * @param {Socket} socket - Socket 实例
+     * @param {Function} next - 下一步中间件
+     */
+    authenticate(socket, next) {
+        try {
+            const { roomId, requestId, ticket } = socket.handshake.auth || {};
+            this.admissionService.findByTicket(roomId, requestId, ticket);
+            socket.data.roomId = roomId;
+            socket.data.requestId = requestId;
+            next();
+        } catch (error) {
+            const rejection = new Error(error.message);
+            rejection.data = { code: error.errorCode, details: error.details || null };
+            next(rejection);
+        }
+    }
+
+    /**
+     * 组装审批结果，批准时附带房间信息、参与者信息与身份令牌
+     * @param {string} roomId - 房间ID
+     * @param {JoinRequest} request - 已处理的入场申请
+     * @returns {Object} 审批结果
+     */
+    toDecision(roomId, request) {
+        return { roomId, request: request.toJSON(), ...request.admission };
+    }
+
+    /**
+     * 订阅事件总线，将审批结果推送给对应的申请者；房间解散时通知全部申请者并断开连接
+     */
+    subscribe() {
+        EventBus.getInstance().on(BusEvent.JOIN_REQUEST_RESOLVED, (roomId, request) => {
+            this.io.to(`knock:${request.id}`).emit('knock:decision', this.toDecision(roomId, request));
+        });
+
+        EventBus.getInstance().on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            const channel = `lobby:${roomId}`;
+            this.io.to(channel).emit('room:dissolved', { roomId });
+            this.io.in(channel).disconnectSockets();
+        });
+    }
+
+    /**
+     * 初始化事件监听
+     */
+    initialize() {
+        this.io.on('connection', (socket) => {
+            const { roomId, requestId } = socket.data;
+
+            // 申请可能在握手完成前被处理，连接建立后以当前状态为准
+            let request;
+            try {
+                request = this.admissionService.findByTicket(roomId, requestId, socket.handshake.auth.ticket);
+            } catch (error) {
+                socket.disconnect();
+                return;
+            }
+
+            socket.join(`knock:${requestId}`);
+            socket.join(`lobby:${roomId}`);
+            console.log(`[Lobby] 申请 ${requestId} 进入房间 ${roomId} 的等候室`);
+
+            // 已处理的申请（如断线重连）直接下发结果，否则下发当前状态
+            if (request.isPending()) {
+                socket.emit('knock:pending', { roomId, request: request.toJSON() });
+            } else {
+                socket.emit('knock:decision', this.toDecision(roomId, request));
+            }
+        });
+    }
+}
+
+module.exports = LobbyGateway;
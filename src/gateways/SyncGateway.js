@@ -0,0 +1,325 @@
+/**
+ * @file 同步网关
+ * @description 处理播放同步相关的 Socket.IO 实时通信事件
+ * 负责接收控制指令、广播 Sync_Event
+ * @module SyncGateway
+ */
+
+const SyncService = require('../services/SyncService');
+const PlaylistService = require('../services/PlaylistService');
+const ShowtimeService = require('../services/ShowtimeService');
+const ClockEstimator = require('../utils/ClockEstimator');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const { authenticateSocket } = require('../middlewares/authenticate');
+const config = require('../config');
+const { ValidationException, UnauthorizedException } = require('../exceptions/BusinessException');
+
+class SyncGateway {
+    /**
+     * 初始化同步网关
+     * @param {Server} io - Socket.IO 服务端实例
+     */
+    constructor(io) {
+        // 1. 定义 Namespace 为 /sync
+        this.io = io.of('/sync');
+        // 握手时校验身份令牌，之后以令牌中的身份为准
+        this.io.use(authenticateSocket);
+        this.syncService = SyncService.getInstance();
+        this.playlistService = PlaylistService.getInstance();
+        // 定时放映调度器需随网关启动，以便接收预约变更
+        this.showtimeService = ShowtimeService.getInstance();
+        this.initialize();
+        this.subscribe();
+    }
+
+    /**
+     * 将业务异常转换为 ack 错误结构
+     * @param {Error} error - 捕获的异常
+     * @param {string} fallback - 默认错误消息
+     * @returns {object} ack 数据
+     */
+    toErrorAck(error, fallback) {
+        return {
+            ok: false,
+            error: {
+                code: error.errorCode || 'INTERNAL_ERROR',
+                message: error.message || fallback,
+                details: error.details || null
+            }
+        };
+    }
+
+    /**
+     * 订阅事件总线，将服务层产生的同步事件、播放列表与字幕轨道变更、定时放映倒计时广播到房间频道，
+     * 并断开被踢出成员的同步连接
+     */
+    subscribe() {
+        const eventBus = EventBus.getInstance();
+
+        eventBus.on(BusEvent.SYNC, (roomId, syncEvent) => {
+            this.io.to(`room:${roomId}`).emit('sync:event', syncEvent.toJSON());
+        });
+
+        eventBus.on(BusEvent.PLAYLIST, (roomId, playlist) => {
+            this.io.to(`room:${roomId}`).emit('playlist:updated', { roomId, playlist });
+        });
+
+        eventBus.on(BusEvent.SUBTITLES, (roomId, subtitles) => {
+            this.io.to(`room:${roomId}`).emit('subtitle:updated', { roomId, ...subtitles });
+        });
+
+        // 被踢出的成员断开同步连接（踢出通知由聊天频道广播）
+        eventBus.on(BusEvent.PARTICIPANT_KICKED, (roomId, kick) => {
+            this.io.sockets.forEach(socket => {
+                if (socket.data.roomId === roomId && socket.data.participantId === kick.participant.id) {
+                    socket.emit('participant:kicked', { roomId, ...kick });
+                    socket.disconnect();
+                }
+            });
+        });
+
+        // 附带服务端时间，客户端可结合时钟偏移自行渲染精确倒计时
+        eventBus.on(BusEvent.SHOWTIME, (roomId, showtime) => {
+            this.io.to(`room:${roomId}`).emit('showtime', { roomId, ...showtime, serverTime: Date.now() });
+        });
+    }
+
+    /**
+     * 向客户端发送一次时钟探测
+     * 客户端需在 ack 中回复 { clientReceiveTime, clientSendTime }
+     * @param {Socket} socket - 客户端连接
+     * @returns {Promise<void>}
+     */
+    async probeClock(socket) {
+        const t0 = Date.now();
+        try {
+            const pong = await socket.timeout(config.sync.pingTimeout)
+                .emitWithAck('time:ping', { serverSendTime: t0 });
+            const t3 = Date.now();
+
+            const accepted = socket.data.clock.addSample({
+                t0,
+                t1: Number(pong?.clientReceiveTime),
+                t2: Number(pong?.clientSendTime),
+                t3
+            });
+            if (!accepted) return;
+
+            // 保存诊断信息并把估算结果告知客户端
+            const estimate = socket.data.clock.getEstimate();
+            this.syncService.recordLatency(socket.data.roomId, socket.data.participantId, estimate);
+            socket.emit('time:estimate', { ...estimate, serverTime: Date.now() });
+        } catch (error) {
+            // 超时或连接断开，忽略本次样本
+        }
+    }
+
+    /**
+     * 启动时钟探测：先连续探测若干次得到初始估算，再按固定间隔持续探测
+     * @param {Socket} socket - 客户端连接
+     */
+    async startClockSync(socket) {
+        this.stopClockSync(socket);
+        socket.data.clock = new ClockEstimator();
+
+        for (let i = 0; i < config.sync.pingBurstCount && socket.connected; i++) {
+            await this.probeClock(socket);
+        }
+
+        if (socket.connected) {
+            socket.data.clockTimer = setInterval(() => this.probeClock(socket), config.sync.pingInterval);
+        }
+    }
+
+    /**
+     * 停止时钟探测
+     * @param {Socket} socket - 客户端连接
+     */
+    stopClockSync(socket) {
+        if (socket.data.clockTimer) {
+            clearInterval(socket.data.clockTimer);
+            socket.data.clockTimer = null;
+        }
+    }
+
+    /**
+     * 初始化事件监听
+     */
+    initialize() {
+        this.io.on('connection', (socket) => {
+            console.log(`[Sync] 新连接接入: ${socket.id}`);
+
+            // ==================== 事件: 加入同步频道 ====================
+            socket.on('room:join', async (data, ack) => {
+                try {
+                    // 身份取自握手令牌，客户端传入的房间号须与令牌一致
+                    const { roomId, participantId } = socket.data.auth;
+                    if (data?.roomId && data.roomId !== roomId) {
+                        throw new UnauthorizedException('room_mismatch');
+                    }
+
+                    // 1. 调用业务层进行校验
+                    const { room } = this.syncService.joinSync(roomId, participantId);
+
+                    // 2. Socket 加入房间频道
+                    const channelName = `room:${roomId}`;
+                    socket.join(channelName);
+
+                    // 记录上下文
+                    socket.data.roomId = roomId;
+                    socket.data.participantId = participantId;
+
+                    console.log(`[Sync] 用户 ${participantId} 加入频道 ${channelName}`);
+
+                    // 开始估算该连接的时钟偏移（不阻塞加入流程）
+                    this.startClockSync(socket);
+
+                    // 3. 成功回调，附带初始化快照供客户端对齐
+                    if (ack) ack({
+                        ok: true,
+                        data: {
+                            channel: channelName,
+                            init: this.syncService.buildInitSnapshot(room)
+                        }
+                    });
+
+                } catch (error) {
+                    console.error('[Sync] 加入失败:', error.message);
+                    if (ack) ack(this.toErrorAck(error, '加入同步频道失败'));
+                }
+            });
+
+            // ==================== 事件: 播放控制 ====================
+            socket.on('sync:control', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new ValidationException('请先加入同步频道');
+                    }
+
+                    // 1. 调用业务层更新 VideoState，事件经总线广播
+                    const syncEvent = await this.syncService.handleControl(roomId, participantId, data || {});
+
+                    console.log(`[Sync] room:${roomId} ${syncEvent.type} by ${participantId}`);
+
+                    // 2. 成功回调
+                    if (ack) ack({
+                        ok: true,
+                        data: { eventId: syncEvent.eventId, serverTime: syncEvent.serverTime }
+                    });
+
+                } catch (error) {
+                    console.error('[Sync] 控制失败:', error.message);
+                    if (ack) ack(this.toErrorAck(error, '播放控制失败'));
+                }
+            });
+
+            // ==================== 事件: 上报片源时长 ====================
+            // 控制者的播放器加载元数据后上报，服务端据此限制跳转并检测片尾
+            socket.on('sync:duration', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new ValidationException('请先加入同步频道');
+                    }
+
+                    const videoState = this.syncService.reportDuration(roomId, participantId, data || {});
+
+                    if (ack) ack({ ok: true, data: { videoState } });
+
+                } catch (error) {
+                    if (ack) ack(this.toErrorAck(error, '片源时长上报失败'));
+                }
+            });
+
+            // ==================== 事件: 上报本地进度 ====================
+            socket.on('sync:report', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new ValidationException('请先加入同步频道');
+                    }
+
+                    // 1. 与服务端进度比较，使用该连接估算出的时钟偏移
+                    const offset = socket.data.clock?.getEstimate()?.offset || 0;
+                    const result = this.syncService.reportPosition(roomId, participantId, data || {}, offset);
+
+                    // 2. 偏差超过阈值时仅对该连接下发校准事件
+                    if (result.correction) {
+                        socket.emit('sync:event', result.correction.toJSON());
+                    }
+
+                    if (ack) ack({
+                        ok: true,
+                        data: {
+                            drift: result.drift,
+                            threshold: result.threshold,
+                            corrected: result.correction !== null
+                        }
+                    });
+
+                } catch (error) {
+                    if (ack) ack(this.toErrorAck(error, '进度上报失败'));
+                }
+            });
+
+            // ==================== 事件: 当前片源播放结束 ====================
+            socket.on('sync:ended', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new ValidationException('请先加入同步频道');
+                    }
+
+                    // 自动切换到播放列表的下一项
+                    const item = this.playlistService.handleEnded(roomId, participantId, data?.itemId);
+
+                    if (ack) ack({ ok: true, data: { next: item ? item.toJSON() : null } });
+
+                } catch (error) {
+                    if (ack) ack(this.toErrorAck(error, '处理播放结束失败'));
+                }
+            });
+
+            // ==================== 事件: 上报缓冲状态 ====================
+            socket.on('sync:buffering', async (data, ack) => {
+                try {
+                    const { roomId, participantId } = socket.data;
+                    if (!roomId) {
+                        throw new ValidationException('请先加入同步频道');
+                    }
+
+                    const result = this.syncService.reportBufferState(roomId, participantId, data?.state);
+
+                    if (ack) ack({ ok: true, data: result });
+
+                } catch (error) {
+                    if (ack) ack(this.toErrorAck(error, '缓冲状态上报失败'));
+                }
+            });
+
+            // ==================== 事件: 客户端发起的对时 ====================
+            // 客户端据此自行计算：服务端时钟 - 客户端时钟 =
+            // ((serverReceiveTime - clientSendTime) + (serverSendTime - 客户端收到 ack 的时间)) / 2
+            socket.on('time:ping', (data, ack) => {
+                const serverReceiveTime = Date.now();
+                if (ack) ack({
+                    clientSendTime: data?.clientSendTime ?? null,
+                    serverReceiveTime,
+                    serverSendTime: Date.now()
+                });
+            });
+
+            // ==================== 事件: 断开连接 ====================
+            socket.on('disconnect', () => {
+                this.stopClockSync(socket);
+                if (socket.data.roomId) {
+                    this.syncService.dropFromBarrier(socket.data.roomId, socket.data.participantId);
+                    console.log(`[Sync] 断开连接: ${socket.id} (Room: ${socket.data.roomId})`);
+                }
+            });
+        });
+    }
+}
+
+module.exports = SyncGateway;
@@ -0,0 +1,69 @@
+/**
+ * @file 身份认证中间件
+ * @description 校验创建或加入房间时签发的身份令牌，以令牌中的身份代替客户端自报的参与者ID。
+ * HTTP 请求通过 Authorization: Bearer 头携带令牌；Socket.IO 连接在握手时通过 auth.token 或同样的请求头携带
+ * @module middlewares/authenticate
+ */
+
+const ParticipantToken = require('../utils/ParticipantToken');
+const { UnauthorizedException } = require('../exceptions/BusinessException');
+
+/**
+ * 从 Authorization 头中提取 Bearer 令牌
+ *
+ * @private
+ * @param {string} [header] - Authorization 头
+ * @returns {string|null} 令牌，格式不符时返回null
+ */
+const extractBearer = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * HTTP 身份认证中间件
+ * 校验通过后将身份挂载在 req.auth 上；路径中带有房间ID时，令牌必须属于该房间
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一步中间件
+ */
+const authenticate = (req, res, next) => {
+  try {
+    const identity = ParticipantToken.verify(extractBearer(req.headers.authorization));
+
+    if (req.params.roomId && req.params.roomId !== identity.roomId) {
+      throw new UnauthorizedException('room_mismatch');
+    }
+
+    req.auth = identity;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Socket.IO 握手认证中间件
+ * 校验通过后将身份挂载在 socket.data.auth 上；失败时拒绝连接，
+ * 客户端可在 connect_error 的 err.data 中拿到错误码
+ *
+ * @param {Socket} socket - Socket 实例
+ * @param {Function} next - 下一步中间件
+ */
+const authenticateSocket = (socket, next) => {
+  try {
+    const { auth, headers } = socket.handshake;
+    socket.data.auth = ParticipantToken.verify(auth?.token || extractBearer(headers.authorization));
+    next();
+  } catch (error) {
+    const rejection = new Error(error.message);
+    rejection.data = {
+      code: error.errorCode || 'UNAUTHORIZED',
+      details: error.details || null
+    };
+    next(rejection);
+  }
+};
+
+module.exports = { authenticate, authenticateSocket };
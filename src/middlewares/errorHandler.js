@@ -31,6 +31,11 @@ const errorHandler = (err, req, res, next) => {
     console.error(`[STACK] ${err.stack}`);
   }
 
+  // 处理频率限制类业务异常，附带 Retry-After 响应头
+  if (err instanceof BusinessException && err.statusCode === 429 && err.retryAfter !== undefined) {
+    return ResponseHelper.tooManyRequests(res, err.message, err.retryAfter, err.errorCode, err.details || null);
+  }
+
   // 处理业务异常
   if (err instanceof BusinessException) {
     return ResponseHelper.error(
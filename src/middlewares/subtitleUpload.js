@@ -0,0 +1,57 @@
+/**
+ * @file 字幕上传中间件
+ * @description 基于 multer 解析 multipart/form-data 中的字幕文件，
+ * 限制文件大小与扩展名，并将上传错误转换为业务异常
+ * @module middlewares/subtitleUpload
+ */
+
+const path = require('path');
+const multer = require('multer');
+const config = require('../config');
+const { ValidationException } = require('../exceptions/BusinessException');
+
+/**
+ * multer 实例
+ * 字幕文件较小，使用内存存储，转换后再由服务层写入磁盘
+ * @private
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.subtitle.maxFileSize,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!config.subtitle.allowedExtensions.includes(extension)) {
+      return callback(new ValidationException('参数验证失败', [
+        { field: 'file', message: `仅支持 ${config.subtitle.allowedExtensions.join('、')} 格式的字幕文件` }
+      ]));
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+/**
+ * 字幕上传中间件
+ * 解析字段名为 file 的单个文件，结果挂载在 req.file 上
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一步中间件
+ */
+const subtitleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `字幕文件不能超过${Math.floor(config.subtitle.maxFileSize / 1024)}KB`
+        : `字幕上传失败: ${error.message}`;
+      return next(new ValidationException('参数验证失败', [
+        { field: error.field || 'file', message }
+      ]));
+    }
+    next(error);
+  });
+};
+
+module.exports = subtitleUpload;
@@ -0,0 +1,108 @@
+/**
+ * @file 封禁记录实体类
+ * @description 定义房间黑名单中的封禁记录，可按成员或昵称封禁，支持到期自动失效。
+ * 按成员封禁时同时记下其加入时的IP，换昵称后从同一IP再次加入仍会被拦截
+ * @module models/Ban
+ */
+
+const IdGenerator = require('../utils/IdGenerator');
+
+/**
+ * 封禁记录类
+ * 
+ * @class Ban
+ * @property {string} id - 封禁记录唯一标识
+ * @property {string|null} participantId - 被封禁的参与者ID，按昵称封禁时为null
+ * @property {string} nickname - 被封禁的昵称
+ * @property {string|null} clientIp - 被封禁成员加入时的IP，按昵称封禁时为null，不对外输出
+ * @property {string} reason - 封禁原因
+ * @property {string} operatorId - 操作者ID
+ * @property {Date} createdAt - 封禁时间
+ * @property {Date|null} expiresAt - 到期时间，null 表示永久封禁
+ */
+class Ban {
+  /**
+   * 创建封禁记录
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string|null} [options.participantId=null] - 被封禁的参与者ID
+   * @param {string} options.nickname - 被封禁的昵称
+   * @param {string|null} [options.clientIp=null] - 被封禁成员加入时的IP
+   * @param {string} [options.reason=''] - 封禁原因
+   * @param {string} options.operatorId - 操作者ID
+   * @param {Date|null} [options.expiresAt=null] - 到期时间
+   */
+  constructor(options) {
+    this.id = IdGenerator.generateTimestampId();
+    this.participantId = options.participantId || null;
+    this.nickname = options.nickname;
+    this.clientIp = options.clientIp || null;
+    this.reason = options.reason || '';
+    this.operatorId = options.operatorId;
+    this.createdAt = new Date();
+    this.expiresAt = options.expiresAt || null;
+  }
+
+  /**
+   * 统一昵称格式，忽略首尾空白与大小写
+   * 
+   * @static
+   * @param {string} nickname - 昵称
+   * @returns {string} 归一化后的昵称
+   */
+  static normalizeNickname(nickname) {
+    return typeof nickname === 'string' ? nickname.trim().toLowerCase() : '';
+  }
+
+  /**
+   * 检查封禁是否仍然有效
+   * 
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {boolean} 是否有效
+   */
+  isActive(now = Date.now()) {
+    return this.expiresAt === null || this.expiresAt.getTime() > now;
+  }
+
+  /**
+   * 检查用户是否命中该封禁
+   * 按成员封禁时同时匹配参与者ID、封禁时的昵称与该成员加入时的IP
+   * （游客没有固定账号，重新加入时只能通过昵称或IP再次识别）
+   * 
+   * @param {Object} identity - 用户身份
+   * @param {string} [identity.participantId] - 参与者ID
+   * @param {string} [identity.nickname] - 昵称
+   * @param {string} [identity.clientIp] - 请求方IP
+   * @returns {boolean} 是否命中
+   */
+  matches({ participantId, nickname, clientIp }) {
+    if (this.participantId && participantId && this.participantId === participantId) {
+      return true;
+    }
+    if (this.clientIp && clientIp && this.clientIp === clientIp) {
+      return true;
+    }
+    return Ban.normalizeNickname(nickname) !== '' &&
+      Ban.normalizeNickname(nickname) === Ban.normalizeNickname(this.nickname);
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      participantId: this.participantId,
+      nickname: this.nickname,
+      reason: this.reason,
+      operatorId: this.operatorId,
+      createdAt: this.createdAt.toISOString(),
+      expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null
+    };
+  }
+}
+
+module.exports = { Ban };
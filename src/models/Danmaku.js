@@ -0,0 +1,83 @@
+/**
+ * @file 弹幕实体类
+ * @description 定义锚定在视频时间轴上的弹幕数据结构
+ * @module models/Danmaku
+ */
+
+const IdGenerator = require('../utils/IdGenerator');
+
+/**
+ * 弹幕显示位置枚举
+ * @readonly
+ * @enum {string}
+ */
+const DanmakuMode = {
+  /** 从右向左滚动 */
+  SCROLL: 'scroll',
+  /** 顶部固定 */
+  TOP: 'top',
+  /** 底部固定 */
+  BOTTOM: 'bottom'
+};
+
+/**
+ * 弹幕类
+ * 
+ * @class Danmaku
+ * @property {string} id - 弹幕唯一标识
+ * @property {string} roomId - 所属房间ID
+ * @property {string} source - 弹幕所属的视频源URL
+ * @property {number} time - 在视频中出现的时间点(秒)
+ * @property {string} content - 弹幕内容
+ * @property {string} mode - 显示位置
+ * @property {string} color - 颜色（#RRGGBB）
+ * @property {Object} from - 发送者信息
+ * @property {Date} sentAt - 发送时间
+ */
+class Danmaku {
+  /**
+   * 创建弹幕实例
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string} options.roomId - 所属房间ID
+   * @param {string} options.source - 视频源URL
+   * @param {number} options.time - 视频时间点(秒)
+   * @param {string} options.content - 弹幕内容
+   * @param {string} [options.mode='scroll'] - 显示位置
+   * @param {string} [options.color='#FFFFFF'] - 颜色
+   * @param {Object} options.from - 发送者信息 { participantId, nickname }
+   */
+  constructor(options) {
+    this.id = IdGenerator.generateTimestampId();
+    this.roomId = options.roomId;
+    this.source = options.source;
+    this.time = options.time;
+    this.content = options.content;
+    this.mode = options.mode || DanmakuMode.SCROLL;
+    this.color = options.color || '#FFFFFF';
+    this.from = options.from;
+    this.sentAt = new Date();
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      roomId: this.roomId,
+      source: this.source,
+      time: this.time,
+      content: this.content,
+      mode: this.mode,
+      color: this.color,
+      from: this.from,
+      sentAt: this.sentAt.toISOString()
+    };
+  }
+}
+
+module.exports = { Danmaku, DanmakuMode };
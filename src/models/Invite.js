@@ -0,0 +1,82 @@
+/**
+ * @file 邀请实体类
+ * @description 定义房间邀请码，可设置有效期、可使用次数与加入后获得的角色；
+ * 持有有效邀请码加入房间时无需密码
+ * @module models/Invite
+ */
+
+const IdGenerator = require('../utils/IdGenerator');
+const { ParticipantRole } = require('./Participant');
+
+/**
+ * 邀请类
+ * 
+ * @class Invite
+ * @property {string} id - 邀请唯一标识
+ * @property {string} code - 邀请码
+ * @property {string} role - 通过邀请加入后获得的角色
+ * @property {number|null} maxUses - 可使用次数，null 表示不限
+ * @property {number} uses - 已使用次数
+ * @property {string} operatorId - 创建者ID
+ * @property {Date} createdAt - 创建时间
+ * @property {Date} expiresAt - 到期时间
+ */
+class Invite {
+  /**
+   * 创建邀请
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string} [options.role='viewer'] - 加入后获得的角色
+   * @param {number|null} [options.maxUses=null] - 可使用次数
+   * @param {string} options.operatorId - 创建者ID
+   * @param {Date} options.expiresAt - 到期时间
+   */
+  constructor(options) {
+    this.id = IdGenerator.generateTimestampId();
+    this.code = IdGenerator.generateInviteCode();
+    this.role = options.role || ParticipantRole.VIEWER;
+    this.maxUses = options.maxUses || null;
+    this.uses = 0;
+    this.operatorId = options.operatorId;
+    this.createdAt = new Date();
+    this.expiresAt = options.expiresAt;
+  }
+
+  /**
+   * 检查邀请是否仍然有效（未到期且未用完）
+   * 
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {boolean} 是否有效
+   */
+  isActive(now = Date.now()) {
+    return this.expiresAt.getTime() > now && (this.maxUses === null || this.uses < this.maxUses);
+  }
+
+  /**
+   * 记录一次使用
+   */
+  consume() {
+    this.uses++;
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      code: this.code,
+      role: this.role,
+      maxUses: this.maxUses,
+      uses: this.uses,
+      operatorId: this.operatorId,
+      createdAt: this.createdAt.toISOString(),
+      expiresAt: this.expiresAt.toISOString()
+    };
+  }
+}
+
+module.exports = { Invite };
@@ -0,0 +1,123 @@
+/**
+ * @file 入场申请实体类
+ * @description 定义开启入场审批的房间中待审批的加入请求。
+ * 申请者凭申请时下发的凭证在等候室等待审批结果，批准后从中取得参与者身份令牌
+ * @module models/JoinRequest
+ */
+
+const crypto = require('crypto');
+const IdGenerator = require('../utils/IdGenerator');
+
+/**
+ * 入场申请状态枚举
+ * @readonly
+ * @enum {string}
+ */
+const JoinRequestStatus = {
+  /** 等待审批 */
+  PENDING: 'pending',
+  /** 已批准 */
+  APPROVED: 'approved',
+  /** 已拒绝 */
+  DENIED: 'denied',
+  /** 超时未处理 */
+  EXPIRED: 'expired'
+};
+
+/**
+ * 入场申请类
+ * 
+ * @class JoinRequest
+ * @property {string} id - 申请唯一标识
+ * @property {string} nickname - 申请者昵称
+ * @property {string|null} clientIp - 申请者IP，批准时用于黑名单校验，不对外输出
+ * @property {string} ticket - 等候凭证，仅下发给申请者本人
+ * @property {string} status - 申请状态
+ * @property {string|null} operatorId - 处理人ID
+ * @property {Object|null} admission - 批准后的入场结果（房间信息、参与者信息与身份令牌），仅下发给申请者本人
+ * @property {Date} createdAt - 申请时间
+ * @property {Date} expiresAt - 等待时限
+ * @property {Date|null} resolvedAt - 处理时间
+ */
+class JoinRequest {
+  /**
+   * 创建入场申请
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string} options.nickname - 申请者昵称
+   * @param {string|null} [options.clientIp=null] - 申请者IP
+   * @param {Date} options.expiresAt - 等待时限
+   */
+  constructor(options) {
+    this.id = IdGenerator.generateTimestampId();
+    this.nickname = options.nickname;
+    this.clientIp = options.clientIp || null;
+    this.ticket = IdGenerator.generateSecret();
+    this.status = JoinRequestStatus.PENDING;
+    this.operatorId = null;
+    this.admission = null;
+    this.createdAt = new Date();
+    this.expiresAt = options.expiresAt;
+    this.resolvedAt = null;
+  }
+
+  /**
+   * 检查申请是否仍在等待审批
+   * 
+   * @returns {boolean} 是否待审批
+   */
+  isPending() {
+    return this.status === JoinRequestStatus.PENDING;
+  }
+
+  /**
+   * 校验等候凭证
+   * 
+   * @param {string} ticket - 申请者出示的凭证
+   * @returns {boolean} 是否匹配
+   */
+  verifyTicket(ticket) {
+    if (typeof ticket !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.ticket);
+    const actual = Buffer.from(ticket);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * 记录审批结果
+   * 
+   * @param {string} status - 结果状态（approved/denied/expired）
+   * @param {Object} [options={}] - 附加信息
+   * @param {string|null} [options.operatorId=null] - 处理人ID，超时时为null
+   * @param {Object|null} [options.admission=null] - 批准后的入场结果
+   */
+  resolve(status, options = {}) {
+    this.status = status;
+    this.operatorId = options.operatorId || null;
+    this.admission = options.admission || null;
+    this.resolvedAt = new Date();
+  }
+
+  /**
+   * 转换为JSON格式
+   * 不包含等候凭证与入场结果，可以广播给审批者
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      nickname: this.nickname,
+      status: this.status,
+      operatorId: this.operatorId,
+      createdAt: this.createdAt.toISOString(),
+      expiresAt: this.expiresAt.toISOString(),
+      resolvedAt: this.resolvedAt ? this.resolvedAt.toISOString() : null
+    };
+  }
+}
+
+module.exports = { JoinRequest, JoinRequestStatus };
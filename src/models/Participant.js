@@ -12,6 +12,10 @@
 const ParticipantRole = {
   /** 房间创建者/管理员 - 拥有最高权限 */
   CREATOR: 'creator',
+  /** 房管 - 由创建者授予，可维护房间秩序（踢人、禁言、封禁等） */
+  MODERATOR: 'moderator',
+  /** 放映控制者 - 由创建者授予，可控制播放 */
+  CONTROLLER: 'controller',
   /** 普通观众 */
   VIEWER: 'viewer'
 };
@@ -39,6 +43,10 @@ const ParticipantStatus = {
  * @property {string} status - 在线状态
  * @property {Date} joinTime - 加入时间
  * @property {string|null} socketId - WebSocket连接ID
+ * @property {Object|null} latency - 最近一次测得的网络时延与时钟偏移
+ * @property {Object} drift - 播放进度偏差统计
+ * @property {Object|null} mute - 禁言信息 { until, reason, operatorId }，未被禁言时为null
+ * @property {string|null} clientIp - 加入时的请求方IP，用于封禁后识别换昵称重新加入，不对外输出
  */
 class Participant {
   /**
@@ -50,6 +58,7 @@ class Participant {
    * @param {string} options.nickname - 昵称
    * @param {string} [options.role='viewer'] - 角色
    * @param {string} [options.socketId=null] - Socket连接ID
+   * @param {string|null} [options.clientIp=null] - 加入时的请求方IP
    */
   constructor(options) {
     this.id = options.id;
@@ -58,6 +67,17 @@ class Participant {
     this.status = ParticipantStatus.ONLINE;
     this.joinTime = new Date();
     this.socketId = options.socketId || null;
+    this.latency = null;
+    this.drift = {
+      last: null,
+      average: 0,
+      max: 0,
+      samples: 0,
+      corrections: 0,
+      reportedAt: null
+    };
+    this.mute = null;
+    this.clientIp = options.clientIp || null;
   }
 
   /**
@@ -69,6 +89,17 @@ class Participant {
     return this.role === ParticipantRole.CREATOR;
   }
 
+  /**
+   * 设置角色
+   * 
+   * @param {string} role - 新角色
+   */
+  setRole(role) {
+    if (Object.values(ParticipantRole).includes(role)) {
+      this.role = role;
+    }
+  }
+
   /**
    * 设置在线状态
    * 
@@ -90,6 +121,75 @@ class Participant {
     this.status = socketId ? ParticipantStatus.ONLINE : ParticipantStatus.OFFLINE;
   }
 
+  /**
+   * 禁言
+   * 
+   * @param {Object} options - 禁言选项
+   * @param {Date|null} [options.until=null] - 解除时间，null 表示直到手动解除
+   * @param {string} [options.reason=''] - 禁言原因
+   * @param {string} options.operatorId - 操作者ID
+   */
+  setMute({ until = null, reason = '', operatorId }) {
+    this.mute = { until, reason, operatorId };
+  }
+
+  /**
+   * 解除禁言
+   * 
+   * @returns {boolean} 解除前是否处于禁言状态
+   */
+  clearMute() {
+    const wasMuted = this.isMuted();
+    this.mute = null;
+    return wasMuted;
+  }
+
+  /**
+   * 检查是否处于禁言状态，已到期的禁言会被自动清除
+   * 
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {boolean} 是否被禁言
+   */
+  isMuted(now = Date.now()) {
+    if (this.mute && this.mute.until && this.mute.until.getTime() <= now) {
+      this.mute = null;
+    }
+    return this.mute !== null;
+  }
+
+  /**
+   * 记录测得的网络时延
+   * 
+   * @param {Object} estimate - 时钟估算结果
+   * @param {number} estimate.rtt - 往返时延(毫秒)
+   * @param {number} estimate.offset - 客户端相对服务端的时钟偏移(毫秒)
+   */
+  setLatency(estimate) {
+    this.latency = {
+      rtt: estimate.rtt,
+      offset: estimate.offset,
+      measuredAt: new Date()
+    };
+  }
+
+  /**
+   * 记录一次进度偏差上报
+   * 
+   * @param {number} drift - 本地进度减去服务端进度(秒)，正数表示超前
+   * @param {boolean} corrected - 本次是否触发了强制校准
+   */
+  recordDrift(drift, corrected) {
+    const stats = this.drift;
+    const magnitude = Math.abs(drift);
+
+    stats.last = drift;
+    stats.average = (stats.average * stats.samples + magnitude) / (stats.samples + 1);
+    stats.max = Math.max(stats.max, magnitude);
+    stats.samples++;
+    if (corrected) stats.corrections++;
+    stats.reportedAt = new Date();
+  }
+
   /**
    * 转换为JSON格式（安全版本，不包含敏感信息）
    * 
@@ -101,7 +201,16 @@ class Participant {
       nickname: this.nickname,
       role: this.role,
       status: this.status,
-      joinTime: this.joinTime.toISOString()
+      joinTime: this.joinTime.toISOString(),
+      muted: this.isMuted(),
+      mutedUntil: this.mute && this.mute.until ? this.mute.until.toISOString() : null,
+      latency: this.latency
+        ? { ...this.latency, measuredAt: this.latency.measuredAt.toISOString() }
+        : null,
+      drift: {
+        ...this.drift,
+        reportedAt: this.drift.reportedAt ? this.drift.reportedAt.toISOString() : null
+      }
     };
   }
 }
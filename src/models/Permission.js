@@ -0,0 +1,97 @@
+/**
+ * @file 权限定义
+ * @description 定义房间内的命名权限及各角色的默认权限矩阵
+ * @module models/Permission
+ */
+
+const { ParticipantRole } = require('./Participant');
+
+/**
+ * 权限枚举
+ * @readonly
+ * @enum {string}
+ */
+const Permission = {
+  /** 控制播放（播放/暂停/跳转/倍速/片源/字幕） */
+  CONTROL_PLAYBACK: 'control_playback',
+  /** 管理播放列表 */
+  MANAGE_PLAYLIST: 'manage_playlist',
+  /** 修改房间配置 */
+  EDIT_CONFIG: 'edit_config',
+  /** 设置成员角色 */
+  MANAGE_ROLES: 'manage_roles',
+  /** 踢出成员 */
+  KICK: 'kick',
+  /** 封禁用户、管理黑名单 */
+  BAN: 'ban',
+  /** 禁言成员 */
+  MUTE: 'mute',
+  /** 创建、查看与撤销邀请 */
+  MANAGE_INVITES: 'manage_invites',
+  /** 审批入场申请 */
+  ADMIT: 'admit',
+  /** 置顶消息 */
+  PIN_MESSAGES: 'pin_messages',
+  /** 调整权限矩阵 */
+  MANAGE_PERMISSIONS: 'manage_permissions',
+  /** 转让房主 */
+  TRANSFER_OWNERSHIP: 'transfer_ownership',
+  /** 解散房间 */
+  DISSOLVE: 'dissolve'
+};
+
+/**
+ * 权限的中文名称，用于权限不足时的提示
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const PermissionLabels = {
+  [Permission.CONTROL_PLAYBACK]: '控制播放',
+  [Permission.MANAGE_PLAYLIST]: '管理播放列表',
+  [Permission.EDIT_CONFIG]: '更新房间配置',
+  [Permission.MANAGE_ROLES]: '设置参与者角色',
+  [Permission.KICK]: '踢出参与者',
+  [Permission.BAN]: '封禁用户',
+  [Permission.MUTE]: '禁言成员',
+  [Permission.MANAGE_INVITES]: '管理邀请',
+  [Permission.ADMIT]: '审批入场申请',
+  [Permission.PIN_MESSAGES]: '置顶消息',
+  [Permission.MANAGE_PERMISSIONS]: '调整权限',
+  [Permission.TRANSFER_OWNERSHIP]: '转让房主',
+  [Permission.DISSOLVE]: '解散房间'
+};
+
+/**
+ * 仅创建者可拥有的权限，不能通过自定义矩阵授予其他角色
+ * @readonly
+ * @type {string[]}
+ */
+const CreatorOnlyPermissions = [
+  Permission.MANAGE_PERMISSIONS,
+  Permission.TRANSFER_OWNERSHIP,
+  Permission.DISSOLVE
+];
+
+/**
+ * 默认权限矩阵
+ * 创建者拥有全部权限且不可调整；其余角色可由创建者按房间自定义
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+const DefaultRolePermissions = {
+  [ParticipantRole.CREATOR]: Object.values(Permission),
+  [ParticipantRole.MODERATOR]: [
+    Permission.CONTROL_PLAYBACK,
+    Permission.MANAGE_PLAYLIST,
+    Permission.KICK,
+    Permission.BAN,
+    Permission.MUTE,
+    Permission.MANAGE_INVITES,
+    Permission.ADMIT,
+    Permission.PIN_MESSAGES
+  ],
+  [ParticipantRole.CONTROLLER]: [Permission.CONTROL_PLAYBACK],
+  [ParticipantRole.VIEWER]: []
+};
+
+module.exports = { Permission, PermissionLabels, CreatorOnlyPermissions, DefaultRolePermissions };
@@ -0,0 +1,173 @@
+/**
+ * @file 播放列表实体类
+ * @description 定义房间待播队列的数据结构，管理队列项的增删、排序与切换
+ * @module models/Playlist
+ */
+
+const IdGenerator = require('../utils/IdGenerator');
+
+/**
+ * 播放列表项类
+ * 
+ * @class PlaylistItem
+ * @property {string} id - 队列项唯一标识
+ * @property {string} title - 标题
+ * @property {string} url - 视频源URL
+ * @property {string|null} subtitle - 字幕设置
+ * @property {string|null} addedBy - 添加者ID
+ * @property {Date} addTime - 添加时间
+ */
+class PlaylistItem {
+  /**
+   * 创建播放列表项实例
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string} options.title - 标题
+   * @param {string} options.url - 视频源URL
+   * @param {string|null} [options.subtitle=null] - 字幕设置
+   * @param {string|null} [options.addedBy=null] - 添加者ID
+   */
+  constructor(options) {
+    this.id = IdGenerator.generateTimestampId();
+    this.title = options.title;
+    this.url = options.url;
+    this.subtitle = options.subtitle || null;
+    this.addedBy = options.addedBy || null;
+    this.addTime = new Date();
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      url: this.url,
+      subtitle: this.subtitle,
+      addedBy: this.addedBy,
+      addTime: this.addTime.toISOString()
+    };
+  }
+}
+
+/**
+ * 播放列表类
+ * 采用队列语义：items 为待播队列，current 为正在播放的队列项，
+ * 切换到下一项时从队首取出
+ * 
+ * @class Playlist
+ * @property {PlaylistItem[]} items - 待播队列
+ * @property {PlaylistItem|null} current - 正在播放的队列项
+ */
+class Playlist {
+  /**
+   * 创建播放列表实例
+   * 
+   * @constructor
+   */
+  constructor() {
+    this.items = [];
+    this.current = null;
+  }
+
+  /**
+   * 获取待播队列长度
+   * 
+   * @returns {number} 队列长度
+   */
+  size() {
+    return this.items.length;
+  }
+
+  /**
+   * 添加队列项到队尾
+   * 
+   * @param {Object} itemData - 队列项数据，参见 PlaylistItem 构造参数
+   * @returns {PlaylistItem} 添加的队列项
+   */
+  add(itemData) {
+    const item = new PlaylistItem(itemData);
+    this.items.push(item);
+    return item;
+  }
+
+  /**
+   * 查找队列项
+   * 
+   * @param {string} itemId - 队列项ID
+   * @returns {PlaylistItem|undefined} 队列项
+   */
+  find(itemId) {
+    return this.items.find(item => item.id === itemId);
+  }
+
+  /**
+   * 移除队列项
+   * 
+   * @param {string} itemId - 队列项ID
+   * @returns {boolean} 是否移除成功
+   */
+  remove(itemId) {
+    const index = this.items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      return false;
+    }
+    this.items.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * 移动队列项到指定位置
+   * 超出范围的位置会被限制到队首或队尾
+   * 
+   * @param {string} itemId - 队列项ID
+   * @param {number} position - 目标位置(从0开始)
+   * @returns {boolean} 是否移动成功
+   */
+  move(itemId, position) {
+    const index = this.items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      return false;
+    }
+    const [item] = this.items.splice(index, 1);
+    const target = Math.min(Math.max(0, position), this.items.length);
+    this.items.splice(target, 0, item);
+    return true;
+  }
+
+  /**
+   * 切换到下一项
+   * 从队首取出一项作为当前播放项
+   * 
+   * @returns {PlaylistItem|null} 新的当前播放项，队列为空时返回null
+   */
+  next() {
+    this.current = this.items.shift() || null;
+    return this.current;
+  }
+
+  /**
+   * 清除当前播放项（例如手动更换了片源）
+   */
+  clearCurrent() {
+    this.current = null;
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      current: this.current ? this.current.toJSON() : null,
+      items: this.items.map(item => item.toJSON())
+    };
+  }
+}
+
+module.exports = { Playlist, PlaylistItem };
@@ -5,7 +5,9 @@
  */
 
 const { VideoState } = require('./VideoState');
-const { Participant, ParticipantRole } = require('./Participant');
+const { Playlist } = require('./Playlist');
+const { Participant, ParticipantRole, ParticipantStatus } = require('./Participant');
+const { CreatorOnlyPermissions, DefaultRolePermissions } = require('./Permission');
 
 /**
  * 房间状态枚举
@@ -21,6 +23,62 @@ const RoomStatus = {
   CLOSED: 'closed'
 };
 
+/**
+ * 内容审核策略枚举
+ * 决定聊天消息、房间名称、公告与昵称命中敏感词时的处理方式
+ * @readonly
+ * @enum {string}
+ */
+const ModerationPolicy = {
+  /** 将敏感词替换为 * 后放行 */
+  MASK: 'mask',
+  /** 直接拒绝 */
+  REJECT: 'reject',
+  /** 原样放行，并标记待审核 */
+  REVIEW: 'review'
+};
+
+/**
+ * 聊天模式枚举
+ * @readonly
+ * @enum {string}
+ */
+const ChatMode = {
+  /** 所有成员均可发言 */
+  OPEN: 'open',
+  /** 仅拥有播放控制权限的成员可发言 */
+  CONTROLLERS: 'controllers',
+  /** 慢速模式，每位成员两次发言之间需间隔指定秒数（拥有房间配置权限的成员不受限） */
+  SLOW: 'slow',
+  /** 关闭聊天 */
+  OFF: 'off'
+};
+
+/**
+ * 房主继任策略枚举
+ * 决定创建者退出房间或离线超过宽限期后的处理方式
+ * @readonly
+ * @enum {string}
+ */
+const SuccessionPolicy = {
+  /** 由在房间内时间最长的成员继任（优先在线成员） */
+  PROMOTE: 'promote',
+  /** 关闭房间 */
+  CLOSE: 'close'
+};
+
+/**
+ * 房间状态允许的迁移
+ * 等待中与放映中可以相互切换，任意状态都可以关闭，关闭后不可再变更
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+const RoomStatusTransitions = {
+  [RoomStatus.WAITING]: [RoomStatus.PLAYING, RoomStatus.CLOSED],
+  [RoomStatus.PLAYING]: [RoomStatus.WAITING, RoomStatus.CLOSED],
+  [RoomStatus.CLOSED]: []
+};
+
 /**
  * 房间类
  * 线上观影室的核心实体，管理房间配置、视频状态和参与者
@@ -30,11 +88,26 @@ const RoomStatus = {
  * @property {string} id - 房间唯一标识(房间号)
  * @property {string} name - 房间名称
  * @property {number} capacity - 人数上限
- * @property {string|null} password - 房间密码(可选)
+ * @property {string|null} passwordHash - 房间密码的哈希(可选)，明文密码不会保存
  * @property {string} announcement - 房间公告
  * @property {string} status - 房间状态
+ * @property {number} driftThreshold - 同步误差阈值(秒)
+ * @property {boolean} bufferingBarrier - 是否启用缓冲等待（有成员缓冲时全员暂停）
+ * @property {number} bufferingTimeout - 缓冲等待超时(秒)
+ * @property {Date|null} scheduledStartTime - 预约开播时间
+ * @property {string} moderationPolicy - 内容审核策略
+ * @property {string} chatMode - 聊天模式
+ * @property {number} slowModeInterval - 慢速模式下的发言间隔(秒)
+ * @property {string} successionPolicy - 房主继任策略
+ * @property {boolean} requireApproval - 是否需要审批才能入场（持有效邀请码时免审批）
+ * @property {Object<string, string[]>} rolePermissions - 创建者自定义的角色权限，未自定义的角色沿用默认矩阵
  * @property {VideoState} videoState - 视频状态
+ * @property {Playlist} playlist - 播放列表
+ * @property {Map<string, SubtitleTrack>} subtitleTracks - 字幕轨道映射表
  * @property {Map<string, Participant>} participants - 参与者映射表
+ * @property {Map<string, Ban>} bans - 封禁记录映射表（黑名单）
+ * @property {Map<string, Invite>} invites - 邀请映射表
+ * @property {Map<string, JoinRequest>} joinRequests - 入场申请映射表
  * @property {string} creatorId - 创建者ID
  * @property {Date} createTime - 创建时间
  * @property {Date} updateTime - 最后更新时间
@@ -48,8 +121,17 @@ class Room {
    * @param {string} options.id - 房间ID
    * @param {string} options.name - 房间名称
    * @param {number} [options.capacity=10] - 人数上限
-   * @param {string|null} [options.password=null] - 房间密码
+   * @param {string|null} [options.passwordHash=null] - 房间密码的哈希
    * @param {string} [options.announcement=''] - 房间公告
+   * @param {number} [options.driftThreshold=1] - 同步误差阈值(秒)
+   * @param {boolean} [options.bufferingBarrier=false] - 是否启用缓冲等待
+   * @param {number} [options.bufferingTimeout=15] - 缓冲等待超时(秒)
+   * @param {Date|string|number|null} [options.scheduledStartTime=null] - 预约开播时间
+   * @param {string} [options.moderationPolicy='mask'] - 内容审核策略
+   * @param {string} [options.chatMode='open'] - 聊天模式
+   * @param {number} [options.slowModeInterval=10] - 慢速模式下的发言间隔(秒)
+   * @param {string} [options.successionPolicy='promote'] - 房主继任策略
+   * @param {boolean} [options.requireApproval=false] - 是否需要审批才能入场
    * @param {string} options.creatorId - 创建者ID
    * @param {string} options.creatorNickname - 创建者昵称
    */
@@ -58,15 +140,30 @@ class Room {
     this.id = options.id;
     this.name = options.name;
     this.capacity = options.capacity || 10;
-    this.password = options.password || null;
+    this.passwordHash = options.passwordHash || null;
     this.announcement = options.announcement || '';
+    this.driftThreshold = options.driftThreshold || 1;
+    this.bufferingBarrier = options.bufferingBarrier || false;
+    this.bufferingTimeout = options.bufferingTimeout || 15;
+    this.scheduledStartTime = options.scheduledStartTime ? new Date(options.scheduledStartTime) : null;
+    this.moderationPolicy = options.moderationPolicy || ModerationPolicy.MASK;
+    this.chatMode = options.chatMode || ChatMode.OPEN;
+    this.slowModeInterval = options.slowModeInterval || 10;
+    this.successionPolicy = options.successionPolicy || SuccessionPolicy.PROMOTE;
+    this.requireApproval = options.requireApproval || false;
+    this.rolePermissions = {};
     
     // 状态信息
     this.status = RoomStatus.WAITING;
     this.videoState = new VideoState();
+    this.playlist = new Playlist();
+    this.subtitleTracks = new Map();
     
     // 参与者管理
     this.participants = new Map();
+    this.bans = new Map();
+    this.invites = new Map();
+    this.joinRequests = new Map();
     this.creatorId = options.creatorId;
     
     // 时间信息
@@ -89,20 +186,7 @@ class Room {
    * @returns {boolean} 是否需要密码
    */
   hasPassword() {
-    return this.password !== null && this.password !== '';
-  }
-
-  /**
-   * 验证房间密码
-   * 
-   * @param {string} password - 待验证的密码
-   * @returns {boolean} 密码是否正确
-   */
-  validatePassword(password) {
-    if (!this.hasPassword()) {
-      return true;
-    }
-    return this.password === password;
+    return this.passwordHash !== null && this.passwordHash !== '';
   }
 
   /**
@@ -187,41 +271,339 @@ class Room {
     return this.creatorId === participantId;
   }
 
+  /**
+   * 挑选房主继任者
+   * 在除创建者外的成员中选择加入时间最早的一位，优先考虑在线成员
+   * 
+   * @returns {Participant|null} 继任者，没有其他成员时返回null
+   */
+  findSuccessor() {
+    const candidates = Array.from(this.participants.values()).filter(p => p.id !== this.creatorId);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const online = candidates.filter(p => p.status === ParticipantStatus.ONLINE);
+    const pool = online.length > 0 ? online : candidates;
+    return pool.reduce((earliest, p) => (p.joinTime < earliest.joinTime ? p : earliest));
+  }
+
+  /**
+   * 转让房主身份
+   * 原创建者（若仍在房间内）降为放映控制者，目标成员成为创建者
+   * 
+   * @param {string} participantId - 新创建者ID
+   * @returns {Array<{participant: Participant, previousRole: string}>|null} 角色发生变化的成员，目标不存在时返回null
+   */
+  transferOwnership(participantId) {
+    const successor = this.participants.get(participantId);
+    if (!successor) {
+      return null;
+    }
+
+    const changes = [];
+    const previous = this.getCreator();
+    if (previous && previous !== successor) {
+      changes.push({ participant: previous, previousRole: previous.role });
+      previous.setRole(ParticipantRole.CONTROLLER);
+    }
+
+    changes.push({ participant: successor, previousRole: successor.role });
+    successor.setRole(ParticipantRole.CREATOR);
+
+    this.creatorId = participantId;
+    this.updateTime = new Date();
+    return changes;
+  }
+
+  /**
+   * 获取角色在本房间的有效权限
+   * 
+   * @param {string} role - 角色
+   * @returns {string[]} 权限列表
+   */
+  getRolePermissions(role) {
+    if (role === ParticipantRole.CREATOR) {
+      return DefaultRolePermissions[ParticipantRole.CREATOR];
+    }
+    return this.rolePermissions[role] || DefaultRolePermissions[role] || [];
+  }
+
+  /**
+   * 获取本房间的完整权限矩阵
+   * 
+   * @returns {Object<string, string[]>} 角色到权限列表的映射
+   */
+  getPermissionMatrix() {
+    const matrix = {};
+    Object.keys(DefaultRolePermissions).forEach(role => {
+      matrix[role] = [...this.getRolePermissions(role)];
+    });
+    return matrix;
+  }
+
+  /**
+   * 自定义角色权限
+   * 仅创建者可拥有的权限会被忽略，创建者自身的权限不可调整
+   * 
+   * @param {string} role - 角色
+   * @param {string[]|null} permissions - 权限列表，null 表示恢复默认
+   */
+  setRolePermissions(role, permissions) {
+    if (role === ParticipantRole.CREATOR) {
+      return;
+    }
+    if (permissions === null) {
+      delete this.rolePermissions[role];
+    } else {
+      this.rolePermissions[role] = [...new Set(permissions)]
+        .filter(permission => !CreatorOnlyPermissions.includes(permission));
+    }
+    this.updateTime = new Date();
+  }
+
+  /**
+   * 检查参与者是否拥有指定权限
+   * 所有权限判断都应经过此方法，创建者始终拥有全部权限
+   * 
+   * @param {Participant|null|undefined} participant - 参与者
+   * @param {string} permission - 权限
+   * @returns {boolean} 是否拥有该权限
+   */
+  can(participant, permission) {
+    if (!participant || !this.participants.has(participant.id)) {
+      return false;
+    }
+    if (participant.id === this.creatorId) {
+      return true;
+    }
+    return this.getRolePermissions(participant.role).includes(permission);
+  }
+
+  /**
+   * 添加封禁记录
+   * 
+   * @param {Ban} ban - 封禁记录
+   * @returns {Ban} 添加的封禁记录
+   */
+  addBan(ban) {
+    this.bans.set(ban.id, ban);
+    this.updateTime = new Date();
+    return ban;
+  }
+
+  /**
+   * 移除封禁记录
+   * 
+   * @param {string} banId - 封禁记录ID
+   * @returns {boolean} 是否移除成功
+   */
+  removeBan(banId) {
+    const result = this.bans.delete(banId);
+    if (result) {
+      this.updateTime = new Date();
+    }
+    return result;
+  }
+
+  /**
+   * 获取仍然有效的封禁记录，顺带清理已过期的记录
+   * 
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {Ban[]} 有效的封禁记录
+   */
+  getActiveBans(now = Date.now()) {
+    this.bans.forEach((ban, id) => {
+      if (!ban.isActive(now)) {
+        this.bans.delete(id);
+      }
+    });
+    return Array.from(this.bans.values());
+  }
+
+  /**
+   * 查找用户命中的有效封禁记录
+   * 
+   * @param {Object} identity - 用户身份
+   * @param {string} [identity.participantId] - 参与者ID
+   * @param {string} [identity.nickname] - 昵称
+   * @param {string} [identity.clientIp] - 请求方IP
+   * @returns {Ban|null} 命中的封禁记录，未被封禁时返回null
+   */
+  findActiveBan(identity) {
+    return this.getActiveBans().find(ban => ban.matches(identity)) || null;
+  }
+
+  /**
+   * 添加邀请
+   * 
+   * @param {Invite} invite - 邀请
+   * @returns {Invite} 添加的邀请
+   */
+  addInvite(invite) {
+    this.invites.set(invite.id, invite);
+    this.updateTime = new Date();
+    return invite;
+  }
+
+  /**
+   * 撤销邀请
+   * 
+   * @param {string} inviteId - 邀请ID
+   * @returns {boolean} 是否撤销成功
+   */
+  removeInvite(inviteId) {
+    const result = this.invites.delete(inviteId);
+    if (result) {
+      this.updateTime = new Date();
+    }
+    return result;
+  }
+
+  /**
+   * 获取仍然有效的邀请，顺带清理已到期或已用完的邀请
+   * 
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {Invite[]} 有效的邀请
+   */
+  getActiveInvites(now = Date.now()) {
+    this.invites.forEach((invite, id) => {
+      if (!invite.isActive(now)) {
+        this.invites.delete(id);
+      }
+    });
+    return Array.from(this.invites.values());
+  }
+
+  /**
+   * 按邀请码查找有效的邀请
+   * 
+   * @param {string} code - 邀请码
+   * @returns {Invite|null} 邀请，不存在或已失效时返回null
+   */
+  findActiveInvite(code) {
+    return this.getActiveInvites().find(invite => invite.code === code) || null;
+  }
+
+  /**
+   * 添加入场申请
+   * 
+   * @param {JoinRequest} request - 入场申请
+   * @returns {JoinRequest} 添加的申请
+   */
+  addJoinRequest(request) {
+    this.joinRequests.set(request.id, request);
+    return request;
+  }
+
+  /**
+   * 获取入场申请
+   * 
+   * @param {string} requestId - 申请ID
+   * @returns {JoinRequest|null} 入场申请
+   */
+  getJoinRequest(requestId) {
+    return this.joinRequests.get(requestId) || null;
+  }
+
+  /**
+   * 移除入场申请
+   * 
+   * @param {string} requestId - 申请ID
+   * @returns {boolean} 是否移除成功
+   */
+  removeJoinRequest(requestId) {
+    return this.joinRequests.delete(requestId);
+  }
+
+  /**
+   * 获取等待审批的入场申请
+   * 
+   * @returns {JoinRequest[]} 待审批的申请，按申请时间先后排列
+   */
+  getPendingJoinRequests() {
+    return Array.from(this.joinRequests.values()).filter(request => request.isPending());
+  }
+
   /**
    * 更新房间配置
    * 
    * @param {Object} config - 新配置
    * @param {string} [config.name] - 房间名称
    * @param {number} [config.capacity] - 人数上限
-   * @param {string} [config.password] - 房间密码
+   * @param {string|null} [config.passwordHash] - 房间密码的哈希，null 表示取消密码
    * @param {string} [config.announcement] - 房间公告
+   * @param {number} [config.driftThreshold] - 同步误差阈值(秒)
+   * @param {boolean} [config.bufferingBarrier] - 是否启用缓冲等待
+   * @param {number} [config.bufferingTimeout] - 缓冲等待超时(秒)
+   * @param {Date|string|number|null} [config.scheduledStartTime] - 预约开播时间，null 表示取消
+   * @param {string} [config.moderationPolicy] - 内容审核策略
+   * @param {string} [config.chatMode] - 聊天模式
+   * @param {number} [config.slowModeInterval] - 慢速模式下的发言间隔(秒)
+   * @param {string} [config.successionPolicy] - 房主继任策略
+   * @param {boolean} [config.requireApproval] - 是否需要审批才能入场
    */
   updateConfig(config) {
     if (config.name !== undefined) this.name = config.name;
     if (config.capacity !== undefined) this.capacity = config.capacity;
-    if (config.password !== undefined) this.password = config.password;
+    if (config.passwordHash !== undefined) this.passwordHash = config.passwordHash;
     if (config.announcement !== undefined) this.announcement = config.announcement;
+    if (config.driftThreshold !== undefined) this.driftThreshold = Number(config.driftThreshold);
+    if (config.bufferingBarrier !== undefined) this.bufferingBarrier = config.bufferingBarrier;
+    if (config.bufferingTimeout !== undefined) this.bufferingTimeout = Number(config.bufferingTimeout);
+    if (config.scheduledStartTime !== undefined) {
+      this.scheduledStartTime = config.scheduledStartTime ? new Date(config.scheduledStartTime) : null;
+    }
+    if (config.moderationPolicy !== undefined) this.moderationPolicy = config.moderationPolicy;
+    if (config.chatMode !== undefined) this.chatMode = config.chatMode;
+    if (config.slowModeInterval !== undefined) this.slowModeInterval = Number(config.slowModeInterval);
+    if (config.successionPolicy !== undefined) this.successionPolicy = config.successionPolicy;
+    if (config.requireApproval !== undefined) this.requireApproval = config.requireApproval;
     this.updateTime = new Date();
   }
 
+  /**
+   * 检查能否迁移到目标状态
+   * 除迁移表外，进入放映中还要求已设置片源
+   * 
+   * @param {string} status - 目标状态
+   * @returns {boolean} 是否允许迁移
+   */
+  canTransitionTo(status) {
+    const allowed = RoomStatusTransitions[this.status] || [];
+    if (!allowed.includes(status)) {
+      return false;
+    }
+    if (status === RoomStatus.PLAYING && !this.videoState.source) {
+      return false;
+    }
+    return true;
+  }
+
   /**
    * 设置房间状态
    * 
    * @param {string} status - 新状态
+   * @returns {{from: string, to: string}|null} 状态迁移记录，不允许迁移时返回null
    */
   setStatus(status) {
-    if (Object.values(RoomStatus).includes(status)) {
-      this.status = status;
-      this.updateTime = new Date();
+    if (!this.canTransitionTo(status)) {
+      return null;
     }
+
+    const from = this.status;
+    this.status = status;
+    this.updateTime = new Date();
+    return { from, to: status };
   }
 
   /**
    * 关闭房间
+   * 
+   * @returns {{from: string, to: string}|null} 状态迁移记录，已关闭时返回null
    */
   close() {
-    this.status = RoomStatus.CLOSED;
-    this.updateTime = new Date();
+    return this.setStatus(RoomStatus.CLOSED);
   }
 
   /**
@@ -237,7 +619,9 @@ class Room {
       capacity: this.capacity,
       currentCount: this.participants.size,
       hasPassword: this.hasPassword(),
+      requireApproval: this.requireApproval,
       status: this.status,
+      scheduledStartTime: this.scheduledStartTime ? this.scheduledStartTime.toISOString() : null,
       creatorNickname: this.getCreator()?.nickname || '未知',
       createTime: this.createTime.toISOString()
     };
@@ -258,13 +642,24 @@ class Room {
       hasPassword: this.hasPassword(),
       announcement: this.announcement,
       status: this.status,
+      driftThreshold: this.driftThreshold,
+      bufferingBarrier: this.bufferingBarrier,
+      bufferingTimeout: this.bufferingTimeout,
+      scheduledStartTime: this.scheduledStartTime ? this.scheduledStartTime.toISOString() : null,
+      moderationPolicy: this.moderationPolicy,
+      chatMode: this.chatMode,
+      slowModeInterval: this.slowModeInterval,
+      successionPolicy: this.successionPolicy,
+      requireApproval: this.requireApproval,
+      permissions: this.getPermissionMatrix(),
       videoState: this.videoState.toJSON(),
+      playlist: this.playlist.toJSON(),
+      subtitleTracks: Array.from(this.subtitleTracks.values()).map(t => t.toJSON()),
       participants: Array.from(this.participants.values()).map(p => p.toJSON()),
-      creatorId: this.creatorId,
       createTime: this.createTime.toISOString(),
       updateTime: this.updateTime.toISOString()
     };
   }
 }
 
-module.exports = { Room, RoomStatus };
+module.exports = { Room, RoomStatus, RoomStatusTransitions, ModerationPolicy, ChatMode, SuccessionPolicy };
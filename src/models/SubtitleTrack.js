@@ -0,0 +1,79 @@
+/**
+ * @file 字幕轨道实体类
+ * @description 定义房间内上传的字幕轨道数据结构（已统一转换为 WebVTT 存储）
+ * @module models/SubtitleTrack
+ */
+
+const IdGenerator = require('../utils/IdGenerator');
+
+/**
+ * 字幕轨道类
+ * 每个房间每种语言最多一条轨道
+ * 
+ * @class SubtitleTrack
+ * @property {string} id - 轨道唯一标识
+ * @property {string} roomId - 所属房间ID
+ * @property {string} language - 语言代码（如 zh、en）
+ * @property {string} label - 显示名称
+ * @property {string} originalFormat - 上传时的原始格式（srt/ass/vtt）
+ * @property {string} originalName - 上传时的原始文件名
+ * @property {number} cueCount - 字幕条目数量
+ * @property {string|null} uploadedBy - 上传者ID
+ * @property {Date} uploadTime - 上传时间
+ */
+class SubtitleTrack {
+  /**
+   * 创建字幕轨道实例
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string} options.roomId - 所属房间ID
+   * @param {string} options.language - 语言代码
+   * @param {string} [options.label] - 显示名称，默认与语言代码相同
+   * @param {string} options.originalFormat - 原始格式
+   * @param {string} [options.originalName=''] - 原始文件名
+   * @param {number} [options.cueCount=0] - 字幕条目数量
+   * @param {string|null} [options.uploadedBy=null] - 上传者ID
+   */
+  constructor(options) {
+    this.id = IdGenerator.generateTimestampId();
+    this.roomId = options.roomId;
+    this.language = options.language;
+    this.label = options.label || options.language;
+    this.originalFormat = options.originalFormat;
+    this.originalName = options.originalName || '';
+    this.cueCount = options.cueCount || 0;
+    this.uploadedBy = options.uploadedBy || null;
+    this.uploadTime = new Date();
+  }
+
+  /**
+   * 获取 WebVTT 文件的访问地址
+   * 
+   * @returns {string} 访问URL（相对路径）
+   */
+  getUrl() {
+    return `/api/rooms/${this.roomId}/subtitles/${this.id}`;
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      language: this.language,
+      label: this.label,
+      url: this.getUrl(),
+      originalFormat: this.originalFormat,
+      originalName: this.originalName,
+      cueCount: this.cueCount,
+      uploadedBy: this.uploadedBy,
+      uploadTime: this.uploadTime.toISOString()
+    };
+  }
+}
+
+module.exports = { SubtitleTrack };
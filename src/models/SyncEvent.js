@@ -0,0 +1,89 @@
+/**
+ * @file 同步事件实体类
+ * @description 定义服务端下发给房间成员的 Sync_Event 数据结构
+ * @module models/SyncEvent
+ */
+
+const IdGenerator = require('../utils/IdGenerator');
+
+/**
+ * 同步事件类型枚举
+ * @readonly
+ * @enum {string}
+ */
+const SyncEventType = {
+  /** 开始/继续播放 */
+  PLAY: 'PLAY',
+  /** 暂停 */
+  PAUSE: 'PAUSE',
+  /** 停止（进度归零） */
+  STOP: 'STOP',
+  /** 跳转进度 */
+  SEEK: 'SEEK',
+  /** 调整倍速 */
+  CHANGE_RATE: 'CHANGE_RATE',
+  /** 切换字幕 */
+  CHANGE_SUBTITLE: 'CHANGE_SUBTITLE',
+  /** 更换片源 */
+  CHANGE_SOURCE: 'CHANGE_SOURCE',
+  /** 播放到片尾（服务端根据时长判定） */
+  ENDED: 'ENDED'
+};
+
+/**
+ * 同步事件类
+ * 每次控制操作生效后生成一个同步事件，携带操作后的完整 VideoState 快照
+ * 和服务端时间戳，客户端据此对齐本地播放器
+ * 
+ * @class SyncEvent
+ * @property {string} eventId - 事件唯一标识
+ * @property {string} type - 事件类型
+ * @property {string} roomId - 所属房间ID
+ * @property {Object} payload - 事件参数（如目标进度、倍速）
+ * @property {Object} videoState - 操作后的视频状态快照
+ * @property {Object|null} operator - 操作者信息
+ * @property {number} serverTime - 服务端生成事件的时间戳(毫秒)
+ */
+class SyncEvent {
+  /**
+   * 创建同步事件实例
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {string} options.type - 事件类型
+   * @param {string} options.roomId - 房间ID
+   * @param {VideoState} options.videoState - 当前视频状态
+   * @param {Object} [options.payload={}] - 事件参数
+   * @param {Participant|null} [options.operator=null] - 操作者
+   */
+  constructor(options) {
+    this.eventId = IdGenerator.generateTimestampId();
+    this.type = options.type;
+    this.roomId = options.roomId;
+    this.payload = options.payload || {};
+    this.videoState = options.videoState.toJSON();
+    this.operator = options.operator
+      ? { participantId: options.operator.id, nickname: options.operator.nickname }
+      : null;
+    this.serverTime = Date.now();
+  }
+
+  /**
+   * 转换为JSON格式
+   * 
+   * @returns {Object} JSON对象
+   */
+  toJSON() {
+    return {
+      eventId: this.eventId,
+      type: this.type,
+      roomId: this.roomId,
+      payload: this.payload,
+      videoState: this.videoState,
+      operator: this.operator,
+      serverTime: this.serverTime
+    };
+  }
+}
+
+module.exports = { SyncEvent, SyncEventType };
@@ -27,7 +27,9 @@ const PlayStatus = {
  * @property {string} status - 播放状态
  * @property {number} progress - 播放进度(秒)
  * @property {number} playbackRate - 播放倍速
- * @property {string|null} subtitle - 字幕设置
+ * @property {string|null} subtitle - 字幕设置（字幕轨道ID或外部字幕链接）
+ * @property {number} subtitleOffset - 字幕时间偏移(秒)，正数表示字幕延后显示
+ * @property {number|null} duration - 片源总时长(秒)，未知时为null
  * @property {number} lastUpdateTime - 最后更新的时间戳
  */
 class VideoState {
@@ -41,6 +43,8 @@ class VideoState {
    * @param {number} [options.progress=0] - 播放进度
    * @param {number} [options.playbackRate=1.0] - 播放倍速
    * @param {string|null} [options.subtitle=null] - 字幕设置
+   * @param {number} [options.subtitleOffset=0] - 字幕时间偏移(秒)
+   * @param {number|null} [options.duration=null] - 片源总时长(秒)
    */
   constructor(options = {}) {
     this.source = options.source || null;
@@ -48,16 +52,20 @@ class VideoState {
     this.progress = options.progress || 0;
     this.playbackRate = options.playbackRate || 1.0;
     this.subtitle = options.subtitle || null;
+    this.subtitleOffset = options.subtitleOffset || 0;
+    this.duration = options.duration || null;
     this.lastUpdateTime = Date.now();
   }
 
   /**
    * 更新视频源
+   * 新片源的时长未知，需由控制者重新上报
    * 
    * @param {string} source - 新的视频源URL
    */
   setSource(source) {
     this.source = source;
+    this.duration = null;
     this.progress = 0;
     this.status = PlayStatus.PAUSED;
     this.lastUpdateTime = Date.now();
@@ -65,11 +73,13 @@ class VideoState {
 
   /**
    * 设置播放状态
+   * 切换前先将已播放的时长累计进 progress，保证基准时间戳与进度一致
    * 
    * @param {string} status - 新的播放状态
    */
   setStatus(status) {
     if (Object.values(PlayStatus).includes(status)) {
+      this.progress = this.getCurrentProgress();
       this.status = status;
       this.lastUpdateTime = Date.now();
     }
@@ -77,11 +87,12 @@ class VideoState {
 
   /**
    * 更新播放进度
+   * 时长已知时进度不会超过片尾
    * 
    * @param {number} progress - 新的播放进度(秒)
    */
   setProgress(progress) {
-    this.progress = Math.max(0, progress);
+    this.progress = this.clampProgress(Math.max(0, progress));
     this.lastUpdateTime = Date.now();
   }
 
@@ -92,25 +103,93 @@ class VideoState {
    */
   setPlaybackRate(rate) {
     if (rate > 0 && rate <= 4) {
+      this.progress = this.getCurrentProgress();
       this.playbackRate = rate;
       this.lastUpdateTime = Date.now();
     }
   }
 
+  /**
+   * 设置字幕
+   * 
+   * @param {string|null} subtitle - 新的字幕设置，null 表示关闭字幕
+   */
+  setSubtitle(subtitle) {
+    this.progress = this.getCurrentProgress();
+    this.subtitle = subtitle || null;
+    this.lastUpdateTime = Date.now();
+  }
+
+  /**
+   * 设置字幕时间偏移
+   * 
+   * @param {number} offset - 偏移量(秒)，正数表示字幕延后显示
+   */
+  setSubtitleOffset(offset) {
+    this.subtitleOffset = offset;
+  }
+
+  /**
+   * 设置片源总时长
+   * 
+   * @param {number} duration - 总时长(秒)
+   */
+  setDuration(duration) {
+    this.progress = this.getCurrentProgress();
+    this.duration = duration;
+    this.progress = this.clampProgress(this.progress);
+    this.lastUpdateTime = Date.now();
+  }
+
+  /**
+   * 将进度限制在片尾之内
+   * 
+   * @private
+   * @param {number} progress - 播放进度(秒)
+   * @returns {number} 限制后的播放进度(秒)
+   */
+  clampProgress(progress) {
+    return this.duration !== null ? Math.min(progress, this.duration) : progress;
+  }
+
   /**
    * 获取当前计算后的播放进度
-   * 根据最后更新时间和播放状态计算当前进度
+   * 根据最后更新时间和播放状态计算当前进度，时长已知时不会超过片尾
    * 
+   * @param {number} [now=Date.now()] - 计算进度所对应的服务端时间戳(毫秒)
    * @returns {number} 当前播放进度(秒)
    */
-  getCurrentProgress() {
+  getCurrentProgress(now = Date.now()) {
     if (this.status === PlayStatus.PLAYING) {
-      const elapsedTime = (Date.now() - this.lastUpdateTime) / 1000;
-      return this.progress + (elapsedTime * this.playbackRate);
+      const elapsedTime = Math.max(0, now - this.lastUpdateTime) / 1000;
+      return this.clampProgress(this.progress + (elapsedTime * this.playbackRate));
     }
     return this.progress;
   }
 
+  /**
+   * 获取距离播放到片尾的剩余时间
+   * 
+   * @param {number} [now=Date.now()] - 服务端时间戳(毫秒)
+   * @returns {number|null} 剩余时间(毫秒)，未在播放或时长未知时返回null
+   */
+  getRemainingTime(now = Date.now()) {
+    if (this.status !== PlayStatus.PLAYING || this.duration === null) {
+      return null;
+    }
+    return Math.max(0, (this.duration - this.getCurrentProgress(now)) / this.playbackRate * 1000);
+  }
+
+  /**
+   * 是否已播放到片尾
+   * 
+   * @param {number} [now=Date.now()] - 服务端时间戳(毫秒)
+   * @returns {boolean} 是否已到片尾
+   */
+  isAtEnd(now = Date.now()) {
+    return this.duration !== null && this.getCurrentProgress(now) >= this.duration;
+  }
+
   /**
    * 转换为JSON格式
    * 
@@ -123,6 +202,8 @@ class VideoState {
       progress: this.progress,
       playbackRate: this.playbackRate,
       subtitle: this.subtitle,
+      subtitleOffset: this.subtitleOffset,
+      duration: this.duration,
       lastUpdateTime: this.lastUpdateTime,
       currentProgress: this.getCurrentProgress()
     };
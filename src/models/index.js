@@ -4,14 +4,38 @@
  * @module models
  */
 
-const { Room, RoomStatus } = require('./Room');
+const {
+  Room,
+  RoomStatus,
+  RoomStatusTransitions,
+  ModerationPolicy,
+  ChatMode,
+  SuccessionPolicy
+} = require('./Room');
 const { VideoState, PlayStatus } = require('./VideoState');
 const { Participant, ParticipantRole, ParticipantStatus } = require('./Participant');
+const { SyncEvent, SyncEventType } = require('./SyncEvent');
+const { Playlist, PlaylistItem } = require('./Playlist');
+const { SubtitleTrack } = require('./SubtitleTrack');
+const { Danmaku, DanmakuMode } = require('./Danmaku');
+const { Ban } = require('./Ban');
+const { Invite } = require('./Invite');
+const { JoinRequest, JoinRequestStatus } = require('./JoinRequest');
+const {
+  Permission,
+  PermissionLabels,
+  CreatorOnlyPermissions,
+  DefaultRolePermissions
+} = require('./Permission');
 
 module.exports = {
   // 房间相关
   Room,
   RoomStatus,
+  RoomStatusTransitions,
+  ModerationPolicy,
+  ChatMode,
+  SuccessionPolicy,
   
   // 视频状态相关
   VideoState,
@@ -20,5 +44,36 @@ module.exports = {
   // 参与者相关
   Participant,
   ParticipantRole,
-  ParticipantStatus
+  ParticipantStatus,
+
+  // 权限相关
+  Permission,
+  PermissionLabels,
+  CreatorOnlyPermissions,
+  DefaultRolePermissions,
+
+  // 同步事件相关
+  SyncEvent,
+  SyncEventType,
+
+  // 播放列表相关
+  Playlist,
+  PlaylistItem,
+
+  // 字幕相关
+  SubtitleTrack,
+
+  // 弹幕相关
+  Danmaku,
+  DanmakuMode,
+
+  // 封禁相关
+  Ban,
+
+  // 邀请相关
+  Invite,
+
+  // 入场审批相关
+  JoinRequest,
+  JoinRequestStatus
 };
@@ -0,0 +1,143 @@
+/**
+ * @file 弹幕数据访问层（Repository）
+ * @description 按房间、视频源保存弹幕，并按视频时间轴排序以支持时间范围查询
+ *              采用单例模式确保全局数据一致性
+ * @module repositories/DanmakuRepository
+ */
+
+const config = require('../config');
+
+/**
+ * 弹幕仓库类
+ * 同一房间内每个视频源的弹幕按出现时间升序保存，当前使用内存存储实现
+ * 
+ * @class DanmakuRepository
+ * @singleton
+ */
+class DanmakuRepository {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {DanmakuRepository|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建弹幕仓库实例
+   * 私有构造函数，通过getInstance()获取实例
+   * 
+   * @constructor
+   * @private
+   */
+  constructor() {
+    /**
+     * 弹幕存储映射表
+     * key: 房间ID
+     * value: Map<视频源URL, 按 time 升序排列的弹幕列表>
+     * @private
+     * @type {Map<string, Map<string, Danmaku[]>>}
+     */
+    this.danmaku = new Map();
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {DanmakuRepository} 仓库实例
+   */
+  static getInstance() {
+    if (!DanmakuRepository.instance) {
+      DanmakuRepository.instance = new DanmakuRepository();
+    }
+    return DanmakuRepository.instance;
+  }
+
+  /**
+   * 二分查找插入位置
+   * 
+   * @private
+   * @param {Danmaku[]} list - 按 time 升序排列的弹幕列表
+   * @param {number} target - 目标时间点(秒)
+   * @param {boolean} [after=false] - 为 true 时返回第一个 time > target 的位置，否则返回第一个 time >= target 的位置
+   * @returns {number} 下标
+   */
+  search(list, target, after = false) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (list[mid].time < target || (after && list[mid].time === target)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * 保存弹幕
+   * 按 time 插入到有序位置；超出 config.danmaku.maxPerSource 时丢弃最早发送的弹幕
+   * 
+   * @param {Danmaku} danmaku - 弹幕实例
+   * @returns {Danmaku} 保存的弹幕
+   */
+  save(danmaku) {
+    let sources = this.danmaku.get(danmaku.roomId);
+    if (!sources) {
+      sources = new Map();
+      this.danmaku.set(danmaku.roomId, sources);
+    }
+
+    let list = sources.get(danmaku.source);
+    if (!list) {
+      list = [];
+      sources.set(danmaku.source, list);
+    }
+
+    // 相同时间点的弹幕按发送顺序排列
+    const index = this.search(list, danmaku.time, true);
+    list.splice(index, 0, danmaku);
+
+    if (list.length > config.danmaku.maxPerSource) {
+      let oldest = 0;
+      for (let i = 1; i < list.length; i++) {
+        if (list[i].sentAt < list[oldest].sentAt) oldest = i;
+      }
+      list.splice(oldest, 1);
+    }
+
+    return danmaku;
+  }
+
+  /**
+   * 按视频时间范围查询弹幕
+   * 
+   * @param {string} roomId - 房间ID
+   * @param {string} source - 视频源URL
+   * @param {number} from - 起始时间(秒，含)
+   * @param {number} to - 结束时间(秒，不含)
+   * @returns {Danmaku[]} 按 time 升序排列的弹幕
+   */
+  findByTimeRange(roomId, source, from, to) {
+    const list = this.danmaku.get(roomId)?.get(source);
+    if (!list) {
+      return [];
+    }
+    return list.slice(this.search(list, from), this.search(list, to));
+  }
+
+  /**
+   * 清空房间的全部弹幕
+   * 
+   * @param {string} roomId - 房间ID
+   * @returns {boolean} 是否存在被清空的弹幕
+   */
+  clear(roomId) {
+    return this.danmaku.delete(roomId);
+  }
+}
+
+module.exports = DanmakuRepository;
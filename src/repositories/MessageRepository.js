@@ -0,0 +1,120 @@
+/**
+ * @file 聊天消息数据访问层（Repository）
+ * @description 按房间保存最近的聊天消息，超出容量后丢弃最早的消息
+ *              采用单例模式确保全局数据一致性
+ * @module repositories/MessageRepository
+ */
+
+const config = require('../config');
+
+/**
+ * 聊天消息仓库类
+ * 每个房间的消息按发送顺序保存在有界数组中，当前使用内存存储实现
+ * 
+ * @class MessageRepository
+ * @singleton
+ */
+class MessageRepository {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {MessageRepository|null}
+   */
+  static instance = null;
+
+  /**
+   * 创建消息仓库实例
+   * 私有构造函数，通过getInstance()获取实例
+   * 
+   * @constructor
+   * @private
+   */
+  constructor() {
+    /**
+     * 消息存储映射表
+     * key: 房间ID
+     * value: 按发送顺序排列的消息列表
+     * @private
+     * @type {Map<string, Object[]>}
+     */
+    this.messages = new Map();
+  }
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {MessageRepository} 仓库实例
+   */
+  static getInstance() {
+    if (!MessageRepository.instance) {
+      MessageRepository.instance = new MessageRepository();
+    }
+    return MessageRepository.instance;
+  }
+
+  /**
+   * 追加一条消息
+   * 超出 config.chat.historySize 时丢弃最早的消息
+   * 
+   * @param {string} roomId - 房间ID
+   * @param {Object} message - 消息对象（需包含 messageId）
+   * @returns {Object} 追加的消息
+   */
+  append(roomId, message) {
+    let history = this.messages.get(roomId);
+    if (!history) {
+      history = [];
+      this.messages.set(roomId, history);
+    }
+
+    history.push(message);
+    if (history.length > config.chat.historySize) {
+      history.splice(0, history.length - config.chat.historySize);
+    }
+    return message;
+  }
+
+  /**
+   * 分页获取消息
+   * 返回 before 之前（不含）的最近 limit 条消息，按发送顺序排列；
+   * 未指定 before 时返回最新的消息。before 对应的消息已被丢弃时返回空列表
+   * 
+   * @param {string} roomId - 房间ID
+   * @param {Object} [options={}] - 查询选项
+   * @param {string} [options.before] - 消息ID游标
+   * @param {number} [options.limit=config.chat.defaultPageSize] - 返回条数
+   * @returns {{messages: Object[], hasMore: boolean}} 分页结果
+   */
+  findPage(roomId, options = {}) {
+    const { before, limit = config.chat.defaultPageSize } = options;
+    const history = this.messages.get(roomId) || [];
+
+    let end = history.length;
+    if (before) {
+      end = history.findIndex(message => message.messageId === before);
+      if (end === -1) {
+        return { messages: [], hasMore: false };
+      }
+    }
+
+    const start = Math.max(0, end - limit);
+    return {
+      messages: history.slice(start, end),
+      hasMore: start > 0
+    };
+  }
+
+  /**
+   * 清空房间的消息
+   * 
+   * @param {string} roomId - 房间ID
+   * @returns {boolean} 是否存在被清空的消息
+   */
+  clear(roomId) {
+    return this.messages.delete(roomId);
+  }
+}
+
+module.exports = MessageRepository;
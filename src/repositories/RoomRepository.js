@@ -89,8 +89,15 @@ class RoomRepository {
    * @param {Object} roomData - 房间创建数据
    * @param {string} roomData.name - 房间名称
    * @param {number} [roomData.capacity] - 人数上限
-   * @param {string} [roomData.password] - 房间密码
+   * @param {string|null} [roomData.passwordHash] - 房间密码的哈希
    * @param {string} [roomData.announcement] - 房间公告
+   * @param {number} [roomData.driftThreshold] - 同步误差阈值(秒)
+   * @param {number} [roomData.bufferingTimeout] - 缓冲等待超时(秒)
+   * @param {Date|string|number|null} [roomData.scheduledStartTime] - 预约开播时间
+   * @param {string} [roomData.moderationPolicy] - 内容审核策略
+   * @param {string} [roomData.chatMode] - 聊天模式
+   * @param {number} [roomData.slowModeInterval] - 慢速模式下的发言间隔(秒)
+   * @param {string} [roomData.successionPolicy] - 房主继任策略
    * @param {string} roomData.creatorId - 创建者ID
    * @param {string} roomData.creatorNickname - 创建者昵称
    * @returns {Room} 创建的房间实例
@@ -102,8 +109,15 @@ class RoomRepository {
       id: roomId,
       name: roomData.name,
       capacity: roomData.capacity,
-      password: roomData.password,
+      passwordHash: roomData.passwordHash,
       announcement: roomData.announcement,
+      driftThreshold: roomData.driftThreshold,
+      bufferingTimeout: roomData.bufferingTimeout,
+      scheduledStartTime: roomData.scheduledStartTime,
+      moderationPolicy: roomData.moderationPolicy,
+      chatMode: roomData.chatMode,
+      slowModeInterval: roomData.slowModeInterval,
+      successionPolicy: roomData.successionPolicy,
       creatorId: roomData.creatorId,
       creatorNickname: roomData.creatorNickname
     });
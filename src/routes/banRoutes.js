@@ -0,0 +1,63 @@
+/**
+ * @file 封禁路由定义
+ * @description 定义房间黑名单相关的RESTful API路由，挂载在 /api/rooms/:roomId/bans 下
+ * @module routes/banRoutes
+ */
+
+const express = require('express');
+const BanController = require('../controllers/BanController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建封禁路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createBanRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const banController = BanController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/bans 获取黑名单
+   * @apiName ListBans
+   * @apiGroup Ban
+   * @apiDescription 获取房间内仍然有效的封禁记录（需要封禁权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.get('/', authenticate, banController.listBans);
+
+  /**
+   * @api {post} /api/rooms/:roomId/bans 封禁用户
+   * @apiName BanParticipant
+   * @apiGroup Ban
+   * @apiDescription 按成员或昵称封禁用户，房间内命中的成员会被立即踢出（需要封禁权限，默认为创建者与房管）。
+   * 按成员封禁时同时记录其当前昵称与加入时的IP，之后使用该昵称或从该IP加入房间都会被拒绝
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   * @apiBody {String} [participantId] 被封禁的参与者ID（与 nickname 二选一）
+   * @apiBody {String} [nickname] 被封禁的昵称（与 participantId 二选一，不区分大小写）
+   * @apiBody {Number} [duration] 封禁时长（秒，最长30天），不传表示永久封禁
+   * @apiBody {String} [reason] 封禁原因（最长100字符）
+   */
+  router.post('/', authenticate, banController.banParticipant);
+
+  /**
+   * @api {delete} /api/rooms/:roomId/bans/:banId 解除封禁
+   * @apiName Unban
+   * @apiGroup Ban
+   * @apiDescription 从黑名单中移除封禁记录（需要封禁权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} banId 封禁记录ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.delete('/:banId', authenticate, banController.unban);
+
+  return router;
+};
+
+module.exports = createBanRouter;
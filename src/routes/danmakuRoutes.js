@@ -0,0 +1,39 @@
+/**
+ * @file 弹幕路由定义
+ * @description 定义房间弹幕相关的RESTful API路由，挂载在 /api/rooms/:roomId/danmaku 下
+ * @module routes/danmakuRoutes
+ */
+
+const express = require('express');
+const DanmakuController = require('../controllers/DanmakuController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建弹幕路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createDanmakuRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const danmakuController = DanmakuController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/danmaku 按时间范围获取弹幕
+   * @apiName GetDanmaku
+   * @apiGroup Danmaku
+   * @apiDescription 获取某个视频源在 [from, to) 时间窗口内的弹幕，按出现时间升序排列。
+   * 客户端在跳转或重看时据此重新加载对应时间段的弹幕
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（须属于该房间，且持有者仍在房间内）
+   * @apiQuery {Number} [from=0] 起始时间(秒)
+   * @apiQuery {Number} [to] 结束时间(秒)，默认 from + 600，跨度不超过600秒
+   * @apiQuery {String} [source] 视频源URL，默认为房间当前片源
+   */
+  router.get('/', authenticate, danmakuController.getDanmaku);
+
+  return router;
+};
+
+module.exports = createDanmakuRouter;
@@ -0,0 +1,62 @@
+/**
+ * @file 邀请路由定义
+ * @description 定义房间邀请相关的RESTful API路由，挂载在 /api/rooms/:roomId/invites 下
+ * @module routes/inviteRoutes
+ */
+
+const express = require('express');
+const InviteController = require('../controllers/InviteController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建邀请路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createInviteRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const inviteController = InviteController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/invites 获取邀请列表
+   * @apiName ListInvites
+   * @apiGroup Invite
+   * @apiDescription 获取房间内仍然有效（未到期、未用完）的邀请（需要邀请管理权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.get('/', authenticate, inviteController.listInvites);
+
+  /**
+   * @api {post} /api/rooms/:roomId/invites 创建邀请
+   * @apiName CreateInvite
+   * @apiGroup Invite
+   * @apiDescription 生成邀请码（需要邀请管理权限，默认为创建者与房管）。
+   * 持有效邀请码加入房间时无需密码；预设非观众角色还需要角色管理权限
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   * @apiBody {Number} [expiresIn=86400] 有效期（秒，最长30天）
+   * @apiBody {Number} [maxUses] 可使用次数（1-1000），不传表示不限，传 1 即为一次性邀请
+   * @apiBody {String} [role=viewer] 加入后获得的角色（moderator/controller/viewer）
+   */
+  router.post('/', authenticate, inviteController.createInvite);
+
+  /**
+   * @api {delete} /api/rooms/:roomId/invites/:inviteId 撤销邀请
+   * @apiName RevokeInvite
+   * @apiGroup Invite
+   * @apiDescription 撤销邀请，之后该邀请码不能再用于加入房间（需要邀请管理权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} inviteId 邀请ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.delete('/:inviteId', authenticate, inviteController.revokeInvite);
+
+  return router;
+};
+
+module.exports = createInviteRouter;
@@ -0,0 +1,59 @@
+/**
+ * @file 入场申请路由定义
+ * @description 定义入场审批相关的RESTful API路由，挂载在 /api/rooms/:roomId/join-requests 下
+ * @module routes/joinRequestRoutes
+ */
+
+const express = require('express');
+const JoinRequestController = require('../controllers/JoinRequestController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建入场申请路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createJoinRequestRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const joinRequestController = JoinRequestController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/join-requests 获取入场申请
+   * @apiName ListJoinRequests
+   * @apiGroup JoinRequest
+   * @apiDescription 获取等待审批的入场申请（需要入场审批权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.get('/', authenticate, joinRequestController.listRequests);
+
+  /**
+   * @api {post} /api/rooms/:roomId/join-requests/:requestId/approve 批准入场
+   * @apiName ApproveJoinRequest
+   * @apiGroup JoinRequest
+   * @apiDescription 批准入场申请，申请者以观众身份加入，并在等候室收到身份令牌（需要入场审批权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} requestId 申请ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.post('/:requestId/approve', authenticate, joinRequestController.approveRequest);
+
+  /**
+   * @api {post} /api/rooms/:roomId/join-requests/:requestId/deny 拒绝入场
+   * @apiName DenyJoinRequest
+   * @apiGroup JoinRequest
+   * @apiDescription 拒绝入场申请，申请者在等候室收到结果（需要入场审批权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} requestId 申请ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.post('/:requestId/deny', authenticate, joinRequestController.denyRequest);
+
+  return router;
+};
+
+module.exports = createJoinRequestRouter;
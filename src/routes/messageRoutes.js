@@ -0,0 +1,38 @@
+/**
+ * @file 聊天消息路由定义
+ * @description 定义房间聊天记录相关的RESTful API路由，挂载在 /api/rooms/:roomId/messages 下
+ * @module routes/messageRoutes
+ */
+
+const express = require('express');
+const MessageController = require('../controllers/MessageController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建聊天消息路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createMessageRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const messageController = MessageController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/messages 获取聊天记录
+   * @apiName GetMessages
+   * @apiGroup Message
+   * @apiDescription 按发送顺序返回 before 之前的最近 limit 条消息；
+   * 继续向前翻页时以本页第一条消息的 messageId 作为下一次的 before
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（须属于该房间，且持有者仍在房间内）
+   * @apiQuery {String} [before] 消息ID游标，不传时返回最新的消息
+   * @apiQuery {Number} [limit=20] 返回条数（1-100）
+   */
+  router.get('/', authenticate, messageController.getHistory);
+
+  return router;
+};
+
+module.exports = createMessageRouter;
@@ -0,0 +1,51 @@
+/**
+ * @file 禁言路由定义
+ * @description 定义成员禁言相关的RESTful API路由，挂载在 /api/rooms/:roomId/participants/:participantId/mute 下
+ * @module routes/muteRoutes
+ */
+
+const express = require('express');
+const MuteController = require('../controllers/MuteController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建禁言路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createMuteRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId 与 :participantId
+  const router = express.Router({ mergeParams: true });
+  const muteController = MuteController.getInstance();
+
+  /**
+   * @api {post} /api/rooms/:roomId/participants/:participantId/mute 禁言成员
+   * @apiName MuteParticipant
+   * @apiGroup Mute
+   * @apiDescription 禁止成员发送消息与弹幕，但不将其移出房间（需要禁言权限，默认为创建者与房管）。
+   * 指定时长的禁言到期后自动解除；重复禁言会覆盖之前的时长
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} participantId 目标参与者ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   * @apiBody {Number} [duration] 禁言时长（秒，最长7天），不传表示直到手动解除
+   * @apiBody {String} [reason] 禁言原因（最长100字符）
+   */
+  router.post('/', authenticate, muteController.muteParticipant);
+
+  /**
+   * @api {delete} /api/rooms/:roomId/participants/:participantId/mute 解除禁言
+   * @apiName UnmuteParticipant
+   * @apiGroup Mute
+   * @apiDescription 提前解除成员的禁言（需要禁言权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} participantId 目标参与者ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.delete('/', authenticate, muteController.unmuteParticipant);
+
+  return router;
+};
+
+module.exports = createMuteRouter;
@@ -0,0 +1,86 @@
+/**
+ * @file 播放列表路由定义
+ * @description 定义房间播放列表相关的RESTful API路由，挂载在 /api/rooms/:roomId/playlist 下
+ * @module routes/playlistRoutes
+ */
+
+const express = require('express');
+const PlaylistController = require('../controllers/PlaylistController');
+const { authenticate } = require('../middlewares/authenticate');
+
+/**
+ * 创建播放列表路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createPlaylistRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const playlistController = PlaylistController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/playlist 获取播放列表
+   * @apiName GetPlaylist
+   * @apiGroup Playlist
+   * @apiDescription 获取当前播放项与待播队列
+   * 
+   * @apiParam {String} roomId 房间ID
+   */
+  router.get('/', playlistController.getPlaylist);
+
+  /**
+   * @api {post} /api/rooms/:roomId/playlist 添加队列项
+   * @apiName AddPlaylistItem
+   * @apiGroup Playlist
+   * @apiDescription 向待播队列末尾添加一项（需要播放列表管理权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   * @apiBody {String} url 视频链接（需通过格式与可达性校验）
+   * @apiBody {String} [title] 标题（最长100字符，默认取文件名）
+   * @apiBody {String} [subtitle] 字幕设置
+   */
+  router.post('/', authenticate, playlistController.addItem);
+
+  /**
+   * @api {post} /api/rooms/:roomId/playlist/next 切换到下一项
+   * @apiName PlayNextItem
+   * @apiGroup Playlist
+   * @apiDescription 取出队首一项作为当前片源并广播 Sync_Event(CHANGE_SOURCE)
+   * 
+   * 注意：此路由必须放在 /:itemId 之前
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.post('/next', authenticate, playlistController.playNext);
+
+  /**
+   * @api {patch} /api/rooms/:roomId/playlist/:itemId 调整队列项位置
+   * @apiName MovePlaylistItem
+   * @apiGroup Playlist
+   * @apiDescription 将队列项移动到指定位置（需要播放列表管理权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} itemId 队列项ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   * @apiBody {Number} position 目标位置（从0开始）
+   */
+  router.patch('/:itemId', authenticate, playlistController.moveItem);
+
+  /**
+   * @api {delete} /api/rooms/:roomId/playlist/:itemId 移除队列项
+   * @apiName RemovePlaylistItem
+   * @apiGroup Playlist
+   * @apiDescription 从待播队列中移除一项（需要播放列表管理权限，默认为创建者与房管）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} itemId 队列项ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.delete('/:itemId', authenticate, playlistController.removeItem);
+
+  return router;
+};
+
+module.exports = createPlaylistRouter;
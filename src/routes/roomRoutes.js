@@ -7,6 +7,7 @@
 
 const express = require('express');
 const RoomController = require('../controllers/RoomController');
+const { authenticate } = require('../middlewares/authenticate');
 
 /**
  * 创建房间路由器
@@ -44,12 +45,18 @@ const createRoomRouter = () => {
    * @api {post} /api/rooms 创建房间
    * @apiName CreateRoom
    * @apiGroup Room
-   * @apiDescription 创建一个新的线上观影室
+   * @apiDescription 创建一个新的线上观影室。响应中的 token 为创建者的身份令牌，
+   * 之后的管理操作通过 Authorization: Bearer 头携带，连接 Socket.IO 时通过 auth.token 携带
    * 
    * @apiBody {String} name 房间名称（1-50字符）
    * @apiBody {Number} [capacity=10] 人数上限（2-100）
    * @apiBody {String} [password] 房间密码（可选，最长20字符）
    * @apiBody {String} [announcement] 房间公告（可选，最长500字符）
+   * @apiBody {String} [scheduledStartTime] 预约开播时间（ISO字符串或毫秒时间戳，最多提前7天）
+   * @apiBody {String} [moderationPolicy=mask] 敏感词处理策略（mask 打码 / reject 拒绝 / review 标记待审核）
+   * @apiBody {String} [chatMode=open] 聊天模式（open 全员 / controllers 仅房主与放映控制者 / slow 慢速 / off 关闭）
+   * @apiBody {Number} [slowModeInterval=10] 慢速模式下的发言间隔（1-600秒）
+   * @apiBody {String} [successionPolicy=promote] 房主退出或离线超时后的处理（promote 由最早加入的成员继任 / close 关闭房间）
    * @apiBody {String} creatorNickname 创建者昵称
    */
   router.post('/', roomController.createRoom);
@@ -68,16 +75,22 @@ const createRoomRouter = () => {
    * @api {patch} /api/rooms/:roomId 更新房间配置
    * @apiName UpdateRoom
    * @apiGroup Room
-   * @apiDescription 更新房间配置（仅房间创建者可操作）
+   * @apiDescription 更新房间配置（需要房间配置权限，默认仅创建者）
    * 
    * @apiParam {String} roomId 房间ID
-   * @apiBody {String} operatorId 操作者ID（必须是房间创建者）
+   * @apiHeader {String} Authorization Bearer 身份令牌（需要房间配置权限）
    * @apiBody {String} [name] 新的房间名称
    * @apiBody {Number} [capacity] 新的人数上限
    * @apiBody {String} [password] 新的密码
    * @apiBody {String} [announcement] 新的公告
+   * @apiBody {String} [scheduledStartTime] 新的预约开播时间，传 null 取消预约
+   * @apiBody {String} [moderationPolicy] 新的敏感词处理策略
+   * @apiBody {String} [chatMode] 新的聊天模式
+   * @apiBody {Number} [slowModeInterval] 新的慢速模式发言间隔（秒）
+   * @apiBody {String} [successionPolicy] 新的房主继任策略
+   * @apiBody {Boolean} [requireApproval] 是否需要审批才能入场（持有效邀请码时免审批）
    */
-  router.patch('/:roomId', roomController.updateRoom);
+  router.patch('/:roomId', authenticate, roomController.updateRoom);
 
   /**
    * @api {delete} /api/rooms/:roomId 解散房间
@@ -86,15 +99,16 @@ const createRoomRouter = () => {
    * @apiDescription 解散房间（仅房间创建者可操作）
    * 
    * @apiParam {String} roomId 房间ID
-   * @apiBody {String} operatorId 操作者ID（必须是房间创建者）
+   * @apiHeader {String} Authorization Bearer 身份令牌（必须是房间创建者）
    */
-  router.delete('/:roomId', roomController.dissolveRoom);
+  router.delete('/:roomId', authenticate, roomController.dissolveRoom);
 
   /**
    * @api {post} /api/rooms/:roomId/verify-password 验证房间密码
    * @apiName VerifyPassword
    * @apiGroup Room
-   * @apiDescription 验证房间密码是否正确
+   * @apiDescription 验证房间密码是否正确。同一IP或同一房间连续失败过多时会被暂时锁定，
+   * 锁定期间返回 429（TOO_MANY_ATTEMPTS）并带有 Retry-After 响应头，加入房间时的密码校验同样受此限制
    * 
    * @apiParam {String} roomId 房间ID
    * @apiBody {String} password 待验证的密码
@@ -105,11 +119,14 @@ const createRoomRouter = () => {
    * @api {post} /api/rooms/:roomId/join 加入房间
    * @apiName JoinRoom
    * @apiGroup Room
-   * @apiDescription 加入指定房间
+   * @apiDescription 加入指定房间。响应中的 token 为该成员的身份令牌，用法同创建房间。
+   * 房间开启入场审批且未使用邀请码时返回 202 与 { pending, request, ticket }，
+   * 申请者凭 roomId、request.id 与 ticket 连接 /lobby 命名空间等待审批结果，批准后从中取得身份令牌
    * 
    * @apiParam {String} roomId 房间ID
    * @apiBody {String} nickname 用户昵称
    * @apiBody {String} [password] 房间密码（如果房间设置了密码）
+   * @apiBody {String} [inviteCode] 邀请码，有效时无需密码与审批，并获得邀请预设的角色
    */
   router.post('/:roomId/join', roomController.joinRoom);
 
@@ -117,12 +134,77 @@ const createRoomRouter = () => {
    * @api {post} /api/rooms/:roomId/leave 退出房间
    * @apiName LeaveRoom
    * @apiGroup Room
-   * @apiDescription 退出当前所在房间
+   * @apiDescription 退出当前所在房间。创建者退出时按房间的继任策略移交房主或关闭房间
    * 
    * @apiParam {String} roomId 房间ID
-   * @apiBody {String} participantId 参与者ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
    */
-  router.post('/:roomId/leave', roomController.leaveRoom);
+  router.post('/:roomId/leave', authenticate, roomController.leaveRoom);
+
+  /**
+   * @api {put} /api/rooms/:roomId/source 设置片源
+   * @apiName SetVideoSource
+   * @apiGroup Room
+   * @apiDescription 更换房间的视频源（需要播放控制权限，默认为创建者、房管与放映控制者）
+   * 服务端校验链接格式与可达性后广播 Sync_Event(CHANGE_SOURCE)
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（必须拥有播放控制权限）
+   * @apiBody {String} source 外部视频链接（http/https）
+   */
+  router.put('/:roomId/source', authenticate, roomController.setVideoSource);
+
+  /**
+   * @api {patch} /api/rooms/:roomId/participants/:participantId 设置参与者角色
+   * @apiName SetParticipantRole
+   * @apiGroup Room
+   * @apiDescription 授予或收回房管、放映控制者角色（需要角色管理权限，默认仅创建者）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} participantId 目标参与者ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（需要角色管理权限）
+   * @apiBody {String} role 新角色（moderator/controller/viewer）
+   */
+  router.patch('/:roomId/participants/:participantId', authenticate, roomController.setParticipantRole);
+
+  /**
+   * @api {post} /api/rooms/:roomId/participants/:participantId/kick 踢出参与者
+   * @apiName KickParticipant
+   * @apiGroup Room
+   * @apiDescription 将参与者移出房间并断开其连接（需要踢人权限，默认为创建者与房管）。
+   * 踢出不会阻止再次加入，如需阻止请使用 /api/rooms/:roomId/bans
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} participantId 目标参与者ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（需要踢人权限）
+   * @apiBody {String} [reason] 踢出原因
+   */
+  router.post('/:roomId/participants/:participantId/kick', authenticate, roomController.kickParticipant);
+
+  /**
+   * @api {post} /api/rooms/:roomId/transfer 转让房主
+   * @apiName TransferOwnership
+   * @apiGroup Room
+   * @apiDescription 将房主身份转让给房间内的其他成员，原房主降为放映控制者（仅房间创建者可操作）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（必须是房间创建者）
+   * @apiBody {String} participantId 新房主的参与者ID
+   */
+  router.post('/:roomId/transfer', authenticate, roomController.transferOwnership);
+
+  /**
+   * @api {put} /api/rooms/:roomId/permissions 调整权限矩阵
+   * @apiName UpdatePermissions
+   * @apiGroup Room
+   * @apiDescription 自定义房管、放映控制者、观众各自拥有的权限（仅房间创建者可操作）。
+   * 当前生效的权限矩阵见房间详情的 permissions 字段
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiHeader {String} Authorization Bearer 身份令牌（必须是房间创建者）
+   * @apiBody {Object} permissions 角色到权限列表的映射，如 { "moderator": ["kick", "mute"] }，值为 null 表示恢复默认
+   */
+  router.put('/:roomId/permissions', authenticate, roomController.updatePermissions);
 
   return router;
 };
@@ -0,0 +1,75 @@
+/**
+ * @file 字幕路由定义
+ * @description 定义房间字幕轨道相关的RESTful API路由，挂载在 /api/rooms/:roomId/subtitles 下
+ * @module routes/subtitleRoutes
+ */
+
+const express = require('express');
+const SubtitleController = require('../controllers/SubtitleController');
+const { authenticate } = require('../middlewares/authenticate');
+const subtitleUpload = require('../middlewares/subtitleUpload');
+
+/**
+ * 创建字幕路由器
+ * 
+ * @returns {express.Router} Express路由器实例
+ */
+const createSubtitleRouter = () => {
+  // mergeParams 使子路由能读取父路径中的 :roomId
+  const router = express.Router({ mergeParams: true });
+  const subtitleController = SubtitleController.getInstance();
+
+  /**
+   * @api {get} /api/rooms/:roomId/subtitles 获取字幕轨道列表
+   * @apiName ListSubtitleTracks
+   * @apiGroup Subtitle
+   * @apiDescription 获取房间内已上传的字幕轨道、当前使用的字幕与时间偏移
+   * 
+   * @apiParam {String} roomId 房间ID
+   */
+  router.get('/', subtitleController.listTracks);
+
+  /**
+   * @api {post} /api/rooms/:roomId/subtitles 上传字幕轨道
+   * @apiName UploadSubtitleTrack
+   * @apiGroup Subtitle
+   * @apiDescription 上传 SRT、ASS/SSA 或 WebVTT 字幕，服务端统一转换为 WebVTT 保存
+   * （需要播放控制权限）。同一语言的已有轨道会被替换
+   * 
+   * 请求格式：multipart/form-data
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiBody {File} file 字幕文件（最大2MB）
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   * @apiBody {String} language 语言代码，如 zh-CN、en
+   * @apiBody {String} [label] 显示名称
+   */
+  router.post('/', authenticate, subtitleUpload, subtitleController.uploadTrack);
+
+  /**
+   * @api {get} /api/rooms/:roomId/subtitles/:trackId 获取字幕文件
+   * @apiName GetSubtitleFile
+   * @apiGroup Subtitle
+   * @apiDescription 返回 text/vtt 格式的字幕文件，可直接用作 <track> 的 src
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} trackId 轨道ID
+   */
+  router.get('/:trackId', subtitleController.getTrackFile);
+
+  /**
+   * @api {delete} /api/rooms/:roomId/subtitles/:trackId 删除字幕轨道
+   * @apiName DeleteSubtitleTrack
+   * @apiGroup Subtitle
+   * @apiDescription 删除字幕轨道；若正在使用该轨道，字幕会被关闭（需要播放控制权限）
+   * 
+   * @apiParam {String} roomId 房间ID
+   * @apiParam {String} trackId 轨道ID
+   * @apiHeader {String} Authorization Bearer 身份令牌
+   */
+  router.delete('/:trackId', authenticate, subtitleController.deleteTrack);
+
+  return router;
+};
+
+module.exports = createSubtitleRouter;
@@ -0,0 +1,244 @@
+/**
+ * @file 入场审批服务层
+ * @description 实现开启入场审批的房间中入场申请的查看、批准与拒绝，
+ * 以及申请超时后的自动过期；申请本身由 RoomService.joinRoom 生成
+ * @module services/AdmissionService
+ */
+
+const RoomService = require('./RoomService');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Permission } = require('../models/Permission');
+const { JoinRequestStatus } = require('../models/JoinRequest');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    RoomFullException,
+    ValidationException,
+    JoinRequestNotFoundException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 入场审批服务类
+ * 申请保存在 Room 上，本服务只负责审批与定时器：
+ * 待审批的申请到时限后过期，处理完成的申请再保留一段时间供申请者取回结果后删除
+ * @class AdmissionService
+ * @singleton
+ */
+class AdmissionService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {AdmissionService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建入场审批服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.eventBus = EventBus.getInstance();
+
+        /**
+         * 申请过期与清理定时器
+         * key: `${roomId}:${requestId}`
+         * value: Timeout
+         * @private
+         * @type {Map<string, Timeout>}
+         */
+        this.timers = new Map();
+
+        this.eventBus.on(BusEvent.JOIN_REQUESTED, (roomId, request) => {
+            this.schedule(roomId, request.id, request.expiresAt.getTime() - Date.now());
+        });
+        this.eventBus.on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            this.timers.forEach((timer, key) => {
+                if (key.startsWith(`${roomId}:`)) {
+                    clearTimeout(timer);
+                    this.timers.delete(key);
+                }
+            });
+        });
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {AdmissionService} 服务实例
+     */
+    static getInstance() {
+        if (!AdmissionService.instance) {
+            AdmissionService.instance = new AdmissionService();
+        }
+        return AdmissionService.instance;
+    }
+
+    /**
+     * 获取未关闭的房间，并校验操作者是否拥有入场审批权限
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} action - 操作名称，用于权限异常提示
+     * @returns {Room} 房间实例
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有入场审批权限时抛出
+     */
+    getManagedRoom(roomId, operatorId, action) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        PermissionGuard.authorize(room, operatorId, Permission.ADMIT, action);
+
+        return room;
+    }
+
+    /**
+     * 获取待审批的申请
+     * @private
+     * @param {Room} room - 房间实例
+     * @param {string} requestId - 申请ID
+     * @returns {JoinRequest} 入场申请
+     * @throws {JoinRequestNotFoundException} 当申请不存在或已被处理时抛出
+     */
+    getPendingRequest(room, requestId) {
+        const request = room.getJoinRequest(requestId);
+        if (!request || !request.isPending()) {
+            throw new JoinRequestNotFoundException(requestId);
+        }
+        return request;
+    }
+
+    /**
+     * 获取等待审批的入场申请
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @returns {Object[]} 待审批的申请，按申请时间先后排列
+     */
+    listRequests(roomId, operatorId) {
+        const room = this.getManagedRoom(roomId, operatorId, '查看入场申请');
+        return room.getPendingJoinRequests().map(request => request.toJSON());
+    }
+
+    /**
+     * 批准入场申请
+     * 申请者随即成为观众，并通过等候室收到身份令牌
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} requestId - 申请ID
+     * @returns {Object} 处理后的申请
+     * @throws {JoinRequestNotFoundException} 当申请不存在或已被处理时抛出
+     * @throws {RoomFullException} 当房间已满时抛出，申请保持待审批
+     * @throws {ValidationException} 当申请者在等待期间被封禁时抛出，申请随之被拒绝
+     */
+    approveRequest(roomId, operatorId, requestId) {
+        const room = this.getManagedRoom(roomId, operatorId, '批准入场申请');
+        const request = this.getPendingRequest(room, requestId);
+
+        if (room.isFull()) {
+            throw new RoomFullException(roomId);
+        }
+
+        if (room.findActiveBan({ nickname: request.nickname, clientIp: request.clientIp })) {
+            this.resolve(roomId, request, JoinRequestStatus.DENIED, { operatorId });
+            throw new ValidationException('申请者已被封禁，申请已自动拒绝');
+        }
+
+        const admission = this.roomService.admitParticipant(room, {
+            nickname: request.nickname,
+            clientIp: request.clientIp
+        });
+        this.resolve(roomId, request, JoinRequestStatus.APPROVED, { operatorId, admission });
+
+        return request.toJSON();
+    }
+
+    /**
+     * 拒绝入场申请
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} requestId - 申请ID
+     * @returns {Object} 处理后的申请
+     * @throws {JoinRequestNotFoundException} 当申请不存在或已被处理时抛出
+     */
+    denyRequest(roomId, operatorId, requestId) {
+        const room = this.getManagedRoom(roomId, operatorId, '拒绝入场申请');
+        const request = this.getPendingRequest(room, requestId);
+
+        this.resolve(roomId, request, JoinRequestStatus.DENIED, { operatorId });
+
+        return request.toJSON();
+    }
+
+    /**
+     * 凭等候凭证查找申请，供申请者在等候室等待或取回结果
+     * @param {string} roomId - 房间ID
+     * @param {string} requestId - 申请ID
+     * @param {string} ticket - 等候凭证
+     * @returns {JoinRequest} 入场申请（可能已被处理）
+     * @throws {JoinRequestNotFoundException} 当申请不存在、已被清理或凭证不符时抛出
+     */
+    findByTicket(roomId, requestId, ticket) {
+        const request = this.roomService.findById(roomId)?.getJoinRequest(requestId);
+        if (!request || !request.verifyTicket(ticket)) {
+            throw new JoinRequestNotFoundException(requestId);
+        }
+        return request;
+    }
+
+    /**
+     * 记录审批结果并发布 JOIN_REQUEST_RESOLVED，处理结果保留一段时间后删除
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {JoinRequest} request - 入场申请
+     * @param {string} status - 结果状态
+     * @param {Object} [options={}] - 处理人与入场结果，见 JoinRequest#resolve
+     */
+    resolve(roomId, request, status, options = {}) {
+        request.resolve(status, options);
+        this.schedule(roomId, request.id, config.admission.resultRetention * 1000);
+        this.eventBus.emit(BusEvent.JOIN_REQUEST_RESOLVED, roomId, request);
+    }
+
+    /**
+     * 安排申请的下一次定时处理：待审批的申请到期后过期，已处理的申请到期后删除
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} requestId - 申请ID
+     * @param {number} delay - 延迟(毫秒)
+     */
+    schedule(roomId, requestId, delay) {
+        const key = `${roomId}:${requestId}`;
+        clearTimeout(this.timers.get(key));
+
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+
+            const room = this.roomService.findById(roomId);
+            const request = room?.getJoinRequest(requestId);
+            if (!request) {
+                return;
+            }
+
+            if (request.isPending()) {
+                this.resolve(roomId, request, JoinRequestStatus.EXPIRED);
+            } else {
+                room.removeJoinRequest(requestId);
+            }
+        }, Math.max(delay, 0)));
+    }
+}
+
+module.exports = AdmissionService;
@@ -0,0 +1,197 @@
+/**
+ * @file 封禁服务层
+ * @description 管理房间黑名单：按成员或昵称封禁（可设置时长）、查看与解除封禁
+ * 封禁生效时会踢出房间内命中的成员，加入房间时由 RoomService 拦截被封禁的用户
+ * @module services/BanService
+ */
+
+const RoomService = require('./RoomService');
+const { Ban } = require('../models/Ban');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Permission } = require('../models/Permission');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    ParticipantNotFoundException,
+    ValidationException,
+    BanNotFoundException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 封禁服务类
+ * @class BanService
+ * @singleton
+ */
+class BanService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {BanService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建封禁服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {BanService} 服务实例
+     */
+    static getInstance() {
+        if (!BanService.instance) {
+            BanService.instance = new BanService();
+        }
+        return BanService.instance;
+    }
+
+    /**
+     * 获取未关闭的房间，并校验操作者是否拥有封禁权限
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} action - 操作名称，用于权限异常提示
+     * @returns {Room} 房间实例
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有封禁权限时抛出
+     */
+    getManagedRoom(roomId, operatorId, action) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        PermissionGuard.authorize(room, operatorId, Permission.BAN, action);
+
+        return room;
+    }
+
+    /**
+     * 获取房间的黑名单
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @returns {Object[]} 仍然有效的封禁记录，按封禁时间先后排列
+     */
+    listBans(roomId, operatorId) {
+        const room = this.getManagedRoom(roomId, operatorId, '查看黑名单');
+        return room.getActiveBans().map(ban => ban.toJSON());
+    }
+
+    /**
+     * 封禁用户
+     * participantId 与 nickname 二选一：按成员封禁时记录其当前昵称，按昵称封禁时不区分大小写；
+     * 封禁生效后立即踢出房间内命中的成员（创建者除外）
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {Object} data - 封禁参数
+     * @param {string} [data.participantId] - 被封禁的参与者ID
+     * @param {string} [data.nickname] - 被封禁的昵称
+     * @param {number|null} [data.duration] - 封禁时长(秒)，不传或为 null 表示永久封禁
+     * @param {string} [data.reason] - 封禁原因
+     * @returns {Promise<{ban: Object, kicked: Object[]}>} 封禁记录与被踢出的成员
+     * @throws {ValidationException} 当参数不合法或目标为创建者时抛出
+     * @throws {ParticipantNotFoundException} 当按成员封禁但成员不存在时抛出
+     */
+    async banParticipant(roomId, operatorId, data = {}) {
+        const room = this.getManagedRoom(roomId, operatorId, '封禁用户');
+        const errors = [];
+
+        const hasParticipantId = data.participantId !== undefined && data.participantId !== null;
+        const hasNickname = data.nickname !== undefined && data.nickname !== null;
+        if (hasParticipantId === hasNickname) {
+            errors.push({ field: 'participantId', message: '必须且只能指定 participantId 或 nickname 之一' });
+        }
+        if (hasNickname && (typeof data.nickname !== 'string' || !data.nickname.trim())) {
+            errors.push({ field: 'nickname', message: '昵称不能为空' });
+        }
+
+        const hasDuration = data.duration !== undefined && data.duration !== null;
+        const duration = Number(data.duration);
+        if (hasDuration && (!Number.isInteger(duration) || duration < 1 || duration > config.ban.maxDuration)) {
+            errors.push({ field: 'duration', message: `封禁时长必须是1-${config.ban.maxDuration}秒之间的整数` });
+        }
+
+        if (data.reason !== undefined &&
+            (typeof data.reason !== 'string' || data.reason.length > config.ban.reasonMaxLength)) {
+            errors.push({ field: 'reason', message: `封禁原因不能超过${config.ban.reasonMaxLength}个字符` });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        let nickname = hasNickname ? data.nickname.trim() : null;
+        let clientIp = null;
+        if (hasParticipantId) {
+            const participant = room.getParticipant(data.participantId);
+            if (!participant) {
+                throw new ParticipantNotFoundException(data.participantId);
+            }
+            if (participant.isCreator()) {
+                throw new ValidationException('不能封禁房间创建者');
+            }
+            nickname = participant.nickname;
+            clientIp = participant.clientIp;
+        }
+
+        const ban = room.addBan(new Ban({
+            participantId: hasParticipantId ? data.participantId : null,
+            nickname,
+            clientIp,
+            reason: data.reason,
+            operatorId,
+            expiresAt: hasDuration ? new Date(Date.now() + duration * 1000) : null
+        }));
+
+        // 踢出房间内命中的成员；IP 只用于拦截再次加入，不牵连同一网络下的其他在线成员
+        const targets = Array.from(room.participants.values())
+            .filter(p => !p.isCreator() && ban.matches({ participantId: p.id, nickname: p.nickname }));
+
+        const kicked = [];
+        for (const target of targets) {
+            kicked.push(await this.roomService.kickParticipant(roomId, operatorId, target.id, {
+                reason: ban.reason,
+                ban: ban.toJSON()
+            }));
+        }
+
+        return { ban: ban.toJSON(), kicked };
+    }
+
+    /**
+     * 解除封禁
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} banId - 封禁记录ID
+     * @returns {Object} 被解除的封禁记录
+     * @throws {BanNotFoundException} 当封禁记录不存在或已过期时抛出
+     */
+    unban(roomId, operatorId, banId) {
+        const room = this.getManagedRoom(roomId, operatorId, '解除封禁');
+
+        const ban = room.getActiveBans().find(b => b.id === banId);
+        if (!ban) {
+            throw new BanNotFoundException(banId);
+        }
+
+        room.removeBan(banId);
+        return ban.toJSON();
+    }
+}
+
+module.exports = BanService;
@@ -5,15 +5,249 @@
  */
 
 const RoomService = require('./RoomService');
+const SyncService = require('./SyncService');
+const ContentFilterService = require('./ContentFilterService');
+const MuteService = require('./MuteService');
+const MessageRepository = require('../repositories/MessageRepository');
+const TokenBucket = require('../utils/TokenBucket');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const { ModerationPolicy, ChatMode } = require('../models/Room');
+const { Permission } = require('../models/Permission');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    ValidationException,
+    RateLimitedException,
+    SensitiveContentException,
+    ChatRestrictedException,
+    ParticipantMutedException,
+    NotInRoomException
+} = require('../exceptions/BusinessException');
 
 class ChatService {
+    constructor() {
+        this.messageRepository = MessageRepository.getInstance();
+
+        /**
+         * 各房间的发言限流状态
+         * key: 房间ID
+         * value: { bucket: 房间令牌桶, participants: Map<参与者ID, 成员限流状态> }
+         * @private
+         * @type {Map<string, Object>}
+         */
+        this.floodGuards = new Map();
+
+        // 房间解散后清空聊天记录与限流状态
+        EventBus.getInstance().on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            this.messageRepository.clear(roomId);
+            this.floodGuards.delete(roomId);
+        });
+
+        // 成员退出或被踢出后释放其限流状态
+        EventBus.getInstance().on(BusEvent.PARTICIPANT_LEFT, (roomId, { participantId }) => {
+            this.floodGuards.get(roomId)?.participants.delete(participantId);
+        });
+        EventBus.getInstance().on(BusEvent.PARTICIPANT_KICKED, (roomId, kick) => {
+            this.floodGuards.get(roomId)?.participants.delete(kick.participant.id);
+        });
+    }
+
+    /**
+     * 获取（必要时创建）房间与成员的限流状态
+     * @private
+     * @param {string} roomId 房间ID
+     * @param {string} participantId 参与者ID
+     * @returns {{room: TokenBucket, member: object}} 房间令牌桶与成员限流状态
+     */
+    getFloodGuard(roomId, participantId) {
+        const limits = config.chat.rateLimit;
+
+        let guard = this.floodGuards.get(roomId);
+        if (!guard) {
+            guard = {
+                bucket: new TokenBucket({ capacity: limits.roomBurst, refillPerSecond: limits.roomRefillPerSecond }),
+                participants: new Map()
+            };
+            this.floodGuards.set(roomId, guard);
+        }
+
+        let member = guard.participants.get(participantId);
+        if (!member) {
+            member = {
+                bucket: new TokenBucket({
+                    capacity: limits.participantBurst,
+                    refillPerSecond: limits.participantRefillPerSecond
+                }),
+                lastContent: null,
+                lastSentAt: 0,
+                lastMessageAt: 0,
+                repeatCount: 0,
+                violations: []
+            };
+            guard.participants.set(participantId, member);
+        }
+
+        return { room: guard.bucket, member };
+    }
+
+    /**
+     * 记录一次违规，窗口内违规次数达到阈值时经由 MuteService 自动禁言（房间内会收到禁言提示）
+     * @private
+     * @param {Room} room 房间实例
+     * @param {Participant} participant 发送者
+     * @param {object} member 成员限流状态
+     * @param {number} now 当前时间戳(毫秒)
+     * @throws {ParticipantMutedException} 当触发自动禁言时抛出
+     */
+    recordViolation(room, participant, member, now) {
+        const limits = config.chat.rateLimit;
+
+        member.violations = member.violations.filter(at => now - at < limits.offenceWindow);
+        member.violations.push(now);
+
+        if (member.violations.length < limits.offenceThreshold) {
+            return;
+        }
+
+        member.violations = [];
+        const mute = MuteService.getInstance().autoMute(room, participant, limits.autoMuteDuration, 'flood');
+        throw new ParticipantMutedException(mute);
+    }
+
+    /**
+     * 聊天模式检查
+     * 关闭聊天时拒绝所有人；仅控制者模式下只允许拥有播放控制权限的成员；
+     * 慢速模式下除拥有房间配置权限的成员外，两次成功发言之间需间隔 slowModeInterval 秒
+     * @param {Room} room 房间实例
+     * @param {Participant} participant 发送者
+     * @param {number} [now=Date.now()] 当前时间戳(毫秒)
+     * @throws {ChatRestrictedException} 当聊天关闭或发送者无发言权限时抛出
+     * @throws {RateLimitedException} 当慢速模式冷却未结束时抛出，reason 为 slow_mode
+     */
+    enforceChatMode(room, participant, now = Date.now()) {
+        switch (room.chatMode) {
+            case ChatMode.OFF:
+                throw new ChatRestrictedException(room.chatMode);
+
+            case ChatMode.CONTROLLERS:
+                if (!room.can(participant, Permission.CONTROL_PLAYBACK)) {
+                    throw new ChatRestrictedException(room.chatMode);
+                }
+                break;
+
+            case ChatMode.SLOW: {
+                if (room.can(participant, Permission.EDIT_CONFIG)) break;
+
+                const { member } = this.getFloodGuard(room.id, participant.id);
+                const cooldownEnd = member.lastMessageAt + room.slowModeInterval * 1000;
+                if (cooldownEnd > now) {
+                    throw new RateLimitedException(cooldownEnd - now, 'slow_mode');
+                }
+                break;
+            }
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 发言频率检查
+     * 依次检查：重复消息 → 成员令牌桶 → 房间令牌桶，全部通过后才扣除令牌
+     * 重复刷屏与个人超速计入违规次数，房间整体繁忙不计入；自动禁言期间由调用方的禁言检查拦截
+     * @param {Room} room 房间实例
+     * @param {Participant} participant 发送者
+     * @param {string} content 已去除首尾空白的消息内容
+     * @param {number} [now=Date.now()] 当前时间戳(毫秒)
+     * @throws {RateLimitedException} 当发言被限流时抛出，retryAfter 为需等待的毫秒数
+     * @throws {ParticipantMutedException} 当本次违规触发自动禁言时抛出
+     */
+    enforceRateLimit(room, participant, content, now = Date.now()) {
+        const limits = config.chat.rateLimit;
+        const { room: roomBucket, member } = this.getFloodGuard(room.id, participant.id);
+
+        const reject = (retryAfter, reason) => {
+            this.recordViolation(room, participant, member, now);
+            throw new RateLimitedException(retryAfter, reason);
+        };
+
+        // 1. 重复消息：窗口内连续发送相同内容超过上限
+        const normalized = content.toLowerCase().replace(/\s+/g, ' ');
+        const withinWindow = now - member.lastSentAt < limits.duplicateWindow;
+        const repeatCount = withinWindow && member.lastContent === normalized ? member.repeatCount + 1 : 1;
+        if (repeatCount > limits.maxDuplicates) {
+            reject(member.lastSentAt + limits.duplicateWindow - now, 'duplicate');
+        }
+
+        // 2. 成员与房间令牌桶（先检查，再统一扣除，避免一方拒绝时另一方被白白消耗）
+        const memberWait = member.bucket.getWaitTime(1, now);
+        if (memberWait > 0) {
+            reject(memberWait, 'too_fast');
+        }
+
+        const roomWait = roomBucket.getWaitTime(1, now);
+        if (roomWait > 0) {
+            throw new RateLimitedException(roomWait, 'room_busy');
+        }
+
+        member.bucket.tryConsume(1, now);
+        roomBucket.tryConsume(1, now);
+
+        member.lastContent = normalized;
+        member.lastSentAt = now;
+        member.repeatCount = repeatCount;
+    }
+
+    /**
+     * 发言前的统一检查，聊天消息与弹幕共用同一套规则与限流状态
+     * 依次检查：禁言 → 聊天模式 → 发言频率 → 敏感词（按房间审核策略打码、拒绝或标记待审核）
+     * @param {Room} room 房间实例
+     * @param {Participant} participant 发送者
+     * @param {string} content 已去除首尾空白的内容
+     * @returns {{action: string, text: string, words: string[]}} 敏感词过滤结果，REVIEW 时由调用方标记待审核
+     * @throws {ParticipantMutedException} 当发送者被禁言（含刷屏触发的自动禁言）时抛出
+     * @throws {ChatRestrictedException} 当房间聊天模式不允许发送者发言时抛出
+     * @throws {RateLimitedException} 当发言过于频繁、重复刷屏或慢速模式冷却未结束时抛出
+     * @throws {SensitiveContentException} 当房间审核策略为拒绝且内容命中敏感词时抛出
+     */
+    screenContent(room, participant, content) {
+        // 禁言检查
+        if (participant.isMuted()) {
+            throw new ParticipantMutedException(participant.mute);
+        }
+
+        // 聊天模式检查（关闭、仅控制者、慢速）
+        this.enforceChatMode(room, participant);
+
+        // 发言频率检查（限流、重复消息、自动禁言）
+        this.enforceRateLimit(room, participant, content);
+
+        // 敏感词过滤
+        const moderation = ContentFilterService.getInstance().moderate(content, room.moderationPolicy);
+        if (moderation.action === ModerationPolicy.REJECT) {
+            throw new SensitiveContentException();
+        }
+
+        return moderation;
+    }
+
+    /**
+     * 记录一次成功发言，作为慢速模式冷却的起点
+     * @param {string} roomId 房间ID
+     * @param {string} participantId 发送者ID
+     */
+    recordSent(roomId, participantId) {
+        this.getFloodGuard(roomId, participantId).member.lastMessageAt = Date.now();
+    }
+
     /**
      * 加入聊天频道前的业务校验
      * @param {string} roomId 房间ID
      * @param {string} participantId 参与者ID
-     * @returns {object} 校验通过后的相关信息
+     * @param {string} [socketId] 当前连接的 Socket ID，用于标记在线状态
+     * @returns {object} 校验通过后的相关信息，包含初始化快照 init 与最近的聊天记录 history
      */
-    async joinRoomChat(roomId, participantId) {
+    async joinRoomChat(roomId, participantId, socketId) {
         // 1. 获取房间实例 (使用单例模式获取)
         const roomService = RoomService.getInstance();
         const room = roomService.findById(roomId);
@@ -29,19 +263,55 @@ class ChatService {
             throw new Error('NOT_IN_ROOM'); // 对应文档错误码
         }
 
-        // 返回信息用于日志
+        // 3. 绑定连接，标记为在线
+        if (socketId) {
+            participant.setSocketId(socketId);
+            EventBus.getInstance().emit(BusEvent.PRESENCE_CHANGED, roomId, {
+                participantId: participant.id,
+                status: participant.status
+            });
+        }
+
+        // 返回信息用于日志及初始化同步
         return {
             roomName: room.name,
-            nickname: participant.nickname
+            nickname: participant.nickname,
+            init: SyncService.getInstance().buildInitSnapshot(room),
+            history: this.messageRepository.findPage(roomId, { limit: config.chat.joinHistoryCount }).messages
         };
     }
 
+    /**
+     * 断开聊天连接时的处理
+     * 仅当断开的是参与者当前绑定的连接时才标记为离线（避免重连后被旧连接覆盖）
+     * @param {string} roomId 房间ID
+     * @param {string} participantId 参与者ID
+     * @param {string} socketId 断开的 Socket ID
+     */
+    leaveRoomChat(roomId, participantId, socketId) {
+        const room = RoomService.getInstance().findById(roomId);
+        if (!room) return;
+
+        const participant = room.getParticipant(participantId);
+        if (participant && participant.socketId === socketId) {
+            participant.setSocketId(null);
+            EventBus.getInstance().emit(BusEvent.PRESENCE_CHANGED, roomId, {
+                participantId: participant.id,
+                status: participant.status
+            });
+        }
+    }
+
     /**
      * 发送消息的业务处理
      * @param {string} roomId 房间ID
      * @param {string} participantId 发送者ID
      * @param {string} content 消息内容
      * @returns {object} 构造好的标准消息对象
+     * @throws {RateLimitedException} 当发言过于频繁或重复刷屏时抛出
+     * @throws {SensitiveContentException} 当房间审核策略为拒绝且消息命中敏感词时抛出
+     * @throws {ChatRestrictedException} 当房间聊天模式不允许发送者发言时抛出
+     * @throws {ParticipantMutedException} 当发送者被禁言（含刷屏触发的自动禁言）时抛出
      */
     async sendMessage(roomId, participantId, content) {
         // 1. 基础参数校验
@@ -75,6 +345,8 @@ class ChatService {
             throw new Error('NOT_IN_ROOM');
         }
 
+        const moderation = this.screenContent(room, participant, trimmedContent);
+
         // 3. 构造消息 DTO (Data Transfer Object)
         // 服务端生成 ID 和 时间戳，保证数据可信度
         const messageDto = {
@@ -85,12 +357,67 @@ class ChatService {
                 nickname: participant.nickname,
                 role: participant.role
             },
-            content: trimmedContent,
+            content: moderation.text,
             sentAt: new Date().toISOString()
         };
 
+        // 4. 写入房间历史记录
+        this.messageRepository.append(roomId, messageDto);
+        this.recordSent(roomId, participant.id);
+
+        if (moderation.action === ModerationPolicy.REVIEW) {
+            ContentFilterService.getInstance().flag(roomId, {
+                target: 'message',
+                participantId: participant.id,
+                content: trimmedContent,
+                words: moderation.words,
+                messageId: messageDto.messageId
+            });
+        }
+
         return messageDto;
     }
+
+    /**
+     * 分页获取聊天记录
+     * 仅房间内的成员可以查询，被踢出或已离开的成员即使令牌尚未过期也会被拒绝
+     * @param {string} roomId 房间ID
+     * @param {string} participantId 查询者ID
+     * @param {object} [options] 查询选项
+     * @param {string} [options.before] 消息ID游标，返回该消息之前的记录
+     * @param {number|string} [options.limit] 返回条数
+     * @returns {{messages: object[], hasMore: boolean}} 按发送顺序排列的消息
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {NotInRoomException} 当查询者不在房间内时抛出
+     * @throws {ValidationException} 当分页参数不合法时抛出
+     */
+    getHistory(roomId, participantId, options = {}) {
+        const room = RoomService.getInstance().findById(roomId);
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+        if (!room.getParticipant(participantId)) {
+            throw new NotInRoomException(roomId, participantId);
+        }
+
+        let limit = config.chat.defaultPageSize;
+        if (options.limit !== undefined && options.limit !== null && options.limit !== '') {
+            limit = Number(options.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > config.chat.maxPageSize) {
+                throw new ValidationException('参数验证失败', [
+                    { field: 'limit', message: `每页条数必须是1-${config.chat.maxPageSize}之间的整数` }
+                ]);
+            }
+        }
+
+        if (options.before !== undefined && options.before !== null && typeof options.before !== 'string') {
+            throw new ValidationException('参数验证失败', [
+                { field: 'before', message: '消息ID游标必须是字符串' }
+            ]);
+        }
+
+        return this.messageRepository.findPage(roomId, { before: options.before || undefined, limit });
+    }
 }
 
 // 导出单例实例
@@ -0,0 +1,220 @@
+/**
+ * @file 内容过滤服务层
+ * @description 基于本地词库的敏感词过滤：使用 AC 自动机一次扫描匹配全部敏感词，
+ * 词库文件变更后自动重新加载，无需重启服务
+ * @module services/ContentFilterService
+ */
+
+const fs = require('fs');
+const AhoCorasick = require('../utils/AhoCorasick');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const { ModerationPolicy } = require('../models/Room');
+const config = require('../config');
+
+/**
+ * 干扰字符（空白、标点与符号），用于识别"傻 逼"、"傻*逼"这类插入干扰字符的写法
+ * @private
+ */
+const SEPARATOR_PATTERN = /[\s\p{P}\p{S}]/u;
+
+/**
+ * 空白字符
+ * @private
+ */
+const WHITESPACE_PATTERN = /\s/;
+
+/**
+ * 中日韩文字。这类文字不以空白分词，夹在其间的空白同样视为干扰字符
+ * @private
+ */
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * 内容过滤服务类
+ * 匹配前统一做大小写与全角/半角归一化，并跳过词内的干扰字符：
+ * 标点与符号一律跳过，空白只在中日韩文字之间跳过，其余空白保留为词边界，
+ * 避免"this hit"这类相邻两个单词被拼接后误判；
+ * 打码时按匹配范围映射回原文，连同夹在其中的干扰字符一并替换
+ * @class ContentFilterService
+ * @singleton
+ */
+class ContentFilterService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {ContentFilterService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建内容过滤服务实例，加载词库并监听文件变更
+     * @constructor
+     * @private
+     */
+    constructor() {
+        /**
+         * 当前词库构建的自动机
+         * @private
+         * @type {AhoCorasick}
+         */
+        this.matcher = new AhoCorasick();
+        this.reload();
+
+        // 非持久监听，不会阻止进程退出
+        fs.watchFile(config.moderation.wordListFile, {
+            interval: config.moderation.reloadInterval,
+            persistent: false
+        }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs) {
+                this.reload();
+            }
+        });
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {ContentFilterService} 服务实例
+     */
+    static getInstance() {
+        if (!ContentFilterService.instance) {
+            ContentFilterService.instance = new ContentFilterService();
+        }
+        return ContentFilterService.instance;
+    }
+
+    /**
+     * 重新加载词库
+     * 读取失败时保留当前词库
+     * @returns {number} 当前生效的敏感词数量
+     */
+    reload() {
+        try {
+            const words = fs.readFileSync(config.moderation.wordListFile, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'))
+                .map(line => this.normalize(line).text)
+                .filter(Boolean);
+
+            this.matcher = new AhoCorasick(words);
+            console.log(`[ContentFilter] 已加载 ${this.matcher.size} 个敏感词`);
+        } catch (error) {
+            console.error(`[ContentFilter] 加载词库失败，继续使用当前词库: ${error.message}`);
+        }
+        return this.matcher.size;
+    }
+
+    /**
+     * 归一化文本：转小写、全角转半角，并去掉词内的干扰字符
+     * 一段连续的干扰字符中含有空白、且不是夹在两个中日韩文字之间时，折叠为一个空格保留
+     * @private
+     * @param {string} text - 原文
+     * @returns {{text: string, positions: number[]}} 归一化后的文本，以及其中每个字符在原文中的下标
+     */
+    normalize(text) {
+        let normalized = '';
+        const positions = [];
+        // 当前这段干扰字符中第一个空白的下标，-1 表示没有空白
+        let gap = -1;
+
+        for (let i = 0; i < text.length; i++) {
+            let ch = text[i];
+            const code = ch.charCodeAt(0);
+
+            if (code === 0x3000) {
+                ch = ' ';
+            } else if (code >= 0xFF01 && code <= 0xFF5E) {
+                ch = String.fromCharCode(code - 0xFEE0);
+            }
+
+            if (SEPARATOR_PATTERN.test(ch)) {
+                if (gap < 0 && WHITESPACE_PATTERN.test(ch)) {
+                    gap = i;
+                }
+                continue;
+            }
+
+            if (gap >= 0 && normalized &&
+                !(CJK_PATTERN.test(normalized[normalized.length - 1]) && CJK_PATTERN.test(ch))) {
+                normalized += ' ';
+                positions.push(gap);
+            }
+            gap = -1;
+
+            const lower = ch.toLowerCase();
+            normalized += lower.length === 1 ? lower : ch;
+            positions.push(i);
+        }
+
+        return { text: normalized, positions };
+    }
+
+    /**
+     * 在文本中查找敏感词
+     * @param {string} text - 待检测文本
+     * @returns {Array<{word: string, start: number, end: number}>} 命中结果，start/end 为原文下标（end 不含）
+     */
+    findMatches(text) {
+        if (!text || this.matcher.size === 0) {
+            return [];
+        }
+
+        const { text: normalized, positions } = this.normalize(text);
+        return this.matcher.search(normalized).map(match => ({
+            word: match.word,
+            start: positions[match.start],
+            end: positions[match.end - 1] + 1
+        }));
+    }
+
+    /**
+     * 按审核策略处理文本
+     * @param {string} text - 待处理文本
+     * @param {string} policy - 审核策略（mask/reject/review）
+     * @returns {{text: string, words: string[], action: string|null}}
+     * 处理后的文本、命中的敏感词，以及采取的处理方式（未命中时为 null）
+     */
+    moderate(text, policy) {
+        const matches = this.findMatches(text);
+        if (matches.length === 0) {
+            return { text, words: [], action: null };
+        }
+
+        const words = [...new Set(matches.map(m => m.word))];
+
+        if (policy !== ModerationPolicy.MASK) {
+            return { text, words, action: policy };
+        }
+
+        const chars = text.split('');
+        matches.forEach(({ start, end }) => {
+            for (let i = start; i < end; i++) {
+                chars[i] = config.moderation.maskChar;
+            }
+        });
+
+        return { text: chars.join(''), words, action: ModerationPolicy.MASK };
+    }
+
+    /**
+     * 标记待审核内容
+     * 通过事件总线发布 CONTENT_FLAGGED，由网关通知房间管理者
+     * @param {string} roomId - 房间ID
+     * @param {Object} entry - 待审核内容
+     * @param {string} entry.target - 内容类型（message/danmaku/name/announcement/nickname）
+     * @param {string|null} entry.participantId - 发布者ID，入场申请中的昵称为null
+     * @param {string} entry.content - 原始内容
+     * @param {string[]} entry.words - 命中的敏感词
+     * @param {string} [entry.messageId] - 消息ID（仅聊天消息）
+     * @param {string} [entry.danmakuId] - 弹幕ID（仅弹幕）
+     * @param {string} [entry.joinRequestId] - 入场申请ID（仅待审批申请中的昵称）
+     */
+    flag(roomId, entry) {
+        console.warn(`[ContentFilter] 房间 ${roomId} 的 ${entry.target} 命中敏感词，待审核: ${entry.words.join(', ')}`);
+        EventBus.getInstance().emit(BusEvent.CONTENT_FLAGGED, roomId, entry);
+    }
+}
+
+module.exports = ContentFilterService;
@@ -0,0 +1,218 @@
+/**
+ * @file 弹幕服务层
+ * @description 实现弹幕的发送与按时间范围查询：
+ * 弹幕锚定在发送时房间 VideoState 计算出的当前进度上，并按视频源分别保存
+ * @module services/DanmakuService
+ */
+
+const RoomService = require('./RoomService');
+const ChatService = require('./ChatService');
+const ContentFilterService = require('./ContentFilterService');
+const DanmakuRepository = require('../repositories/DanmakuRepository');
+const { Danmaku, DanmakuMode } = require('../models/Danmaku');
+const { ModerationPolicy } = require('../models/Room');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    NotInRoomException,
+    ValidationException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 颜色格式：#RRGGBB
+ * @private
+ */
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * 弹幕服务类
+ * 房间解散时清空该房间的全部弹幕
+ * @class DanmakuService
+ * @singleton
+ */
+class DanmakuService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {DanmakuService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建弹幕服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.danmakuRepository = DanmakuRepository.getInstance();
+
+        EventBus.getInstance().on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            this.danmakuRepository.clear(roomId);
+        });
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {DanmakuService} 服务实例
+     */
+    static getInstance() {
+        if (!DanmakuService.instance) {
+            DanmakuService.instance = new DanmakuService();
+        }
+        return DanmakuService.instance;
+    }
+
+    /**
+     * 获取未关闭的房间
+     * @private
+     * @param {string} roomId - 房间ID
+     * @returns {Room} 房间实例
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     */
+    getActiveRoom(roomId) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        return room;
+    }
+
+    /**
+     * 发送弹幕
+     * 弹幕的时间点由服务端根据 VideoState 计算，客户端无法指定；
+     * 与聊天消息共用禁言、聊天模式、发言频率与敏感词检查
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 发送者ID
+     * @param {Object} data - 弹幕数据
+     * @param {string} data.content - 弹幕内容
+     * @param {string} [data.mode='scroll'] - 显示位置（scroll/top/bottom）
+     * @param {string} [data.color] - 颜色（#RRGGBB），默认取 config.danmaku.defaultColor
+     * @returns {Danmaku} 保存的弹幕
+     * @throws {NotInRoomException} 当发送者不在房间内时抛出
+     * @throws {ValidationException} 当参数不合法或当前没有片源时抛出
+     * @throws {ParticipantMutedException} 当发送者被禁言时抛出
+     * @throws {ChatRestrictedException} 当房间聊天模式不允许发送者发言时抛出
+     * @throws {RateLimitedException} 当发言过于频繁或重复刷屏时抛出
+     * @throws {SensitiveContentException} 当房间审核策略为拒绝且内容命中敏感词时抛出
+     */
+    sendDanmaku(roomId, participantId, data = {}) {
+        const room = this.getActiveRoom(roomId);
+
+        const participant = room.getParticipant(participantId);
+        if (!participant) {
+            throw new NotInRoomException(roomId, participantId);
+        }
+
+        const errors = [];
+        const content = typeof data.content === 'string' ? data.content.trim() : '';
+        const mode = data.mode === undefined ? DanmakuMode.SCROLL : data.mode;
+        const color = data.color === undefined ? config.danmaku.defaultColor : data.color;
+
+        if (!content || content.length > config.danmaku.contentMaxLength) {
+            errors.push({
+                field: 'content',
+                message: `弹幕内容不能为空且不超过${config.danmaku.contentMaxLength}个字符`
+            });
+        }
+        if (!Object.values(DanmakuMode).includes(mode)) {
+            errors.push({ field: 'mode', message: `显示位置必须是 ${Object.values(DanmakuMode).join('/')} 之一` });
+        }
+        if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+            errors.push({ field: 'color', message: '颜色必须是 #RRGGBB 格式' });
+        }
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        const videoState = room.videoState;
+        if (!videoState.source) {
+            throw new ValidationException('当前没有片源，无法发送弹幕');
+        }
+
+        const moderation = ChatService.screenContent(room, participant, content);
+
+        const danmaku = new Danmaku({
+            roomId,
+            source: videoState.source,
+            time: Math.round(videoState.getCurrentProgress() * 1000) / 1000,
+            content: moderation.text,
+            mode,
+            color: color.toUpperCase(),
+            from: {
+                participantId: participant.id,
+                nickname: participant.nickname
+            }
+        });
+
+        this.danmakuRepository.save(danmaku);
+        ChatService.recordSent(roomId, participant.id);
+
+        if (moderation.action === ModerationPolicy.REVIEW) {
+            ContentFilterService.getInstance().flag(roomId, {
+                target: 'danmaku',
+                participantId: participant.id,
+                content,
+                words: moderation.words,
+                danmakuId: danmaku.id
+            });
+        }
+
+        return danmaku;
+    }
+
+    /**
+     * 按视频时间范围查询弹幕
+     * 仅房间内的成员可以查询
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 查询者ID
+     * @param {Object} [query={}] - 查询条件
+     * @param {string} [query.source] - 视频源URL，默认为房间当前片源
+     * @param {number|string} [query.from=0] - 起始时间(秒，含)
+     * @param {number|string} [query.to] - 结束时间(秒，不含)，默认为 from 加最大查询跨度
+     * @returns {{source: string|null, from: number, to: number, danmaku: Object[]}} 查询结果
+     * @throws {NotInRoomException} 当查询者不在房间内时抛出
+     * @throws {ValidationException} 当时间范围不合法时抛出
+     */
+    getDanmaku(roomId, participantId, query = {}) {
+        const room = this.getActiveRoom(roomId);
+        if (!room.getParticipant(participantId)) {
+            throw new NotInRoomException(roomId, participantId);
+        }
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+        const from = isSet(query.from) ? Number(query.from) : 0;
+        const to = isSet(query.to) ? Number(query.to) : from + config.danmaku.maxRangeWindow;
+
+        if (!Number.isFinite(from) || from < 0) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'from', message: '起始时间必须是非负数' }
+            ]);
+        }
+        if (!Number.isFinite(to) || to <= from || to - from > config.danmaku.maxRangeWindow) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'to', message: `结束时间必须大于起始时间，且跨度不超过${config.danmaku.maxRangeWindow}秒` }
+            ]);
+        }
+
+        const source = isSet(query.source) ? String(query.source) : room.videoState.source;
+        const danmaku = source
+            ? this.danmakuRepository.findByTimeRange(roomId, source, from, to).map(d => d.toJSON())
+            : [];
+
+        return { source, from, to, danmaku };
+    }
+}
+
+module.exports = DanmakuService;
@@ -0,0 +1,172 @@
+/**
+ * @file 邀请服务层
+ * @description 管理房间邀请：创建带有效期、使用次数与预设角色的邀请码，查看与撤销邀请
+ * 持有有效邀请码加入房间时由 RoomService 跳过密码校验并授予预设角色
+ * @module services/InviteService
+ */
+
+const RoomService = require('./RoomService');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Invite } = require('../models/Invite');
+const { Permission } = require('../models/Permission');
+const { ParticipantRole } = require('../models/Participant');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    ValidationException,
+    InviteNotFoundException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 邀请服务类
+ * @class InviteService
+ * @singleton
+ */
+class InviteService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {InviteService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建邀请服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {InviteService} 服务实例
+     */
+    static getInstance() {
+        if (!InviteService.instance) {
+            InviteService.instance = new InviteService();
+        }
+        return InviteService.instance;
+    }
+
+    /**
+     * 获取未关闭的房间，并校验操作者是否拥有邀请管理权限
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} action - 操作名称，用于权限异常提示
+     * @returns {Room} 房间实例
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有邀请管理权限时抛出
+     */
+    getManagedRoom(roomId, operatorId, action) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        PermissionGuard.authorize(room, operatorId, Permission.MANAGE_INVITES, action);
+
+        return room;
+    }
+
+    /**
+     * 获取房间内仍然有效的邀请
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @returns {Object[]} 有效的邀请，按创建时间先后排列
+     */
+    listInvites(roomId, operatorId) {
+        const room = this.getManagedRoom(roomId, operatorId, '查看邀请');
+        return room.getActiveInvites().map(invite => invite.toJSON());
+    }
+
+    /**
+     * 创建邀请
+     * 预设房管、放映控制者角色时操作者还需拥有角色管理权限
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {Object} [data={}] - 邀请参数
+     * @param {number} [data.expiresIn] - 有效期(秒)，默认为 config.invite.defaultExpiresIn
+     * @param {number|null} [data.maxUses] - 可使用次数，不传或为 null 表示不限
+     * @param {string} [data.role='viewer'] - 加入后获得的角色（moderator/controller/viewer）
+     * @returns {Object} 创建的邀请
+     * @throws {ValidationException} 当参数不合法或有效邀请数量已达上限时抛出
+     * @throws {PermissionDeniedException} 当预设角色但操作者没有角色管理权限时抛出
+     */
+    createInvite(roomId, operatorId, data = {}) {
+        const room = this.getManagedRoom(roomId, operatorId, '创建邀请');
+        const errors = [];
+
+        const hasExpiresIn = data.expiresIn !== undefined && data.expiresIn !== null;
+        const expiresIn = hasExpiresIn ? Number(data.expiresIn) : config.invite.defaultExpiresIn;
+        if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > config.invite.maxExpiresIn) {
+            errors.push({ field: 'expiresIn', message: `有效期必须是1-${config.invite.maxExpiresIn}秒之间的整数` });
+        }
+
+        const hasMaxUses = data.maxUses !== undefined && data.maxUses !== null;
+        const maxUses = Number(data.maxUses);
+        if (hasMaxUses && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > config.invite.maxUses)) {
+            errors.push({ field: 'maxUses', message: `可使用次数必须是1-${config.invite.maxUses}之间的整数` });
+        }
+
+        const role = data.role || ParticipantRole.VIEWER;
+        const assignableRoles = [ParticipantRole.MODERATOR, ParticipantRole.CONTROLLER, ParticipantRole.VIEWER];
+        if (!assignableRoles.includes(role)) {
+            errors.push({ field: 'role', message: `角色必须是 ${assignableRoles.join('/')} 之一` });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        if (role !== ParticipantRole.VIEWER) {
+            PermissionGuard.authorize(room, operatorId, Permission.MANAGE_ROLES, '预设邀请角色');
+        }
+
+        if (room.getActiveInvites().length >= config.invite.maxActivePerRoom) {
+            throw new ValidationException(`每个房间最多同时保留${config.invite.maxActivePerRoom}个有效邀请`);
+        }
+
+        const invite = room.addInvite(new Invite({
+            role,
+            maxUses: hasMaxUses ? maxUses : null,
+            operatorId,
+            expiresAt: new Date(Date.now() + expiresIn * 1000)
+        }));
+
+        return invite.toJSON();
+    }
+
+    /**
+     * 撤销邀请
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} inviteId - 邀请ID
+     * @returns {Object} 被撤销的邀请
+     * @throws {InviteNotFoundException} 当邀请不存在或已失效时抛出
+     */
+    revokeInvite(roomId, operatorId, inviteId) {
+        const room = this.getManagedRoom(roomId, operatorId, '撤销邀请');
+
+        const invite = room.getActiveInvites().find(i => i.id === inviteId);
+        if (!invite) {
+            throw new InviteNotFoundException(inviteId);
+        }
+
+        room.removeInvite(inviteId);
+        return invite.toJSON();
+    }
+}
+
+module.exports = InviteService;
@@ -0,0 +1,268 @@
+/**
+ * @file 禁言服务层
+ * @description 实现成员禁言与解除禁言：禁言期间不能发送消息与弹幕，
+ * 设置了时长的禁言到期后自动解除并通知房间；刷屏触发的自动禁言同样经由本服务施加
+ * @module services/MuteService
+ */
+
+const RoomService = require('./RoomService');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Permission } = require('../models/Permission');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    ParticipantNotFoundException,
+    ValidationException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 禁言服务类
+ * 禁言状态保存在 Participant 上，本服务只负责到期定时器；
+ * 成员被踢出或房间解散时清理对应的定时器
+ * @class MuteService
+ * @singleton
+ */
+class MuteService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {MuteService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建禁言服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.eventBus = EventBus.getInstance();
+
+        /**
+         * 禁言到期定时器
+         * key: `${roomId}:${participantId}`
+         * value: Timeout
+         * @private
+         * @type {Map<string, Timeout>}
+         */
+        this.timers = new Map();
+
+        this.eventBus.on(BusEvent.PARTICIPANT_KICKED, (roomId, kick) => {
+            this.clearTimer(roomId, kick.participant.id);
+        });
+        this.eventBus.on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            this.timers.forEach((timer, key) => {
+                if (key.startsWith(`${roomId}:`)) {
+                    clearTimeout(timer);
+                    this.timers.delete(key);
+                }
+            });
+        });
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {MuteService} 服务实例
+     */
+    static getInstance() {
+        if (!MuteService.instance) {
+            MuteService.instance = new MuteService();
+        }
+        return MuteService.instance;
+    }
+
+    /**
+     * 获取禁言目标
+     * 校验房间状态与操作者权限，且不能对创建者操作
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} participantId - 目标参与者ID
+     * @param {string} action - 操作名称，用于权限异常提示
+     * @returns {{room: Room, participant: Participant}} 房间与目标参与者
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有禁言权限时抛出
+     * @throws {ParticipantNotFoundException} 当目标参与者不存在时抛出
+     * @throws {ValidationException} 当目标为创建者时抛出
+     */
+    getTarget(roomId, operatorId, participantId, action) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        PermissionGuard.authorize(room, operatorId, Permission.MUTE, action);
+
+        const participant = room.getParticipant(participantId);
+        if (!participant) {
+            throw new ParticipantNotFoundException(participantId);
+        }
+
+        if (participant.isCreator()) {
+            throw new ValidationException('不能禁言房间创建者');
+        }
+
+        return { room, participant };
+    }
+
+    /**
+     * 发布禁言状态变更
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {Participant} participant - 参与者
+     * @param {string|null} operatorId - 操作者ID，自动解除时为null
+     * @param {string} [reason=''] - 原因
+     */
+    notify(roomId, participant, operatorId, reason = '') {
+        const json = participant.toJSON();
+        this.eventBus.emit(BusEvent.PARTICIPANT_MUTED, roomId, {
+            participant: json,
+            muted: json.muted,
+            mutedUntil: json.mutedUntil,
+            reason,
+            operatorId
+        });
+    }
+
+    /**
+     * 禁言成员
+     * 重复禁言会覆盖之前的时长
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} participantId - 目标参与者ID
+     * @param {Object} [options={}] - 禁言选项
+     * @param {number|null} [options.duration] - 禁言时长(秒)，不传或为 null 表示直到手动解除
+     * @param {string} [options.reason] - 禁言原因
+     * @returns {Object} 更新后的参与者信息
+     * @throws {ValidationException} 当参数不合法时抛出
+     */
+    muteParticipant(roomId, operatorId, participantId, options = {}) {
+        const { participant } = this.getTarget(roomId, operatorId, participantId, '禁言成员');
+        const errors = [];
+
+        const hasDuration = options.duration !== undefined && options.duration !== null;
+        const duration = Number(options.duration);
+        if (hasDuration && (!Number.isInteger(duration) || duration < 1 || duration > config.mute.maxDuration)) {
+            errors.push({ field: 'duration', message: `禁言时长必须是1-${config.mute.maxDuration}秒之间的整数` });
+        }
+
+        if (options.reason !== undefined &&
+            (typeof options.reason !== 'string' || options.reason.length > config.mute.reasonMaxLength)) {
+            errors.push({ field: 'reason', message: `禁言原因不能超过${config.mute.reasonMaxLength}个字符` });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        const reason = options.reason || '';
+        participant.setMute({
+            until: hasDuration ? new Date(Date.now() + duration * 1000) : null,
+            reason,
+            operatorId
+        });
+
+        this.clearTimer(roomId, participantId);
+        if (hasDuration) {
+            this.scheduleExpiry(roomId, participantId, duration * 1000);
+        }
+
+        this.notify(roomId, participant, operatorId, reason);
+        return participant.toJSON();
+    }
+
+    /**
+     * 系统自动禁言（如刷屏触发），不校验操作者权限，到期后自动解除
+     * @param {Room} room - 房间实例
+     * @param {Participant} participant - 目标参与者
+     * @param {number} duration - 禁言时长(毫秒)
+     * @param {string} reason - 禁言原因
+     * @returns {Object} 禁言信息，同 Participant#mute
+     */
+    autoMute(room, participant, duration, reason) {
+        participant.setMute({ until: new Date(Date.now() + duration), reason, operatorId: null });
+
+        this.clearTimer(room.id, participant.id);
+        this.scheduleExpiry(room.id, participant.id, duration);
+
+        this.notify(room.id, participant, null, reason);
+        return participant.mute;
+    }
+
+    /**
+     * 解除禁言
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} participantId - 目标参与者ID
+     * @returns {Object} 更新后的参与者信息
+     * @throws {ValidationException} 当目标未被禁言时抛出
+     */
+    unmuteParticipant(roomId, operatorId, participantId) {
+        const { participant } = this.getTarget(roomId, operatorId, participantId, '解除禁言');
+
+        if (!participant.clearMute()) {
+            throw new ValidationException('该成员未被禁言');
+        }
+
+        this.clearTimer(roomId, participantId);
+        this.notify(roomId, participant, operatorId);
+        return participant.toJSON();
+    }
+
+    /**
+     * 禁言到期，自动解除并通知房间
+     * 定时器只对应当前这次禁言（重新禁言或手动解除时会被清除），因此直接解除
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     */
+    expire(roomId, participantId) {
+        const participant = this.roomService.findById(roomId)?.getParticipant(participantId);
+        if (participant && participant.mute) {
+            participant.clearMute();
+            this.notify(roomId, participant, null, 'expired');
+        }
+    }
+
+    /**
+     * 安排禁言到期定时器
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     * @param {number} delay - 距到期的时长(毫秒)
+     */
+    scheduleExpiry(roomId, participantId, delay) {
+        this.timers.set(`${roomId}:${participantId}`, setTimeout(() => {
+            this.timers.delete(`${roomId}:${participantId}`);
+            this.expire(roomId, participantId);
+        }, delay));
+    }
+
+    /**
+     * 清除禁言到期定时器
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     */
+    clearTimer(roomId, participantId) {
+        const key = `${roomId}:${participantId}`;
+        const timer = this.timers.get(key);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(key);
+        }
+    }
+}
+
+module.exports = MuteService;
@@ -0,0 +1,281 @@
+/**
+ * @file 播放列表服务层
+ * @description 实现房间待播队列的业务逻辑：队列项的增删、排序、查询，
+ * 以及切换到下一项（复用 CHANGE_SOURCE 语义）
+ * @module services/PlaylistService
+ */
+
+const RoomService = require('./RoomService');
+const VideoSourceValidator = require('../utils/VideoSourceValidator');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Permission } = require('../models/Permission');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    ValidationException,
+    PlaylistItemNotFoundException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 播放列表服务类
+ * 队列发生变化时通过事件总线发布 PLAYLIST 事件，由网关广播给房间成员
+ * @class PlaylistService
+ * @singleton
+ */
+class PlaylistService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {PlaylistService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建播放列表服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.eventBus = EventBus.getInstance();
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {PlaylistService} 服务实例
+     */
+    static getInstance() {
+        if (!PlaylistService.instance) {
+            PlaylistService.instance = new PlaylistService();
+        }
+        return PlaylistService.instance;
+    }
+
+    /**
+     * 获取未关闭的房间
+     * @private
+     * @param {string} roomId - 房间ID
+     * @returns {Room} 房间实例
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     */
+    getActiveRoom(roomId) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        return room;
+    }
+
+    /**
+     * 获取可管理播放列表的房间
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @returns {Room} 房间实例
+     * @throws {PermissionDeniedException} 当操作者没有播放列表管理权限时抛出
+     */
+    getManageableRoom(roomId, operatorId) {
+        const room = this.getActiveRoom(roomId);
+
+        PermissionGuard.authorize(room, operatorId, Permission.MANAGE_PLAYLIST, '管理播放列表');
+
+        return room;
+    }
+
+    /**
+     * 发布播放列表变更事件
+     * @private
+     * @param {Room} room - 房间实例
+     * @returns {Object} 播放列表JSON
+     */
+    notifyChanged(room) {
+        const playlist = room.playlist.toJSON();
+        this.eventBus.emit(BusEvent.PLAYLIST, room.id, playlist);
+        return playlist;
+    }
+
+    /**
+     * 获取播放列表
+     * @async
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<Object>} 播放列表（当前项与待播队列）
+     */
+    async getPlaylist(roomId) {
+        return this.getActiveRoom(roomId).playlist.toJSON();
+    }
+
+    /**
+     * 添加队列项
+     * 链接与设置片源一样需要通过格式与可达性校验
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {Object} itemData - 队列项数据
+     * @param {string} [itemData.title] - 标题，未提供时使用链接中的文件名
+     * @param {string} itemData.url - 视频链接
+     * @param {string} [itemData.subtitle] - 字幕设置
+     * @returns {Promise<Object>} 添加的队列项
+     * @throws {ValidationException} 当参数不合法或队列已满时抛出
+     * @throws {SourceUnreachableException} 当链接不可达时抛出
+     */
+    async addItem(roomId, operatorId, itemData = {}) {
+        const room = this.getManageableRoom(roomId, operatorId);
+        const errors = [];
+
+        if (room.playlist.size() >= config.playlist.maxItems) {
+            throw new ValidationException(`播放列表最多包含${config.playlist.maxItems}项`);
+        }
+
+        if (itemData.title !== undefined &&
+            (typeof itemData.title !== 'string' || itemData.title.trim().length > config.playlist.titleMaxLength)) {
+            errors.push({
+                field: 'title',
+                message: `标题必须是不超过${config.playlist.titleMaxLength}个字符的字符串`
+            });
+        }
+
+        if (itemData.subtitle !== undefined && itemData.subtitle !== null && typeof itemData.subtitle !== 'string') {
+            errors.push({ field: 'subtitle', message: '字幕设置必须是字符串或null' });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        const url = await VideoSourceValidator.validate(itemData.url);
+        const title = itemData.title?.trim() ||
+            decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+
+        const item = room.playlist.add({
+            title,
+            url,
+            subtitle: itemData.subtitle,
+            addedBy: operatorId
+        });
+
+        this.notifyChanged(room);
+        return item.toJSON();
+    }
+
+    /**
+     * 移除队列项
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} itemId - 队列项ID
+     * @returns {Promise<Object>} 更新后的播放列表
+     * @throws {PlaylistItemNotFoundException} 当队列项不存在时抛出
+     */
+    async removeItem(roomId, operatorId, itemId) {
+        const room = this.getManageableRoom(roomId, operatorId);
+
+        if (!room.playlist.remove(itemId)) {
+            throw new PlaylistItemNotFoundException(itemId);
+        }
+
+        return this.notifyChanged(room);
+    }
+
+    /**
+     * 调整队列项位置
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} itemId - 队列项ID
+     * @param {number} position - 目标位置(从0开始)
+     * @returns {Promise<Object>} 更新后的播放列表
+     * @throws {ValidationException} 当位置不合法时抛出
+     * @throws {PlaylistItemNotFoundException} 当队列项不存在时抛出
+     */
+    async moveItem(roomId, operatorId, itemId, position) {
+        const room = this.getManageableRoom(roomId, operatorId);
+
+        const target = Number(position);
+        if (position === undefined || position === null || !Number.isInteger(target) || target < 0) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'position', message: '目标位置必须是非负整数' }
+            ]);
+        }
+
+        if (!room.playlist.move(itemId, target)) {
+            throw new PlaylistItemNotFoundException(itemId);
+        }
+
+        return this.notifyChanged(room);
+    }
+
+    /**
+     * 手动切换到下一项
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @returns {Promise<Object>} 更新后的播放列表
+     */
+    async playNext(roomId, operatorId) {
+        const room = this.getManageableRoom(roomId, operatorId);
+        this.advance(room, room.getParticipant(operatorId));
+        return room.playlist.toJSON();
+    }
+
+    /**
+     * 切换到队列中的下一项
+     * 复用 CHANGE_SOURCE 语义：更换片源、重置进度并广播同步事件
+     * 队列为空时不做任何切换
+     * @param {Room} room - 房间实例
+     * @param {Participant|null} [operator=null] - 操作者，自动切换时为null
+     * @param {boolean} [autoplay=false] - 切换后是否直接开始播放
+     * @returns {PlaylistItem|null} 新的当前播放项
+     */
+    advance(room, operator = null, autoplay = false) {
+        const previous = room.playlist.current;
+        const item = room.playlist.next();
+        if (!item) {
+            if (previous) this.notifyChanged(room);
+            return null;
+        }
+
+        this.roomService.applyVideoSource(room, item.url, {
+            subtitle: item.subtitle,
+            operator,
+            autoplay,
+            payload: { playlistItemId: item.id, title: item.title }
+        });
+        this.notifyChanged(room);
+        return item;
+    }
+
+    /**
+     * 处理控制者上报的当前片源播放结束
+     * 只有当上报的队列项与当前项一致时才切换，避免重复上报导致跳过
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 上报者ID
+     * @param {string|null} [itemId=null] - 客户端认为已播完的队列项ID
+     * @returns {PlaylistItem|null} 新的当前播放项
+     * @throws {PermissionDeniedException} 当上报者没有控制权限时抛出
+     */
+    handleEnded(roomId, operatorId, itemId = null) {
+        const room = this.getActiveRoom(roomId);
+
+        PermissionGuard.authorize(room, operatorId, Permission.CONTROL_PLAYBACK, '控制播放');
+
+        const currentId = room.playlist.current ? room.playlist.current.id : null;
+        if (currentId !== (itemId || null)) {
+            return null;
+        }
+
+        return this.advance(room, room.getParticipant(operatorId), true);
+    }
+}
+
+module.exports = PlaylistService;
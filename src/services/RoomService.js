@@ -7,14 +7,31 @@
 
 const RoomRepository = require('../repositories/RoomRepository');
 const IdGenerator = require('../utils/IdGenerator');
+const ParticipantToken = require('../utils/ParticipantToken');
+const PasswordHasher = require('../utils/PasswordHasher');
+const AttemptLimiter = require('../utils/AttemptLimiter');
+const VideoSourceValidator = require('../utils/VideoSourceValidator');
+const ContentFilterService = require('./ContentFilterService');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { SyncEvent, SyncEventType } = require('../models/SyncEvent');
+const { PlayStatus } = require('../models/VideoState');
+const { RoomStatus, ModerationPolicy, ChatMode, SuccessionPolicy } = require('../models/Room');
+const { JoinRequest } = require('../models/JoinRequest');
 const config = require('../config');
+const { ParticipantRole, ParticipantStatus } = require('../models/Participant');
+const { Permission, CreatorOnlyPermissions } = require('../models/Permission');
 const {
     RoomNotFoundException,
     RoomFullException,
     InvalidPasswordException,
-    PermissionDeniedException,
+    InvalidInviteException,
+    TooManyAttemptsException,
     ValidationException,
-    RoomClosedException
+    RoomClosedException,
+    ParticipantNotFoundException,
+    InvalidStateTransitionException,
+    BannedException
 } = require('../exceptions/BusinessException');
 
 /**
@@ -40,6 +57,37 @@ class RoomService {
      */
     constructor() {
         this.roomRepository = RoomRepository.getInstance();
+
+        /**
+         * 创建者离线宽限期定时器
+         * key: 房间ID
+         * value: Timeout
+         * @private
+         * @type {Map<string, Timeout>}
+         */
+        this.successionTimers = new Map();
+
+        /**
+         * 密码验证失败计数
+         * ip: 按「房间ID:IP」计数；room: 按房间ID计数
+         * @private
+         * @type {{ip: AttemptLimiter, room: AttemptLimiter}}
+         */
+        const { ipMaxAttempts, roomMaxAttempts, ...lockout } = config.password.attempts;
+        this.passwordAttempts = {
+            ip: new AttemptLimiter({ maxAttempts: ipMaxAttempts, ...lockout }),
+            room: new AttemptLimiter({ maxAttempts: roomMaxAttempts, ...lockout })
+        };
+
+        // 房间状态跟随播放状态自动迁移
+        EventBus.getInstance().on(BusEvent.SYNC, (roomId, syncEvent) => {
+            this.syncStatusWithPlayback(roomId, syncEvent);
+        });
+
+        // 创建者离线超过宽限期后按继任策略处理，期间重新上线则取消
+        EventBus.getInstance().on(BusEvent.PRESENCE_CHANGED, (roomId, presence) => {
+            this.watchCreatorPresence(roomId, presence);
+        });
     }
 
     /**
@@ -54,10 +102,128 @@ class RoomService {
         return RoomService.instance;
     }
 
+    /**
+     * 验证预约开播时间
+     * 必须是未来的时间点，且不超过最大可提前预约时间
+     * * @private
+     * @param {*} value - 预约开播时间（ISO字符串或毫秒时间戳）
+     * @param {Array<Object>} errors - 错误列表，校验失败时追加
+     */
+    validateScheduledStartTime(value, errors) {
+        if (value === null) {
+            return;
+        }
+
+        const time = new Date(value).getTime();
+        const now = Date.now();
+        if ((typeof value !== 'string' && typeof value !== 'number') || !Number.isFinite(time)) {
+            errors.push({ field: 'scheduledStartTime', message: '开播时间格式不正确' });
+        } else if (time <= now) {
+            errors.push({ field: 'scheduledStartTime', message: '开播时间必须晚于当前时间' });
+        } else if (time - now > config.showtime.maxAdvance) {
+            errors.push({
+                field: 'scheduledStartTime',
+                message: `开播时间最多只能提前${Math.floor(config.showtime.maxAdvance / 86400000)}天预约`
+            });
+        }
+    }
+
+    /**
+     * 验证内容审核策略
+     * * @private
+     * @param {*} value - 审核策略
+     * @param {Array<Object>} errors - 错误列表，校验失败时追加
+     */
+    validateModerationPolicy(value, errors) {
+        if (!Object.values(ModerationPolicy).includes(value)) {
+            errors.push({
+                field: 'moderationPolicy',
+                message: `审核策略必须是 ${Object.values(ModerationPolicy).join('/')} 之一`
+            });
+        }
+    }
+
+    /**
+     * 验证房主继任策略
+     * * @private
+     * @param {*} value - 继任策略
+     * @param {Array<Object>} errors - 错误列表，校验失败时追加
+     */
+    validateSuccessionPolicy(value, errors) {
+        if (!Object.values(SuccessionPolicy).includes(value)) {
+            errors.push({
+                field: 'successionPolicy',
+                message: `继任策略必须是 ${Object.values(SuccessionPolicy).join('/')} 之一`
+            });
+        }
+    }
+
+    /**
+     * 验证聊天模式与慢速模式发言间隔
+     * 仅校验请求中出现的字段
+     * * @private
+     * @param {Object} data - 创建或更新参数
+     * @param {Array<Object>} errors - 错误列表，校验失败时追加
+     */
+    validateChatMode(data, errors) {
+        if (data.chatMode !== undefined && !Object.values(ChatMode).includes(data.chatMode)) {
+            errors.push({
+                field: 'chatMode',
+                message: `聊天模式必须是 ${Object.values(ChatMode).join('/')} 之一`
+            });
+        }
+
+        if (data.slowModeInterval !== undefined) {
+            const interval = Number(data.slowModeInterval);
+            if (!Number.isInteger(interval) ||
+                interval < config.chat.minSlowModeInterval ||
+                interval > config.chat.maxSlowModeInterval) {
+                errors.push({
+                    field: 'slowModeInterval',
+                    message: `慢速模式发言间隔必须是${config.chat.minSlowModeInterval}-${config.chat.maxSlowModeInterval}秒之间的整数`
+                });
+            }
+        }
+    }
+
+    /**
+     * 按审核策略过滤文本字段
+     * 命中敏感词时：mask 替换为 *，reject 追加字段错误，review 原样保留并记入待审核列表
+     * * @private
+     * @param {Object<string, *>} fields - 字段名到内容的映射，非字符串的字段会被跳过
+     * @param {string} policy - 审核策略
+     * @param {Array<Object>} errors - 错误列表，拒绝时追加
+     * @returns {{values: Object<string, string>, flagged: Array<Object>}} 过滤后的字段值与待审核列表
+     */
+    moderateFields(fields, policy, errors) {
+        const filter = ContentFilterService.getInstance();
+        const values = {};
+        const flagged = [];
+
+        Object.entries(fields).forEach(([field, content]) => {
+            if (typeof content !== 'string') {
+                return;
+            }
+
+            const result = filter.moderate(content, policy);
+            values[field] = result.text;
+
+            if (result.action === ModerationPolicy.REJECT) {
+                errors.push({ field, message: '内容包含敏感词' });
+            } else if (result.action === ModerationPolicy.REVIEW) {
+                flagged.push({ target: field, content, words: result.words });
+            }
+        });
+
+        return { values, flagged };
+    }
+
     /**
      * 验证房间创建参数
+     * 名称、公告与创建者昵称同时按房间审核策略做敏感词过滤
      * * @private
      * @param {Object} data - 创建参数
+     * @returns {{values: Object<string, string>, flagged: Array<Object>}} 敏感词过滤结果
      * @throws {ValidationException} 当参数不合法时抛出
      */
     validateCreateParams(data) {
@@ -103,14 +269,120 @@ class RoomService {
             });
         }
 
+        // 验证预约开播时间（如果提供）
+        if (data.scheduledStartTime !== undefined) {
+            this.validateScheduledStartTime(data.scheduledStartTime, errors);
+        }
+
         // 验证创建者昵称
         if (!data.creatorNickname || typeof data.creatorNickname !== 'string' || !data.creatorNickname.trim()) {
             errors.push({ field: 'creatorNickname', message: '创建者昵称不能为空' });
         }
 
+        // 验证审核策略（如果提供）
+        if (data.moderationPolicy !== undefined) {
+            this.validateModerationPolicy(data.moderationPolicy, errors);
+        }
+
+        // 验证聊天模式（如果提供）
+        this.validateChatMode(data, errors);
+
+        // 验证继任策略（如果提供）
+        if (data.successionPolicy !== undefined) {
+            this.validateSuccessionPolicy(data.successionPolicy, errors);
+        }
+
+        // 敏感词过滤
+        const moderation = this.moderateFields({
+            name: data.name,
+            announcement: data.announcement,
+            creatorNickname: data.creatorNickname
+        }, data.moderationPolicy || config.moderation.defaultPolicy, errors);
+
         if (errors.length > 0) {
             throw new ValidationException('参数验证失败', errors);
         }
+
+        return moderation;
+    }
+
+    /**
+     * 验证房间配置更新参数
+     * 仅校验请求中出现的字段；名称与公告按更新后的审核策略做敏感词过滤
+     * * @private
+     * @param {Object} data - 更新参数
+     * @param {string} policy - 房间当前的审核策略
+     * @returns {{values: Object<string, string>, flagged: Array<Object>}} 敏感词过滤结果
+     * @throws {ValidationException} 当参数不合法时抛出
+     */
+    validateUpdateParams(data, policy) {
+        const errors = [];
+
+        // 验证同步误差阈值
+        if (data.driftThreshold !== undefined) {
+            const threshold = Number(data.driftThreshold);
+            if (!Number.isFinite(threshold) ||
+                threshold < config.room.minDriftThreshold ||
+                threshold > config.room.maxDriftThreshold) {
+                errors.push({
+                    field: 'driftThreshold',
+                    message: `同步误差阈值必须在${config.room.minDriftThreshold}-${config.room.maxDriftThreshold}秒之间`
+                });
+            }
+        }
+
+        // 验证入场审批开关
+        if (data.requireApproval !== undefined && typeof data.requireApproval !== 'boolean') {
+            errors.push({ field: 'requireApproval', message: '入场审批开关必须是布尔值' });
+        }
+
+        // 验证缓冲等待开关
+        if (data.bufferingBarrier !== undefined && typeof data.bufferingBarrier !== 'boolean') {
+            errors.push({ field: 'bufferingBarrier', message: '缓冲等待开关必须是布尔值' });
+        }
+
+        // 验证缓冲等待超时
+        if (data.bufferingTimeout !== undefined) {
+            const timeout = Number(data.bufferingTimeout);
+            if (!Number.isFinite(timeout) ||
+                timeout < config.room.minBufferingTimeout ||
+                timeout > config.room.maxBufferingTimeout) {
+                errors.push({
+                    field: 'bufferingTimeout',
+                    message: `缓冲等待超时必须在${config.room.minBufferingTimeout}-${config.room.maxBufferingTimeout}秒之间`
+                });
+            }
+        }
+
+        // 验证预约开播时间，null 表示取消预约
+        if (data.scheduledStartTime !== undefined) {
+            this.validateScheduledStartTime(data.scheduledStartTime, errors);
+        }
+
+        // 验证审核策略
+        if (data.moderationPolicy !== undefined) {
+            this.validateModerationPolicy(data.moderationPolicy, errors);
+        }
+
+        // 验证聊天模式
+        this.validateChatMode(data, errors);
+
+        // 验证继任策略
+        if (data.successionPolicy !== undefined) {
+            this.validateSuccessionPolicy(data.successionPolicy, errors);
+        }
+
+        // 敏感词过滤
+        const moderation = this.moderateFields({
+            name: data.name,
+            announcement: data.announcement
+        }, data.moderationPolicy || policy, errors);
+
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        return moderation;
     }
 
     /**
@@ -121,8 +393,13 @@ class RoomService {
      * @param {number} [createData.capacity] - 人数上限
      * @param {string} [createData.password] - 房间密码
      * @param {string} [createData.announcement] - 房间公告
+     * @param {string|number} [createData.scheduledStartTime] - 预约开播时间
+     * @param {string} [createData.moderationPolicy] - 内容审核策略（mask/reject/review）
+     * @param {string} [createData.chatMode] - 聊天模式（open/controllers/slow/off）
+     * @param {number} [createData.slowModeInterval] - 慢速模式下的发言间隔(秒)
+     * @param {string} [createData.successionPolicy] - 房主继任策略（promote/close）
      * @param {string} createData.creatorNickname - 创建者昵称
-     * @returns {Promise<Object>} 创建结果，包含房间信息和创建者信息
+     * @returns {Promise<Object>} 创建结果，包含房间信息、创建者信息和创建者的身份令牌
      * @throws {ValidationException} 当参数不合法时抛出
      * * @example
      * const result = await roomService.createRoom({
@@ -132,30 +409,48 @@ class RoomService {
      * });
      */
     async createRoom(createData) {
-        // 参数验证
-        this.validateCreateParams(createData);
+        // 参数验证与敏感词过滤
+        const { values, flagged } = this.validateCreateParams(createData);
 
         // 生成创建者ID
         const creatorId = IdGenerator.generateUUID();
 
         // 创建房间
         const room = this.roomRepository.create({
-            name: createData.name.trim(),
+            name: values.name.trim(),
             capacity: createData.capacity || config.room.defaultCapacity,
-            password: createData.password || null,
-            announcement: createData.announcement || '',
+            passwordHash: createData.password ? await PasswordHasher.hash(createData.password) : null,
+            announcement: values.announcement || '',
+            driftThreshold: config.room.defaultDriftThreshold,
+            bufferingTimeout: config.room.defaultBufferingTimeout,
+            scheduledStartTime: createData.scheduledStartTime || null,
+            moderationPolicy: createData.moderationPolicy || config.moderation.defaultPolicy,
+            chatMode: createData.chatMode || ChatMode.OPEN,
+            slowModeInterval: createData.slowModeInterval !== undefined
+                ? Number(createData.slowModeInterval)
+                : config.chat.defaultSlowModeInterval,
+            successionPolicy: createData.successionPolicy || config.room.defaultSuccessionPolicy,
             creatorId: creatorId,
-            creatorNickname: createData.creatorNickname.trim()
+            creatorNickname: values.creatorNickname.trim()
         });
 
+        flagged.forEach(entry => {
+            ContentFilterService.getInstance().flag(room.id, { ...entry, participantId: creatorId });
+        });
+
+        if (room.scheduledStartTime) {
+            EventBus.getInstance().emit(BusEvent.SCHEDULE_CHANGED, room.id, room.scheduledStartTime);
+        }
+
         // 返回创建结果
         return {
             room: room.toDetailJSON(),
             creator: {
                 id: creatorId,
-                nickname: createData.creatorNickname.trim(),
+                nickname: values.creatorNickname.trim(),
                 role: 'creator'
-            }
+            },
+            token: ParticipantToken.sign(room.id, creatorId)
         };
     }
 
@@ -224,43 +519,105 @@ class RoomService {
         return room.toDetailJSON();
     }
 
+    /**
+     * 校验加入凭证（邀请码或房间密码），并按「房间+IP」与「房间」两个维度限制失败次数
+     * 提供了邀请码时只校验邀请码，否则校验密码；处于锁定期间，或进行中的尝试已占满剩余次数时直接拒绝，不再比对；
+     * 有效的邀请码不受房间维度的锁定影响。验证成功后清空该IP在此房间的失败计数，并抵消一次房间维度的失败，
+     * 避免正常用户偶尔输错累积到整个房间被锁定
+     * @private
+     * @param {Room} room - 房间实例
+     * @param {Object} credentials - 凭证
+     * @param {string} [credentials.password] - 房间密码
+     * @param {string} [credentials.inviteCode] - 邀请码
+     * @param {string} clientIp - 请求方IP
+     * @returns {Promise<Invite|null>} 使用邀请码时返回对应的邀请，否则返回null
+     * @throws {TooManyAttemptsException} 当处于锁定期间时抛出
+     * @throws {InvalidInviteException} 当邀请码无效或已失效时抛出
+     * @throws {InvalidPasswordException} 当密码错误时抛出
+     */
+    async checkCredentials(room, { password, inviteCode }, clientIp) {
+        const hasInvite = inviteCode !== undefined && inviteCode !== null;
+        if (!hasInvite && !room.hasPassword()) {
+            return null;
+        }
+
+        const ipKey = `${room.id}:${clientIp}`;
+        const invite = hasInvite ? room.findActiveInvite(String(inviteCode)) : null;
+        const lockout = Math.max(
+            this.passwordAttempts.ip.getLockout(ipKey),
+            invite ? 0 : this.passwordAttempts.room.getLockout(room.id)
+        );
+        if (lockout > 0) {
+            throw new TooManyAttemptsException(lockout);
+        }
+
+        // 比对前先登记为进行中的尝试，并发的猜测同样计入限额
+        this.passwordAttempts.ip.begin(ipKey);
+        this.passwordAttempts.room.begin(room.id);
+
+        let valid = false;
+        try {
+            valid = Boolean(invite) || (!hasInvite && await PasswordHasher.verify(password, room.passwordHash));
+        } finally {
+            this.passwordAttempts.ip.settle(ipKey, valid);
+            this.passwordAttempts.room.settle(room.id, valid);
+        }
+
+        if (valid) {
+            this.passwordAttempts.ip.reset(ipKey);
+            this.passwordAttempts.room.forgive(room.id);
+            return invite;
+        }
+
+        throw hasInvite ? new InvalidInviteException() : new InvalidPasswordException();
+    }
+
     /**
      * 验证房间密码
      * * @async
      * @param {string} roomId - 房间ID
      * @param {string} password - 待验证的密码
+     * @param {string} clientIp - 请求方IP，用于限制失败次数
      * @returns {Promise<boolean>} 验证结果
      * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {TooManyAttemptsException} 当失败次数过多、处于锁定期间时抛出
      * @throws {InvalidPasswordException} 当密码错误时抛出
      */
-    async verifyRoomPassword(roomId, password) {
+    async verifyRoomPassword(roomId, password, clientIp) {
         const room = this.roomRepository.findById(roomId);
 
         if (!room) {
             throw new RoomNotFoundException(roomId);
         }
 
-        if (!room.validatePassword(password)) {
-            throw new InvalidPasswordException();
-        }
+        await this.checkCredentials(room, { password }, clientIp);
 
         return true;
     }
 
     /**
      * 加入房间
+     * 开启入场审批的房间中，未持有效邀请码的请求通过校验后只会生成入场申请，
+     * 由审批者批准后才真正加入
      * * @async
      * @param {string} roomId - 房间ID
      * @param {Object} joinData - 加入数据
      * @param {string} joinData.nickname - 用户昵称
      * @param {string} [joinData.password] - 房间密码
-     * @returns {Promise<Object>} 加入结果，包含房间信息和用户信息
+     * @param {string} [joinData.inviteCode] - 邀请码，有效时无需密码与审批，并获得邀请预设的角色
+     * @param {string} clientIp - 请求方IP，用于限制密码失败次数与黑名单校验
+     * @returns {Promise<Object>} 加入结果，包含房间信息、用户信息和身份令牌；
+     * 需要审批时为 { pending: true, request, ticket }，申请者凭 ticket 在等候室等待结果
      * @throws {RoomNotFoundException} 当房间不存在时抛出
      * @throws {RoomClosedException} 当房间已关闭时抛出
      * @throws {RoomFullException} 当房间已满时抛出
+     * @throws {TooManyAttemptsException} 当密码失败次数过多、处于锁定期间时抛出
+     * @throws {InvalidInviteException} 当邀请码无效或已失效时抛出
      * @throws {InvalidPasswordException} 当密码错误时抛出
+     * @throws {BannedException} 当昵称或IP被房间封禁时抛出
+     * @throws {ValidationException} 当昵称为空或待审批的申请数量已达上限时抛出
      */
-    async joinRoom(roomId, joinData) {
+    async joinRoom(roomId, joinData, clientIp) {
         const room = this.roomRepository.findById(roomId);
 
         if (!room) {
@@ -275,9 +632,12 @@ class RoomService {
             throw new RoomFullException(roomId);
         }
 
-        // 验证密码
-        if (room.hasPassword() && !room.validatePassword(joinData.password)) {
-            throw new InvalidPasswordException();
+        // 验证邀请码或密码
+        const invite = await this.checkCredentials(room, joinData, clientIp);
+
+        // 比对密码期间房间可能已被其他人占满
+        if (room.isFull()) {
+            throw new RoomFullException(roomId);
         }
 
         // 验证昵称
@@ -285,24 +645,90 @@ class RoomService {
             throw new ValidationException('昵称不能为空');
         }
 
+        // 检查黑名单
+        const ban = room.findActiveBan({ nickname: joinData.nickname, clientIp });
+        if (ban) {
+            throw new BannedException(roomId, ban);
+        }
+
+        // 昵称敏感词过滤
+        const errors = [];
+        const { values, flagged } = this.moderateFields({ nickname: joinData.nickname }, room.moderationPolicy, errors);
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        // 需要审批时只登记申请，邀请视为已获批准
+        if (room.requireApproval && !invite) {
+            if (room.getPendingJoinRequests().length >= config.admission.maxPendingPerRoom) {
+                throw new ValidationException('等待审批的入场申请过多，请稍后再试');
+            }
+
+            const request = room.addJoinRequest(new JoinRequest({
+                nickname: values.nickname.trim(),
+                clientIp,
+                expiresAt: new Date(Date.now() + config.admission.requestTimeout * 1000)
+            }));
+
+            // 申请者尚未成为参与者，命中的敏感词随申请一并提交审核
+            flagged.forEach(entry => {
+                ContentFilterService.getInstance().flag(room.id, { ...entry, participantId: null, joinRequestId: request.id });
+            });
+
+            EventBus.getInstance().emit(BusEvent.JOIN_REQUESTED, room.id, request);
+
+            return { pending: true, request: request.toJSON(), ticket: request.ticket };
+        }
+
+        const admission = this.admitParticipant(room, {
+            nickname: values.nickname.trim(),
+            role: invite ? invite.role : ParticipantRole.VIEWER,
+            clientIp
+        });
+
+        // 成功加入后才占用邀请次数
+        if (invite) {
+            invite.consume();
+        }
+
+        flagged.forEach(entry => {
+            ContentFilterService.getInstance().flag(room.id, { ...entry, participantId: admission.participant.id });
+        });
+
+        return admission;
+    }
+
+    /**
+     * 将已通过校验的用户加入房间并签发身份令牌
+     * 供直接加入与入场审批通过后复用，调用方负责凭证、昵称与黑名单校验
+     * @param {Room} room - 房间实例
+     * @param {Object} data - 参与者信息
+     * @param {string} data.nickname - 昵称（已过滤）
+     * @param {string} [data.role='viewer'] - 角色
+     * @param {string|null} [data.clientIp=null] - 请求方IP，封禁该成员时一并记录
+     * @returns {Object} 加入结果，包含房间信息、用户信息和身份令牌
+     * @throws {RoomFullException} 当房间已满时抛出
+     */
+    admitParticipant(room, { nickname, role = ParticipantRole.VIEWER, clientIp = null }) {
         // 生成用户ID
         const participantId = IdGenerator.generateUUID();
 
         // 添加参与者
-        const participant = room.addParticipant({
-            id: participantId,
-            nickname: joinData.nickname.trim(),
-            role: 'viewer'
-        });
+        const participant = room.addParticipant({ id: participantId, nickname, role, clientIp });
+        if (!participant) {
+            throw new RoomFullException(room.id);
+        }
 
         return {
             room: room.toDetailJSON(),
-            participant: participant.toJSON()
+            participant: participant.toJSON(),
+            token: ParticipantToken.sign(room.id, participantId)
         };
     }
 
     /**
      * 退出房间
+     * 创建者退出时立即按房间的继任策略移交房主或关闭房间
      * * @async
      * @param {string} roomId - 房间ID
      * @param {string} participantId - 参与者ID
@@ -316,7 +742,18 @@ class RoomService {
             throw new RoomNotFoundException(roomId);
         }
 
-        return room.removeParticipant(participantId);
+        const wasCreator = room.isCreator(participantId);
+        const removed = room.removeParticipant(participantId);
+
+        if (removed) {
+            EventBus.getInstance().emit(BusEvent.PARTICIPANT_LEFT, room.id, { participantId });
+        }
+
+        if (removed && wasCreator) {
+            this.handleCreatorGone(room, 'creator_left');
+        }
+
+        return removed;
     }
 
     /**
@@ -327,7 +764,7 @@ class RoomService {
      * @param {string} operatorId - 操作者ID
      * @returns {Promise<boolean>} 解散结果
      * @throws {RoomNotFoundException} 当房间不存在时抛出
-     * @throws {PermissionDeniedException} 当操作者不是创建者时抛出
+     * @throws {PermissionDeniedException} 当操作者没有解散房间权限时抛出
      */
     async dissolveRoom(roomId, operatorId) {
         const room = this.roomRepository.findById(roomId);
@@ -337,27 +774,45 @@ class RoomService {
         }
 
         // 验证权限
-        if (!room.isCreator(operatorId)) {
-            throw new PermissionDeniedException('解散房间');
-        }
+        PermissionGuard.authorize(room, operatorId, Permission.DISSOLVE, '解散房间');
+
+        return this.closeRoom(room, 'dissolved');
+    }
+
+    /**
+     * 关闭并删除房间
+     * @private
+     * @param {Room} room - 房间实例
+     * @param {string} reason - 关闭原因（dissolved/creator_left/creator_offline）
+     * @returns {boolean} 是否删除成功
+     */
+    closeRoom(room, reason) {
+        this.clearSuccessionTimer(room.id);
 
         // 关闭房间
-        room.close();
+        this.transitionStatus(room, RoomStatus.CLOSED, reason);
+
+        // 通知其他模块清理房间相关数据
+        EventBus.getInstance().emit(BusEvent.ROOM_DISSOLVED, room.id);
+
+        // 清理密码失败计数
+        this.passwordAttempts.room.reset(room.id);
+        this.passwordAttempts.ip.prune();
 
         // 从存储中删除
-        return this.roomRepository.delete(roomId);
+        return this.roomRepository.delete(room.id);
     }
 
     /**
      * 更新房间配置
-     * 只有房间创建者可以更新配置
+     * 需要房间配置权限（默认仅创建者）
      * * @async
      * @param {string} roomId - 房间ID
      * @param {string} operatorId - 操作者ID
      * @param {Object} updateData - 更新数据
      * @returns {Promise<Object>} 更新后的房间信息
      * @throws {RoomNotFoundException} 当房间不存在时抛出
-     * @throws {PermissionDeniedException} 当操作者不是创建者时抛出
+     * @throws {PermissionDeniedException} 当操作者没有房间配置权限时抛出
      */
     async updateRoom(roomId, operatorId, updateData) {
         const room = this.roomRepository.findById(roomId);
@@ -367,16 +822,427 @@ class RoomService {
         }
 
         // 验证权限
-        if (!room.isCreator(operatorId)) {
-            throw new PermissionDeniedException('更新房间配置');
-        }
+        PermissionGuard.authorize(room, operatorId, Permission.EDIT_CONFIG, '更新房间配置');
+
+        // 参数验证与敏感词过滤
+        const { values, flagged } = this.validateUpdateParams(updateData, room.moderationPolicy);
 
         // 更新配置
-        room.updateConfig(updateData);
+        const previousChatMode = { chatMode: room.chatMode, slowModeInterval: room.slowModeInterval };
+        // 密码哈希只能由 password 字段经哈希后生成，请求体中直接给出的 passwordHash 一律丢弃
+        const { password, passwordHash, ...changes } = { ...updateData, ...values };
+        if (password !== undefined) {
+            changes.passwordHash = password ? await PasswordHasher.hash(password) : null;
+        }
+        room.updateConfig(changes);
+
+        // 聊天模式或发言间隔有变化时通知房间成员
+        if (room.chatMode !== previousChatMode.chatMode ||
+            room.slowModeInterval !== previousChatMode.slowModeInterval) {
+            EventBus.getInstance().emit(BusEvent.CHAT_MODE_CHANGED, room.id, {
+                chatMode: room.chatMode,
+                slowModeInterval: room.slowModeInterval,
+                operatorId
+            });
+        }
+
+        flagged.forEach(entry => {
+            ContentFilterService.getInstance().flag(room.id, { ...entry, participantId: operatorId });
+        });
+
+        // 仅在请求包含开播时间时重新安排，其他配置修改不影响已有预约
+        if (updateData.scheduledStartTime !== undefined) {
+            EventBus.getInstance().emit(BusEvent.SCHEDULE_CHANGED, room.id, room.scheduledStartTime);
+        }
+
+        return room.toDetailJSON();
+    }
+
+    /**
+     * 设置片源
+     * 只有创建者或放映控制者可以更换片源；校验链接格式与可达性后更新 VideoState，
+     * 并广播 Sync_Event(CHANGE_SOURCE) 通知观众重新加载
+     * * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} source - 外部视频链接
+     * @returns {Promise<SyncEvent>} 生成的同步事件
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有播放控制权限时抛出
+     * @throws {ValidationException} 当链接格式不合法时抛出
+     * @throws {SourceUnreachableException} 当链接不可达时抛出
+     */
+    async setVideoSource(roomId, operatorId, source) {
+        const room = this.roomRepository.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        // 验证播放控制权限
+        PermissionGuard.authorize(room, operatorId, Permission.CONTROL_PLAYBACK, '设置片源');
+
+        // 校验格式并探测可达性
+        const normalizedSource = await VideoSourceValidator.validate(source);
+
+        // 手动更换片源后不再对应播放列表中的项
+        if (room.playlist.current) {
+            room.playlist.clearCurrent();
+            EventBus.getInstance().emit(BusEvent.PLAYLIST, room.id, room.playlist.toJSON());
+        }
+
+        return this.applyVideoSource(room, normalizedSource, {
+            operator: room.getParticipant(operatorId)
+        });
+    }
+
+    /**
+     * 应用新的视频源并广播 Sync_Event(CHANGE_SOURCE)
+     * 不做权限与链接校验，供已完成校验的调用方（如播放列表切换）复用
+     * * @param {Room} room - 房间实例
+     * @param {string} source - 视频链接
+     * @param {Object} [options={}] - 附加选项
+     * @param {string|null} [options.subtitle] - 同时切换的字幕，未提供时保持不变
+     * @param {boolean} [options.autoplay=false] - 切换后是否直接开始播放
+     * @param {Participant|null} [options.operator=null] - 操作者
+     * @param {Object} [options.payload={}] - 附加到事件中的额外参数
+     * @returns {SyncEvent} 生成的同步事件
+     */
+    applyVideoSource(room, source, options = {}) {
+        // 更换视频源（进度归零、暂停）
+        room.videoState.setSource(source);
+        if (options.subtitle !== undefined) {
+            room.videoState.setSubtitle(options.subtitle);
+        }
+        if (options.autoplay) {
+            room.videoState.setStatus(PlayStatus.PLAYING);
+        }
+
+        const syncEvent = new SyncEvent({
+            type: SyncEventType.CHANGE_SOURCE,
+            roomId: room.id,
+            payload: { ...options.payload, source, subtitle: room.videoState.subtitle },
+            videoState: room.videoState,
+            operator: options.operator || null
+        });
+        EventBus.getInstance().emit(BusEvent.SYNC, room.id, syncEvent);
+
+        return syncEvent;
+    }
+
+    /**
+     * 设置参与者角色
+     * 需要角色管理权限（默认仅创建者），可授予或收回房管、放映控制者角色，变更会广播给房间成员
+     * * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} participantId - 目标参与者ID
+     * @param {string} role - 新角色（moderator/controller/viewer）
+     * @returns {Promise<Object>} 更新后的参与者信息
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有角色管理权限时抛出
+     * @throws {ParticipantNotFoundException} 当目标参与者不存在时抛出
+     * @throws {ValidationException} 当角色不合法或目标为创建者时抛出
+     */
+    async setParticipantRole(roomId, operatorId, participantId, role) {
+        const room = this.roomRepository.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        // 验证权限
+        PermissionGuard.authorize(room, operatorId, Permission.MANAGE_ROLES, '设置参与者角色');
+
+        const participant = room.getParticipant(participantId);
+        if (!participant) {
+            throw new ParticipantNotFoundException(participantId);
+        }
+
+        const assignableRoles = [ParticipantRole.MODERATOR, ParticipantRole.CONTROLLER, ParticipantRole.VIEWER];
+        if (!assignableRoles.includes(role)) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'role', message: `角色必须是 ${assignableRoles.join('/')} 之一` }
+            ]);
+        }
+
+        if (participant.isCreator()) {
+            throw new ValidationException('不能修改创建者的角色');
+        }
+
+        const previousRole = participant.role;
+        if (previousRole !== role) {
+            participant.setRole(role);
+            room.updateTime = new Date();
+            EventBus.getInstance().emit(BusEvent.ROLE_CHANGED, room.id, {
+                participant: participant.toJSON(),
+                previousRole,
+                operatorId,
+                reason: 'assigned'
+            });
+        }
+
+        return participant.toJSON();
+    }
 
+    /**
+     * 转让房主
+     * 只有房间创建者可以转让；原创建者降为放映控制者
+     * * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} participantId - 新创建者ID
+     * @returns {Promise<Object>} 更新后的房间信息
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有转让房主权限时抛出
+     * @throws {ParticipantNotFoundException} 当目标参与者不存在时抛出
+     * @throws {ValidationException} 当目标为创建者本人时抛出
+     */
+    async transferOwnership(roomId, operatorId, participantId) {
+        const room = this.roomRepository.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        // 验证权限
+        PermissionGuard.authorize(room, operatorId, Permission.TRANSFER_OWNERSHIP, '转让房主');
+
+        if (!room.getParticipant(participantId)) {
+            throw new ParticipantNotFoundException(participantId);
+        }
+
+        if (room.isCreator(participantId)) {
+            throw new ValidationException('不能把房主转让给自己');
+        }
+
+        this.applyOwnershipTransfer(room, participantId, operatorId, 'transfer');
         return room.toDetailJSON();
     }
 
+    /**
+     * 执行房主转让，并为每个角色发生变化的成员发布角色变更事件
+     * @private
+     * @param {Room} room - 房间实例
+     * @param {string} participantId - 新创建者ID
+     * @param {string|null} operatorId - 操作者ID，自动继任时为null
+     * @param {string} reason - 变更原因（transfer/creator_left/creator_offline）
+     */
+    applyOwnershipTransfer(room, participantId, operatorId, reason) {
+        this.clearSuccessionTimer(room.id);
+
+        const changes = room.transferOwnership(participantId) || [];
+        changes.forEach(({ participant, previousRole }) => {
+            EventBus.getInstance().emit(BusEvent.ROLE_CHANGED, room.id, {
+                participant: participant.toJSON(),
+                previousRole,
+                operatorId,
+                reason
+            });
+        });
+    }
+
+    /**
+     * 调整房间的权限矩阵
+     * 只能调整创建者以外的角色，且不能授予仅创建者可拥有的权限；未出现在请求中的角色保持不变
+     * * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {Object<string, string[]|null>} permissions - 角色到权限列表的映射，null 表示恢复默认
+     * @returns {Promise<Object<string, string[]>>} 调整后的完整权限矩阵
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有调整权限的权限时抛出
+     * @throws {ValidationException} 当角色或权限不合法时抛出
+     */
+    async updatePermissions(roomId, operatorId, permissions) {
+        const room = this.roomRepository.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        // 验证权限
+        PermissionGuard.authorize(room, operatorId, Permission.MANAGE_PERMISSIONS, '调整权限');
+
+        // 参数验证
+        if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'permissions', message: '权限配置必须是角色到权限列表的映射' }
+            ]);
+        }
+
+        const configurableRoles = Object.values(ParticipantRole).filter(role => role !== ParticipantRole.CREATOR);
+        const grantable = Object.values(Permission).filter(p => !CreatorOnlyPermissions.includes(p));
+        const errors = [];
+
+        Object.entries(permissions).forEach(([role, list]) => {
+            const field = `permissions.${role}`;
+            if (!configurableRoles.includes(role)) {
+                errors.push({ field, message: `只能调整 ${configurableRoles.join('/')} 角色的权限` });
+            } else if (list !== null && !Array.isArray(list)) {
+                errors.push({ field, message: '权限列表必须是数组或 null' });
+            } else if (list !== null) {
+                const invalid = list.filter(p => !grantable.includes(p));
+                if (invalid.length > 0) {
+                    errors.push({ field, message: `不能授予的权限: ${invalid.join(', ')}` });
+                }
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        Object.entries(permissions).forEach(([role, list]) => room.setRolePermissions(role, list));
+
+        const matrix = room.getPermissionMatrix();
+        EventBus.getInstance().emit(BusEvent.PERMISSIONS_CHANGED, room.id, {
+            permissions: matrix,
+            operatorId
+        });
+
+        return matrix;
+    }
+
+    /**
+     * 创建者退出或离线超时后的处理
+     * 继任策略为 promote 且有其他成员时移交房主，否则关闭房间
+     * @private
+     * @param {Room} room - 房间实例
+     * @param {string} reason - 触发原因（creator_left/creator_offline）
+     */
+    handleCreatorGone(room, reason) {
+        if (room.status === RoomStatus.CLOSED) {
+            return;
+        }
+
+        const successor = room.successionPolicy === SuccessionPolicy.PROMOTE ? room.findSuccessor() : null;
+        if (successor) {
+            this.applyOwnershipTransfer(room, successor.id, null, reason);
+        } else {
+            this.closeRoom(room, reason);
+        }
+    }
+
+    /**
+     * 跟踪创建者的在线状态
+     * 创建者离线时开始宽限期计时，重新上线时取消
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {{participantId: string, status: string}} presence - 在线状态变化
+     */
+    watchCreatorPresence(roomId, presence) {
+        const room = this.roomRepository.findById(roomId);
+        if (!room || !room.isCreator(presence.participantId)) {
+            return;
+        }
+
+        this.clearSuccessionTimer(roomId);
+        if (presence.status !== ParticipantStatus.OFFLINE) {
+            return;
+        }
+
+        this.successionTimers.set(roomId, setTimeout(() => {
+            this.successionTimers.delete(roomId);
+
+            const current = this.roomRepository.findById(roomId);
+            const creator = current?.getCreator();
+            if (creator && creator.id === presence.participantId && creator.status === ParticipantStatus.OFFLINE) {
+                this.handleCreatorGone(current, 'creator_offline');
+            }
+        }, config.room.creatorOfflineGracePeriod * 1000));
+    }
+
+    /**
+     * 清除创建者离线宽限期定时器
+     * @private
+     * @param {string} roomId - 房间ID
+     */
+    clearSuccessionTimer(roomId) {
+        const timer = this.successionTimers.get(roomId);
+        if (timer) {
+            clearTimeout(timer);
+            this.successionTimers.delete(roomId);
+        }
+    }
+
+    /**
+     * 踢出参与者
+     * 需要踢人权限（随封禁一起踢出时需要封禁权限），且不能踢出创建者；被踢出的参与者会被强制断开连接
+     * * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} participantId - 目标参与者ID
+     * @param {Object} [options={}] - 附加信息
+     * @param {string} [options.reason] - 踢出原因
+     * @param {Object|null} [options.ban] - 同时生效的封禁记录（JSON）
+     * @returns {Promise<Object>} 被踢出的参与者信息
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {PermissionDeniedException} 当操作者没有踢人（或封禁）权限时抛出
+     * @throws {ParticipantNotFoundException} 当目标参与者不存在时抛出
+     * @throws {ValidationException} 当目标为创建者时抛出
+     */
+    async kickParticipant(roomId, operatorId, participantId, options = {}) {
+        const room = this.roomRepository.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        // 验证权限
+        if (options.ban) {
+            PermissionGuard.authorize(room, operatorId, Permission.BAN, '封禁用户');
+        } else {
+            PermissionGuard.authorize(room, operatorId, Permission.KICK, '踢出参与者');
+        }
+
+        const participant = room.getParticipant(participantId);
+        if (!participant) {
+            throw new ParticipantNotFoundException(participantId);
+        }
+
+        if (participant.isCreator()) {
+            throw new ValidationException('不能踢出房间创建者');
+        }
+
+        room.removeParticipant(participantId);
+
+        // 通知网关广播并断开被踢出者的连接
+        EventBus.getInstance().emit(BusEvent.PARTICIPANT_KICKED, room.id, {
+            participant: participant.toJSON(),
+            operatorId,
+            reason: options.reason || '',
+            ban: options.ban || null
+        });
+
+        return participant.toJSON();
+    }
+
     /**
      * 检查房间是否存在
      * * @param {string} roomId - 房间ID
@@ -386,6 +1252,53 @@ class RoomService {
         return this.roomRepository.exists(roomId);
     }
 
+    /**
+     * 迁移房间状态并发布状态迁移事件
+     * @param {Room} room - 房间实例
+     * @param {string} status - 目标状态
+     * @param {string} reason - 迁移原因（如 PLAY、STOP、ENDED、dissolved）
+     * @returns {{from: string, to: string, reason: string}|null} 迁移记录，状态未变化时返回null
+     * @throws {InvalidStateTransitionException} 当不允许迁移到目标状态时抛出
+     */
+    transitionStatus(room, status, reason) {
+        if (room.status === status) {
+            return null;
+        }
+
+        const transition = room.setStatus(status);
+        if (!transition) {
+            throw new InvalidStateTransitionException(room.id, room.status, status);
+        }
+
+        const change = { ...transition, reason };
+        EventBus.getInstance().emit(BusEvent.ROOM_STATUS, room.id, change);
+        return change;
+    }
+
+    /**
+     * 根据同步事件驱动房间状态
+     * 开始播放时进入放映中；停止或播放到片尾时回到等待中
+     * 由事件总线触发，不满足迁移条件时静默忽略
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {SyncEvent} syncEvent - 同步事件
+     */
+    syncStatusWithPlayback(roomId, syncEvent) {
+        const room = this.roomRepository.findById(roomId);
+        if (!room) return;
+
+        let target = null;
+        if (syncEvent.videoState.status === PlayStatus.PLAYING) {
+            target = RoomStatus.PLAYING;
+        } else if (syncEvent.type === SyncEventType.STOP || syncEvent.type === SyncEventType.ENDED) {
+            target = RoomStatus.WAITING;
+        }
+
+        if (target && room.status !== target && room.canTransitionTo(target)) {
+            this.transitionStatus(room, target, syncEvent.type);
+        }
+    }
+
     /**
      * 获取房间统计信息
      * * @async
@@ -400,8 +1313,8 @@ class RoomService {
 
         rooms.forEach(room => {
             totalParticipants += room.participants.size;
-            if (room.status === 'waiting') waitingRooms++;
-            if (room.status === 'playing') playingRooms++;
+            if (room.status === RoomStatus.WAITING) waitingRooms++;
+            if (room.status === RoomStatus.PLAYING) playingRooms++;
         });
 
         return {
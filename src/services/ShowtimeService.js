@@ -0,0 +1,186 @@
+/**
+ * @file 定时放映服务层
+ * @description 根据房间的预约开播时间安排倒计时与自动开播：
+ * 进入倒计时后每秒广播剩余时间，到点后自动发出 PLAY
+ * @module services/ShowtimeService
+ */
+
+const RoomService = require('./RoomService');
+const SyncService = require('./SyncService');
+const PlaylistService = require('./PlaylistService');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const { SyncEventType } = require('../models/SyncEvent');
+const { PlayStatus } = require('../models/VideoState');
+const config = require('../config');
+
+/**
+ * 定时放映阶段枚举
+ * @readonly
+ * @enum {string}
+ */
+const ShowtimePhase = {
+    /** 已预约（或预约时间变更） */
+    SCHEDULED: 'scheduled',
+    /** 预约已取消 */
+    CANCELLED: 'cancelled',
+    /** 倒计时 */
+    COUNTDOWN: 'countdown',
+    /** 已自动开播 */
+    STARTED: 'started',
+    /** 到点但没有可播放的片源 */
+    FAILED: 'failed'
+};
+
+/**
+ * 定时放映服务类
+ * 预约变化通过事件总线的 SCHEDULE_CHANGED 事件通知本服务，
+ * 本服务产生的倒计时与开播通知通过 SHOWTIME 事件发布
+ * @class ShowtimeService
+ * @singleton
+ */
+class ShowtimeService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {ShowtimeService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建定时放映服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.eventBus = EventBus.getInstance();
+
+        /**
+         * 房间的下一次调度定时器
+         * key: 房间ID
+         * value: Timeout
+         * @private
+         * @type {Map<string, Timeout>}
+         */
+        this.timers = new Map();
+
+        this.eventBus.on(BusEvent.SCHEDULE_CHANGED, (roomId, startAt) => {
+            if (startAt) {
+                this.notify(roomId, ShowtimePhase.SCHEDULED, startAt);
+                this.arm(roomId);
+            } else if (this.cancel(roomId)) {
+                this.notify(roomId, ShowtimePhase.CANCELLED, null);
+            }
+        });
+        this.eventBus.on(BusEvent.ROOM_DISSOLVED, (roomId) => this.cancel(roomId));
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {ShowtimeService} 服务实例
+     */
+    static getInstance() {
+        if (!ShowtimeService.instance) {
+            ShowtimeService.instance = new ShowtimeService();
+        }
+        return ShowtimeService.instance;
+    }
+
+    /**
+     * 发布定时放映事件
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} phase - 阶段
+     * @param {Date|null} startAt - 预约开播时间
+     * @param {Object} [extra={}] - 附加信息
+     */
+    notify(roomId, phase, startAt, extra = {}) {
+        this.eventBus.emit(BusEvent.SHOWTIME, roomId, {
+            phase,
+            startAt: startAt ? startAt.toISOString() : null,
+            ...extra
+        });
+    }
+
+    /**
+     * 安排房间的下一次调度
+     * 距开播超过倒计时时长时等待到倒计时开始；倒计时期间按整秒广播剩余时间；到点后开播
+     * @private
+     * @param {string} roomId - 房间ID
+     */
+    arm(roomId) {
+        this.cancel(roomId);
+
+        const room = this.roomService.findById(roomId);
+        if (!room || room.status === 'closed' || !room.scheduledStartTime) return;
+
+        const remaining = room.scheduledStartTime.getTime() - Date.now();
+        if (remaining <= 0) {
+            this.start(room);
+            return;
+        }
+
+        const countdownMs = config.showtime.countdownSeconds * 1000;
+        let delay;
+        if (remaining > countdownMs) {
+            delay = remaining - countdownMs;
+        } else {
+            this.notify(roomId, ShowtimePhase.COUNTDOWN, room.scheduledStartTime, {
+                remaining: Math.ceil(remaining / 1000)
+            });
+            // 对齐到下一个整秒
+            delay = remaining % 1000 || 1000;
+        }
+
+        this.timers.set(roomId, setTimeout(() => this.arm(roomId), delay));
+    }
+
+    /**
+     * 到点自动开播
+     * 未设置片源时尝试从播放列表取出下一项；均无可播放内容时发布失败通知
+     * @private
+     * @param {Room} room - 房间实例
+     */
+    start(room) {
+        const startAt = room.scheduledStartTime;
+        room.scheduledStartTime = null;
+
+        const syncService = SyncService.getInstance();
+        const videoState = room.videoState;
+
+        if (!videoState.source && room.playlist.size() > 0) {
+            PlaylistService.getInstance().advance(room, null, true);
+        } else if (videoState.source) {
+            syncService.clearBarrier(room.id);
+            if (videoState.isAtEnd()) {
+                videoState.setProgress(0);
+            }
+            videoState.setStatus(PlayStatus.PLAYING);
+            syncService.publish(room, SyncEventType.PLAY, { reason: 'showtime' });
+        } else {
+            this.notify(room.id, ShowtimePhase.FAILED, startAt, { reason: '未设置片源' });
+            return;
+        }
+
+        this.notify(room.id, ShowtimePhase.STARTED, startAt);
+    }
+
+    /**
+     * 取消房间的调度
+     * @param {string} roomId - 房间ID
+     * @returns {boolean} 是否存在被取消的调度
+     */
+    cancel(roomId) {
+        const timer = this.timers.get(roomId);
+        if (!timer) {
+            return false;
+        }
+        clearTimeout(timer);
+        this.timers.delete(roomId);
+        return true;
+    }
+}
+
+module.exports = ShowtimeService;
@@ -0,0 +1,322 @@
+/**
+ * @file 字幕服务层
+ * @description 实现字幕轨道的上传、转换、存储、查询与删除
+ * 上传的 SRT/ASS/WebVTT 文件统一转换为 WebVTT 后保存在本地磁盘
+ * @module services/SubtitleService
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const RoomService = require('./RoomService');
+const { SubtitleConverter } = require('../utils/SubtitleConverter');
+const { SubtitleTrack } = require('../models/SubtitleTrack');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Permission } = require('../models/Permission');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    ValidationException,
+    SubtitleTrackNotFoundException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 字幕服务类
+ * 轨道列表变化时通过事件总线发布 SUBTITLES 事件；房间解散时清理磁盘文件
+ * @class SubtitleService
+ * @singleton
+ */
+class SubtitleService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {SubtitleService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建字幕服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.eventBus = EventBus.getInstance();
+
+        this.eventBus.on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            this.removeRoomFiles(roomId).catch(error => {
+                console.error(`[Subtitle] 清理房间 ${roomId} 字幕文件失败:`, error.message);
+            });
+        });
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {SubtitleService} 服务实例
+     */
+    static getInstance() {
+        if (!SubtitleService.instance) {
+            SubtitleService.instance = new SubtitleService();
+        }
+        return SubtitleService.instance;
+    }
+
+    /**
+     * 获取未关闭的房间
+     * @private
+     * @param {string} roomId - 房间ID
+     * @returns {Room} 房间实例
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     */
+    getActiveRoom(roomId) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        return room;
+    }
+
+    /**
+     * 获取房间内的字幕轨道
+     * @private
+     * @param {Room} room - 房间实例
+     * @param {string} trackId - 轨道ID
+     * @returns {SubtitleTrack} 字幕轨道
+     * @throws {SubtitleTrackNotFoundException} 当轨道不存在时抛出
+     */
+    getTrack(room, trackId) {
+        const track = room.subtitleTracks.get(trackId);
+        if (!track) {
+            throw new SubtitleTrackNotFoundException(trackId);
+        }
+        return track;
+    }
+
+    /**
+     * 获取轨道的 WebVTT 文件路径
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} trackId - 轨道ID
+     * @returns {string} 文件绝对路径
+     */
+    getFilePath(roomId, trackId) {
+        return path.join(config.subtitle.storageDir, roomId, `${trackId}.vtt`);
+    }
+
+    /**
+     * 构建房间字幕信息
+     * @private
+     * @param {Room} room - 房间实例
+     * @returns {Object} 轨道列表、当前字幕与时间偏移
+     */
+    buildSummary(room) {
+        return {
+            tracks: Array.from(room.subtitleTracks.values()).map(t => t.toJSON()),
+            active: room.videoState.subtitle,
+            offset: room.videoState.subtitleOffset
+        };
+    }
+
+    /**
+     * 发布轨道列表变更事件
+     * 当前使用的轨道被替换或删除时，成员也通过该事件得知新的字幕设置
+     * @private
+     * @param {Room} room - 房间实例
+     * @returns {Object} 房间字幕信息
+     */
+    notifyChanged(room) {
+        const summary = this.buildSummary(room);
+        this.eventBus.emit(BusEvent.SUBTITLES, room.id, summary);
+        return summary;
+    }
+
+    /**
+     * 获取房间字幕信息
+     * @async
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<Object>} 轨道列表、当前字幕与时间偏移
+     */
+    async listTracks(roomId) {
+        return this.buildSummary(this.getActiveRoom(roomId));
+    }
+
+    /**
+     * 上传字幕轨道
+     * 校验并转换为 WebVTT 后写入磁盘；同一语言的已有轨道会被替换
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {Object} upload - 上传数据
+     * @param {Buffer} upload.buffer - 文件内容
+     * @param {string} upload.originalName - 原始文件名
+     * @param {string} upload.language - 语言代码
+     * @param {string} [upload.label] - 显示名称
+     * @returns {Promise<Object>} 创建的字幕轨道
+     * @throws {PermissionDeniedException} 当操作者没有播放控制权限时抛出
+     * @throws {ValidationException} 当参数或文件内容不合法时抛出
+     */
+    async uploadTrack(roomId, operatorId, upload) {
+        const room = this.getActiveRoom(roomId);
+
+        PermissionGuard.authorize(room, operatorId, Permission.CONTROL_PLAYBACK, '上传字幕');
+
+        const errors = [];
+        const language = typeof upload.language === 'string' ? upload.language.trim() : '';
+        const label = typeof upload.label === 'string' ? upload.label.trim() : '';
+
+        if (!upload.buffer) {
+            errors.push({ field: 'file', message: '请上传字幕文件' });
+        }
+        if (!language || language.length > config.subtitle.languageMaxLength) {
+            errors.push({
+                field: 'language',
+                message: `语言代码不能为空且不超过${config.subtitle.languageMaxLength}个字符`
+            });
+        }
+        if (label.length > config.subtitle.labelMaxLength) {
+            errors.push({ field: 'label', message: `显示名称不能超过${config.subtitle.labelMaxLength}个字符` });
+        }
+        if (errors.length > 0) {
+            throw new ValidationException('参数验证失败', errors);
+        }
+
+        const existing = Array.from(room.subtitleTracks.values()).find(t => t.language === language);
+        if (!existing && room.subtitleTracks.size >= config.subtitle.maxTracks) {
+            throw new ValidationException(`每个房间最多上传${config.subtitle.maxTracks}条字幕轨道`);
+        }
+
+        // 解析并转换为 WebVTT
+        const { format, vtt, cueCount } = SubtitleConverter.convert(
+            upload.buffer.toString('utf8'),
+            upload.originalName
+        );
+
+        const track = new SubtitleTrack({
+            roomId,
+            language,
+            label,
+            originalFormat: format,
+            originalName: upload.originalName,
+            cueCount,
+            uploadedBy: operatorId
+        });
+
+        const filePath = this.getFilePath(roomId, track.id);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, vtt, 'utf8');
+
+        // 替换同语言的旧轨道
+        if (existing) {
+            await this.deleteTrackFile(roomId, existing.id);
+            room.subtitleTracks.delete(existing.id);
+            if (room.videoState.subtitle === existing.id) {
+                room.videoState.setSubtitle(track.id);
+            }
+        }
+        room.subtitleTracks.set(track.id, track);
+
+        this.notifyChanged(room);
+        return track.toJSON();
+    }
+
+    /**
+     * 获取字幕文件路径（用于下载）
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} trackId - 轨道ID
+     * @returns {Promise<string>} WebVTT 文件绝对路径
+     * @throws {SubtitleTrackNotFoundException} 当轨道不存在时抛出
+     */
+    async getTrackFile(roomId, trackId) {
+        const room = this.getActiveRoom(roomId);
+        const track = this.getTrack(room, trackId);
+        return this.getFilePath(roomId, track.id);
+    }
+
+    /**
+     * 删除字幕轨道
+     * 若删除的是当前使用的轨道，字幕会被关闭
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {string} trackId - 轨道ID
+     * @returns {Promise<Object>} 删除后的房间字幕信息
+     * @throws {PermissionDeniedException} 当操作者没有播放控制权限时抛出
+     * @throws {SubtitleTrackNotFoundException} 当轨道不存在时抛出
+     */
+    async deleteTrack(roomId, operatorId, trackId) {
+        const room = this.getActiveRoom(roomId);
+
+        PermissionGuard.authorize(room, operatorId, Permission.CONTROL_PLAYBACK, '删除字幕');
+
+        const track = this.getTrack(room, trackId);
+        room.subtitleTracks.delete(track.id);
+        await this.deleteTrackFile(roomId, track.id);
+
+        if (room.videoState.subtitle === track.id) {
+            room.videoState.setSubtitle(null);
+        }
+
+        return this.notifyChanged(room);
+    }
+
+    /**
+     * 校验 CHANGE_SUBTITLE 指令中的字幕设置
+     * 允许 null（关闭字幕）、房间内的轨道ID或外部 http(s) 字幕链接
+     * @param {Room} room - 房间实例
+     * @param {string|null} subtitle - 字幕设置
+     * @returns {Object|null} 对应的轨道信息，外部链接或关闭时返回null
+     * @throws {ValidationException} 当字幕设置不合法时抛出
+     */
+    resolveSubtitle(room, subtitle) {
+        if (subtitle === null) {
+            return null;
+        }
+
+        const track = typeof subtitle === 'string' ? room.subtitleTracks.get(subtitle) : undefined;
+        if (track) {
+            return track.toJSON();
+        }
+
+        if (typeof subtitle === 'string' && /^https?:\/\//i.test(subtitle)) {
+            return null;
+        }
+
+        throw new ValidationException('参数验证失败', [
+            { field: 'subtitle', message: '字幕必须是房间内的字幕轨道ID、外部字幕链接或null' }
+        ]);
+    }
+
+    /**
+     * 删除单个轨道文件，文件不存在时忽略
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} trackId - 轨道ID
+     * @returns {Promise<void>}
+     */
+    async deleteTrackFile(roomId, trackId) {
+        await fs.rm(this.getFilePath(roomId, trackId), { force: true });
+    }
+
+    /**
+     * 删除房间的全部字幕文件
+     * @private
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<void>}
+     */
+    async removeRoomFiles(roomId) {
+        await fs.rm(path.join(config.subtitle.storageDir, roomId), { recursive: true, force: true });
+    }
+}
+
+module.exports = SubtitleService;
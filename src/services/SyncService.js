@@ -0,0 +1,571 @@
+/**
+ * @file 同步控制服务层
+ * @description 实现播放同步的核心业务逻辑：校验控制权限与参数、
+ * 更新房间的 VideoState（唯一真实数据源），并生成 Sync_Event 发布到事件总线
+ * @module services/SyncService
+ */
+
+const RoomService = require('./RoomService');
+const SubtitleService = require('./SubtitleService');
+const PlaylistService = require('./PlaylistService');
+const { EventBus, BusEvent } = require('../utils/EventBus');
+const PermissionGuard = require('../utils/PermissionGuard');
+const { Permission } = require('../models/Permission');
+const { SyncEvent, SyncEventType } = require('../models/SyncEvent');
+const { PlayStatus } = require('../models/VideoState');
+const config = require('../config');
+const {
+    RoomNotFoundException,
+    RoomClosedException,
+    ValidationException,
+    NotInRoomException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 同步控制服务类
+ * 接收放映控制者的控制指令，保证所有成员看到一致的播放状态
+ * @class SyncService
+ * @singleton
+ */
+class SyncService {
+    /**
+     * 单例实例
+     * @private
+     * @static
+     * @type {SyncService|null}
+     */
+    static instance = null;
+
+    /**
+     * 创建同步控制服务实例
+     * @constructor
+     * @private
+     */
+    constructor() {
+        this.roomService = RoomService.getInstance();
+        this.eventBus = EventBus.getInstance();
+
+        /**
+         * 缓冲等待状态
+         * key: 房间ID
+         * value: { buffering: Set<string>, timer: Timeout|null }
+         * @private
+         * @type {Map<string, Object>}
+         */
+        this.barriers = new Map();
+
+        /**
+         * 片尾检测定时器
+         * key: 房间ID
+         * value: Timeout
+         * @private
+         * @type {Map<string, Timeout>}
+         */
+        this.endTimers = new Map();
+
+        // 任何改变播放状态的同步事件（包括播放列表切换、更换片源）都需要重新计算片尾时间
+        this.eventBus.on(BusEvent.SYNC, (roomId) => this.scheduleEnd(roomId));
+        this.eventBus.on(BusEvent.ROOM_DISSOLVED, (roomId) => {
+            this.clearBarrier(roomId);
+            this.clearEndTimer(roomId);
+        });
+    }
+
+    /**
+     * 获取单例实例
+     * @static
+     * @returns {SyncService} 服务实例
+     */
+    static getInstance() {
+        if (!SyncService.instance) {
+            SyncService.instance = new SyncService();
+        }
+        return SyncService.instance;
+    }
+
+    /**
+     * 获取可操作的房间及参与者
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     * @returns {{room: Room, participant: Participant}} 房间与参与者
+     * @throws {RoomNotFoundException} 当房间不存在时抛出
+     * @throws {RoomClosedException} 当房间已关闭时抛出
+     * @throws {NotInRoomException} 当参与者不在房间内时抛出
+     */
+    getRoomMember(roomId, participantId) {
+        const room = this.roomService.findById(roomId);
+
+        if (!room) {
+            throw new RoomNotFoundException(roomId);
+        }
+
+        if (room.status === 'closed') {
+            throw new RoomClosedException(roomId);
+        }
+
+        const participant = room.getParticipant(participantId);
+        if (!participant) {
+            throw new NotInRoomException(roomId, participantId);
+        }
+
+        return { room, participant };
+    }
+
+    /**
+     * 加入同步频道前的业务校验
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     * @returns {{room: Room, participant: Participant}} 房间与参与者
+     */
+    joinSync(roomId, participantId) {
+        return this.getRoomMember(roomId, participantId);
+    }
+
+    /**
+     * 记录参与者的时钟估算结果，用于诊断
+     * 房间或参与者已不存在时静默忽略
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     * @param {{rtt: number, offset: number}} estimate - 时钟估算结果
+     */
+    recordLatency(roomId, participantId, estimate) {
+        const participant = this.roomService.findById(roomId)?.getParticipant(participantId);
+        if (participant && estimate) {
+            participant.setLatency(estimate);
+        }
+    }
+
+    /**
+     * 构建初始化快照
+     * 新成员加入时下发，包含片源、字幕、基准时间戳、播放状态、倍速、
+     * 计算后的当前进度，以及房间公告、预约开播时间与在线成员列表
+     * @param {Room} room - 房间实例
+     * @returns {Object} 初始化数据
+     */
+    buildInitSnapshot(room) {
+        const members = Array.from(room.participants.values())
+            .filter(p => p.status === 'online')
+            .map(p => p.toJSON());
+
+        return {
+            roomId: room.id,
+            name: room.name,
+            announcement: room.announcement,
+            status: room.status,
+            scheduledStartTime: room.scheduledStartTime ? room.scheduledStartTime.toISOString() : null,
+            chatMode: room.chatMode,
+            slowModeInterval: room.slowModeInterval,
+            videoState: room.videoState.toJSON(),
+            members,
+            serverTime: Date.now()
+        };
+    }
+
+    /**
+     * 处理播放控制指令
+     * 校验权限与参数 -> 更新 VideoState -> 发布 Sync_Event
+     * @async
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 操作者ID
+     * @param {Object} command - 控制指令
+     * @param {string} command.type - 指令类型（PLAY/PAUSE/STOP/SEEK/CHANGE_RATE/CHANGE_SUBTITLE/CHANGE_SOURCE）
+     * @param {number} [command.progress] - 目标进度(秒)，SEEK 时必填
+     * @param {number} [command.rate] - 目标倍速，CHANGE_RATE 时必填
+     * @param {string|null} [command.subtitle] - 目标字幕（轨道ID、外部字幕链接或null），CHANGE_SUBTITLE 时使用
+     * @param {number} [command.offset] - 字幕时间偏移(秒)，CHANGE_SUBTITLE 时可选
+     * @param {string} [command.source] - 视频链接，CHANGE_SOURCE 时必填
+     * @returns {Promise<SyncEvent>} 生成的同步事件
+     * @throws {PermissionDeniedException} 当操作者没有控制权限时抛出
+     * @throws {ValidationException} 当指令参数不合法时抛出
+     */
+    async handleControl(roomId, operatorId, command = {}) {
+        const { room, participant } = this.getRoomMember(roomId, operatorId);
+
+        // 更换片源涉及链接校验与探测，交由房间服务处理（权限在房间服务中校验）
+        if (command.type === SyncEventType.CHANGE_SOURCE) {
+            return this.roomService.setVideoSource(roomId, operatorId, command.source);
+        }
+
+        // 验证控制权限
+        PermissionGuard.authorize(room, operatorId, Permission.CONTROL_PLAYBACK, '控制播放');
+
+        const videoState = room.videoState;
+        let payload = {};
+
+        switch (command.type) {
+            case SyncEventType.PLAY:
+                // 控制者手动操作优先于缓冲等待
+                this.clearBarrier(roomId);
+                // 已播放到片尾时重新从头播放
+                if (videoState.isAtEnd()) {
+                    videoState.setProgress(0);
+                }
+                videoState.setStatus(PlayStatus.PLAYING);
+                break;
+
+            case SyncEventType.PAUSE:
+                this.clearBarrier(roomId);
+                videoState.setStatus(PlayStatus.PAUSED);
+                break;
+
+            case SyncEventType.STOP:
+                this.clearBarrier(roomId);
+                videoState.setStatus(PlayStatus.STOPPED);
+                videoState.setProgress(0);
+                break;
+
+            case SyncEventType.SEEK: {
+                const progress = Number(command.progress);
+                if (command.progress === undefined || command.progress === null ||
+                    !Number.isFinite(progress) || progress < 0) {
+                    throw new ValidationException('参数验证失败', [
+                        { field: 'progress', message: '跳转进度必须是非负数' }
+                    ]);
+                }
+                if (videoState.duration !== null && progress > videoState.duration) {
+                    throw new ValidationException('参数验证失败', [
+                        { field: 'progress', message: `跳转进度不能超过片源时长(${videoState.duration}秒)` }
+                    ]);
+                }
+                videoState.setProgress(progress);
+                payload = { progress };
+                break;
+            }
+
+            case SyncEventType.CHANGE_RATE: {
+                const rate = Number(command.rate);
+                if (!Number.isFinite(rate) || rate <= 0 || rate > 4) {
+                    throw new ValidationException('参数验证失败', [
+                        { field: 'rate', message: '播放倍速必须在0-4之间' }
+                    ]);
+                }
+                videoState.setPlaybackRate(rate);
+                payload = { rate };
+                break;
+            }
+
+            case SyncEventType.CHANGE_SUBTITLE: {
+                const subtitle = command.subtitle === undefined ? null : command.subtitle;
+                const track = SubtitleService.getInstance().resolveSubtitle(room, subtitle);
+
+                if (command.offset !== undefined) {
+                    const offset = Number(command.offset);
+                    if (command.offset === null || !Number.isFinite(offset) ||
+                        Math.abs(offset) > config.subtitle.maxOffset) {
+                        throw new ValidationException('参数验证失败', [
+                            { field: 'offset', message: `字幕偏移必须是绝对值不超过${config.subtitle.maxOffset}秒的数字` }
+                        ]);
+                    }
+                    videoState.setSubtitleOffset(offset);
+                }
+
+                videoState.setSubtitle(subtitle);
+                payload = { subtitle: videoState.subtitle, track, offset: videoState.subtitleOffset };
+                break;
+            }
+
+            default:
+                throw new ValidationException('参数验证失败', [
+                    { field: 'type', message: `不支持的同步事件类型: ${command.type}` }
+                ]);
+        }
+
+        return this.publish(room, command.type, payload, participant);
+    }
+
+    /**
+     * 处理控制者上报的片源时长
+     * 时长通常由控制者的播放器在加载元数据后上报；上报时附带片源链接，
+     * 与当前片源不一致的过期上报会被忽略
+     * @param {string} roomId - 房间ID
+     * @param {string} operatorId - 上报者ID
+     * @param {Object} report - 上报数据
+     * @param {number} report.duration - 片源总时长(秒)
+     * @param {string} [report.source] - 上报时播放器加载的片源链接
+     * @returns {Object} 更新后的视频状态
+     * @throws {PermissionDeniedException} 当上报者没有控制权限时抛出
+     * @throws {ValidationException} 当时长不合法时抛出
+     */
+    reportDuration(roomId, operatorId, report = {}) {
+        const { room } = this.getRoomMember(roomId, operatorId);
+
+        PermissionGuard.authorize(room, operatorId, Permission.CONTROL_PLAYBACK, '上报片源时长');
+
+        const duration = Number(report.duration);
+        if (report.duration === undefined || report.duration === null ||
+            !Number.isFinite(duration) || duration <= 0 || duration > config.video.maxDuration) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'duration', message: `片源时长必须是0-${config.video.maxDuration}秒之间的数字` }
+            ]);
+        }
+
+        const videoState = room.videoState;
+        if (!videoState.source || (report.source !== undefined && report.source !== videoState.source)) {
+            return videoState.toJSON();
+        }
+
+        videoState.setDuration(duration);
+        this.scheduleEnd(roomId);
+
+        return videoState.toJSON();
+    }
+
+    /**
+     * 处理观众上报的本地播放进度
+     * 与 VideoState 计算出的进度比较，偏差超过房间阈值时生成仅发给该观众的 SEEK 校准事件
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 上报者ID
+     * @param {Object} report - 上报数据
+     * @param {number} report.position - 本地播放进度(秒)
+     * @param {number} [report.clientTime] - 采样时的客户端时间戳(毫秒)，配合时钟偏移换算为服务端时间
+     * @param {number} [clockOffset=0] - 客户端相对服务端的时钟偏移(毫秒)
+     * @returns {{drift: number, threshold: number, correction: SyncEvent|null}} 比较结果
+     * @throws {ValidationException} 当上报进度不合法时抛出
+     */
+    reportPosition(roomId, participantId, report = {}, clockOffset = 0) {
+        const { room, participant } = this.getRoomMember(roomId, participantId);
+
+        const position = Number(report.position);
+        if (report.position === undefined || report.position === null ||
+            !Number.isFinite(position) || position < 0) {
+            throw new ValidationException('参数验证失败', [
+                { field: 'position', message: '播放进度必须是非负数' }
+            ]);
+        }
+
+        // 将客户端采样时间换算为服务端时间，排除网络传输带来的误差
+        const clientTime = Number(report.clientTime);
+        const sampledAt = Number.isFinite(clientTime) ? clientTime - clockOffset : Date.now();
+
+        const expected = room.videoState.getCurrentProgress(sampledAt);
+        const drift = position - expected;
+        const needCorrection = Math.abs(drift) > room.driftThreshold;
+
+        participant.recordDrift(drift, needCorrection);
+
+        let correction = null;
+        if (needCorrection) {
+            correction = new SyncEvent({
+                type: SyncEventType.SEEK,
+                roomId: room.id,
+                payload: { progress: room.videoState.getCurrentProgress(), drift, correction: true },
+                videoState: room.videoState
+            });
+        }
+
+        return { drift, threshold: room.driftThreshold, correction };
+    }
+
+    /**
+     * 处理成员上报的缓冲状态
+     * 房间启用缓冲等待时：任一成员开始缓冲则全员暂停；
+     * 所有在线成员就绪或等待超时后全员恢复播放
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 上报者ID
+     * @param {string} state - 缓冲状态（buffering/ready）
+     * @returns {{waiting: string[]}} 当前仍在缓冲的成员ID列表
+     * @throws {ValidationException} 当状态值不合法时抛出
+     */
+    reportBufferState(roomId, participantId, state) {
+        const { room, participant } = this.getRoomMember(roomId, participantId);
+
+        if (state !== 'buffering' && state !== 'ready') {
+            throw new ValidationException('参数验证失败', [
+                { field: 'state', message: '缓冲状态必须是 buffering 或 ready' }
+            ]);
+        }
+
+        const barrier = this.barriers.get(roomId);
+
+        if (state === 'buffering') {
+            if (!room.bufferingBarrier) {
+                return { waiting: [] };
+            }
+
+            if (barrier) {
+                barrier.buffering.add(participantId);
+            } else if (room.videoState.status === PlayStatus.PLAYING) {
+                // 建立缓冲等待：暂停全员并开始计时
+                const newBarrier = { buffering: new Set([participantId]), timer: null };
+                newBarrier.timer = setTimeout(
+                    () => this.releaseBarrier(roomId, 'timeout'),
+                    room.bufferingTimeout * 1000
+                );
+                this.barriers.set(roomId, newBarrier);
+
+                room.videoState.setStatus(PlayStatus.PAUSED);
+                this.publish(room, SyncEventType.PAUSE, {
+                    reason: 'buffering',
+                    waiting: [participantId]
+                }, participant);
+            }
+        } else if (barrier) {
+            barrier.buffering.delete(participantId);
+            this.releaseIfAllReady(room);
+        }
+
+        const current = this.barriers.get(roomId);
+        return { waiting: current ? Array.from(current.buffering) : [] };
+    }
+
+    /**
+     * 成员离开同步频道时将其移出缓冲等待
+     * @param {string} roomId - 房间ID
+     * @param {string} participantId - 参与者ID
+     */
+    dropFromBarrier(roomId, participantId) {
+        const barrier = this.barriers.get(roomId);
+        const room = this.roomService.findById(roomId);
+        if (!barrier || !room) return;
+
+        barrier.buffering.delete(participantId);
+        this.releaseIfAllReady(room);
+    }
+
+    /**
+     * 所有在线成员均已就绪时解除缓冲等待
+     * @private
+     * @param {Room} room - 房间实例
+     */
+    releaseIfAllReady(room) {
+        const barrier = this.barriers.get(room.id);
+        if (!barrier) return;
+
+        // 离线成员不再阻塞房间
+        for (const id of barrier.buffering) {
+            const p = room.getParticipant(id);
+            if (!p || p.status !== 'online') {
+                barrier.buffering.delete(id);
+            }
+        }
+
+        if (barrier.buffering.size === 0) {
+            this.releaseBarrier(room.id, 'ready');
+        }
+    }
+
+    /**
+     * 解除缓冲等待并恢复全员播放
+     * @private
+     * @param {string} roomId - 房间ID
+     * @param {string} reason - 解除原因（ready/timeout）
+     */
+    releaseBarrier(roomId, reason) {
+        const barrier = this.barriers.get(roomId);
+        if (!barrier) return;
+
+        const skipped = Array.from(barrier.buffering);
+        this.clearBarrier(roomId);
+
+        const room = this.roomService.findById(roomId);
+        if (!room || room.status === 'closed') return;
+
+        room.videoState.setStatus(PlayStatus.PLAYING);
+        this.publish(room, SyncEventType.PLAY, {
+            reason: reason === 'timeout' ? 'buffering_timeout' : 'buffering_ready',
+            skipped
+        });
+    }
+
+    /**
+     * 清除房间的缓冲等待状态（不改变播放状态）
+     * @param {string} roomId - 房间ID
+     */
+    clearBarrier(roomId) {
+        const barrier = this.barriers.get(roomId);
+        if (barrier) {
+            clearTimeout(barrier.timer);
+            this.barriers.delete(roomId);
+        }
+    }
+
+    /**
+     * 根据当前播放状态重新安排片尾检测
+     * 仅在播放中且时长已知时生效
+     * @private
+     * @param {string} roomId - 房间ID
+     */
+    scheduleEnd(roomId) {
+        this.clearEndTimer(roomId);
+
+        const room = this.roomService.findById(roomId);
+        if (!room || room.status === 'closed') return;
+
+        const remaining = room.videoState.getRemainingTime();
+        if (remaining === null) return;
+
+        // setTimeout 的延迟上限约为24.8天，超出部分到期后再次安排
+        const timer = setTimeout(() => this.handleEnd(roomId), Math.min(remaining, 0x7fffffff));
+        this.endTimers.set(roomId, timer);
+    }
+
+    /**
+     * 片尾检测到期：停止播放并广播 ENDED 事件
+     * 播放列表中还有待播项时自动切换到下一项并继续播放
+     * @private
+     * @param {string} roomId - 房间ID
+     */
+    handleEnd(roomId) {
+        this.endTimers.delete(roomId);
+
+        const room = this.roomService.findById(roomId);
+        if (!room || room.status === 'closed') return;
+
+        const videoState = room.videoState;
+        if (videoState.status !== PlayStatus.PLAYING) return;
+
+        if (!videoState.isAtEnd()) {
+            this.scheduleEnd(roomId);
+            return;
+        }
+
+        this.clearBarrier(roomId);
+        videoState.setStatus(PlayStatus.STOPPED);
+        this.publish(room, SyncEventType.ENDED, {
+            source: videoState.source,
+            playlistItemId: room.playlist.current ? room.playlist.current.id : null
+        });
+
+        if (room.playlist.size() > 0) {
+            PlaylistService.getInstance().advance(room, null, true);
+        }
+    }
+
+    /**
+     * 清除房间的片尾检测定时器
+     * @private
+     * @param {string} roomId - 房间ID
+     */
+    clearEndTimer(roomId) {
+        const timer = this.endTimers.get(roomId);
+        if (timer) {
+            clearTimeout(timer);
+            this.endTimers.delete(roomId);
+        }
+    }
+
+    /**
+     * 生成并发布同步事件
+     * 事件发布到事件总线，由 SyncGateway 广播给房间内所有成员
+     * @param {Room} room - 房间实例
+     * @param {string} type - 事件类型
+     * @param {Object} [payload={}] - 事件参数
+     * @param {Participant|null} [operator=null] - 操作者
+     * @returns {SyncEvent} 生成的同步事件
+     */
+    publish(room, type, payload = {}, operator = null) {
+        const syncEvent = new SyncEvent({
+            type,
+            roomId: room.id,
+            payload,
+            videoState: room.videoState,
+            operator
+        });
+
+        this.eventBus.emit(BusEvent.SYNC, room.id, syncEvent);
+        return syncEvent;
+    }
+}
+
+module.exports = SyncService;
@@ -0,0 +1,117 @@
+/**
+ * @file AC自动机
+ * @description Aho-Corasick 多模式串匹配：一次扫描即可找出文本中出现的全部关键词，
+ *              按字符（UTF-16 码元）逐个匹配，不依赖分词，适用于中文文本
+ * @module utils/AhoCorasick
+ */
+
+/**
+ * AC自动机类
+ * 
+ * @class AhoCorasick
+ * @example
+ * const matcher = new AhoCorasick(['他妈', '妈的']);
+ * matcher.search('他妈的'); // [{ word: '他妈', start: 0, end: 2 }, { word: '妈的', start: 1, end: 3 }]
+ */
+class AhoCorasick {
+  /**
+   * 根据关键词列表构建自动机
+   * 
+   * @constructor
+   * @param {string[]} [words=[]] - 关键词列表，空串与重复项会被忽略
+   */
+  constructor(words = []) {
+    this.root = this.createNode();
+    this.size = 0;
+
+    new Set(words).forEach(word => {
+      if (word) {
+        this.insert(word);
+      }
+    });
+    this.build();
+  }
+
+  /**
+   * 创建 Trie 节点
+   * 
+   * @private
+   * @returns {{next: Map<string, Object>, fail: Object|null, output: string[]}} 节点
+   */
+  createNode() {
+    return { next: new Map(), fail: null, output: [] };
+  }
+
+  /**
+   * 向 Trie 中插入关键词
+   * 
+   * @private
+   * @param {string} word - 关键词
+   */
+  insert(word) {
+    let node = this.root;
+    for (const ch of word.split('')) {
+      if (!node.next.has(ch)) {
+        node.next.set(ch, this.createNode());
+      }
+      node = node.next.get(ch);
+    }
+    node.output.push(word);
+    this.size++;
+  }
+
+  /**
+   * 按层序遍历构建失配指针，并把失配链上的输出合并到当前节点
+   * 
+   * @private
+   */
+  build() {
+    const queue = [];
+    this.root.fail = this.root;
+
+    this.root.next.forEach(child => {
+      child.fail = this.root;
+      queue.push(child);
+    });
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      node.next.forEach((child, ch) => {
+        let fail = node.fail;
+        while (fail !== this.root && !fail.next.has(ch)) {
+          fail = fail.fail;
+        }
+        child.fail = fail.next.get(ch) || this.root;
+        child.output = child.output.concat(child.fail.output);
+        queue.push(child);
+      });
+    }
+  }
+
+  /**
+   * 查找文本中出现的全部关键词（含重叠匹配）
+   * 
+   * @param {string} text - 待匹配文本
+   * @returns {Array<{word: string, start: number, end: number}>} 匹配结果，end 不含
+   */
+  search(text) {
+    const matches = [];
+    let node = this.root;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      while (node !== this.root && !node.next.has(ch)) {
+        node = node.fail;
+      }
+      node = node.next.get(ch) || this.root;
+
+      node.output.forEach(word => {
+        matches.push({ word, start: i - word.length + 1, end: i + 1 });
+      });
+    }
+
+    return matches;
+  }
+}
+
+module.exports = AhoCorasick;
@@ -0,0 +1,194 @@
+/**
+ * @file 失败次数限制器
+ * @description 按键统计连续失败次数，达到阈值后锁定一段时间，每次再被锁定时锁定时长翻倍。
+ * 尚未得出结果的尝试（如异步比对中的密码）预先按失败计入限额，避免并发请求绕过锁定
+ * @module utils/AttemptLimiter
+ */
+
+/**
+ * 失败次数限制器类
+ *
+ * @class AttemptLimiter
+ * @example
+ * const limiter = new AttemptLimiter({ maxAttempts: 5, baseLockout: 30000, maxLockout: 3600000, resetAfter: 900000 });
+ * if (limiter.getLockout(key) > 0) { ... }
+ * limiter.begin(key);
+ * const ok = await check();
+ * limiter.settle(key, ok);
+ */
+class AttemptLimiter {
+  /**
+   * 创建限制器实例
+   *
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {number} options.maxAttempts - 触发锁定的连续失败次数
+   * @param {number} options.baseLockout - 首次锁定时长(毫秒)
+   * @param {number} options.maxLockout - 锁定时长上限(毫秒)
+   * @param {number} options.resetAfter - 距上次失败（或锁定结束）超过该时长(毫秒)后清空记录
+   */
+  constructor({ maxAttempts, baseLockout, maxLockout, resetAfter }) {
+    this.maxAttempts = maxAttempts;
+    this.baseLockout = baseLockout;
+    this.maxLockout = maxLockout;
+    this.resetAfter = resetAfter;
+
+    /**
+     * 失败记录
+     * key: 调用方指定的键
+     * value: { failures, lockouts, lockedUntil, lastFailureAt, pending }
+     * @private
+     * @type {Map<string, Object>}
+     */
+    this.entries = new Map();
+  }
+
+  /**
+   * 获取仍然有效的记录，已过期的记录会被删除
+   *
+   * @private
+   * @param {string} key - 键
+   * @param {number} now - 当前时间戳(毫秒)
+   * @returns {Object|null} 失败记录
+   */
+  getEntry(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.pending === 0 &&
+        now - Math.max(entry.lastFailureAt, entry.lockedUntil) > this.resetAfter) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * 获取有效的记录，不存在时创建
+   *
+   * @private
+   * @param {string} key - 键
+   * @param {number} now - 当前时间戳(毫秒)
+   * @returns {Object} 失败记录
+   */
+  ensureEntry(key, now) {
+    let entry = this.getEntry(key, now);
+    if (!entry) {
+      entry = { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: now, pending: 0 };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * 计算下一次锁定的时长
+   *
+   * @private
+   * @param {Object} entry - 失败记录
+   * @returns {number} 锁定时长(毫秒)
+   */
+  nextLockout(entry) {
+    return Math.min(this.baseLockout * 2 ** entry.lockouts, this.maxLockout);
+  }
+
+  /**
+   * 获取剩余锁定时长
+   * 进行中的尝试按失败预计：若它们全部失败即会触发锁定，则不再放行新的尝试，
+   * 此时返回届时将施加的锁定时长
+   *
+   * @param {string} key - 键
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {number} 剩余锁定时长(毫秒)，未锁定时为0
+   */
+  getLockout(key, now = Date.now()) {
+    const entry = this.getEntry(key, now);
+    if (!entry) {
+      return 0;
+    }
+    if (entry.lockedUntil > now) {
+      return entry.lockedUntil - now;
+    }
+    return entry.failures + entry.pending >= this.maxAttempts ? this.nextLockout(entry) : 0;
+  }
+
+  /**
+   * 登记一次进行中的尝试，须在得出结果后调用 settle
+   *
+   * @param {string} key - 键
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   */
+  begin(key, now = Date.now()) {
+    this.ensureEntry(key, now).pending++;
+  }
+
+  /**
+   * 结束一次进行中的尝试，失败时记为一次失败
+   *
+   * @param {string} key - 键
+   * @param {boolean} succeeded - 尝试是否成功
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {number} 本次失败触发的锁定时长(毫秒)，成功或未触发锁定时为0
+   */
+  settle(key, succeeded, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && entry.pending > 0) {
+      entry.pending--;
+    }
+    return succeeded ? 0 : this.recordFailure(key, now);
+  }
+
+  /**
+   * 记录一次失败
+   *
+   * @param {string} key - 键
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {number} 本次失败触发的锁定时长(毫秒)，未触发锁定时为0
+   */
+  recordFailure(key, now = Date.now()) {
+    const entry = this.ensureEntry(key, now);
+
+    entry.failures++;
+    entry.lastFailureAt = now;
+
+    if (entry.failures < this.maxAttempts) {
+      return 0;
+    }
+
+    const lockout = this.nextLockout(entry);
+    entry.failures = 0;
+    entry.lockouts++;
+    entry.lockedUntil = now + lockout;
+    return lockout;
+  }
+
+  /**
+   * 抵消一次失败，用于成功后逐步消解其他人偶尔输错累积的计数，已施加的锁定不受影响
+   *
+   * @param {string} key - 键
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   */
+  forgive(key, now = Date.now()) {
+    const entry = this.getEntry(key, now);
+    if (entry && entry.failures > 0) {
+      entry.failures--;
+    }
+  }
+
+  /**
+   * 清空指定键的失败记录
+   *
+   * @param {string} key - 键
+   */
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * 清理所有已过期的记录
+   *
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   */
+  prune(now = Date.now()) {
+    this.entries.forEach((entry, key) => this.getEntry(key, now));
+  }
+}
+
+module.exports = AttemptLimiter;
@@ -0,0 +1,87 @@
+/**
+ * @file 时钟偏移估算器
+ * @description 基于 NTP 式的四时间戳样本估算客户端与服务端之间的往返时延(RTT)和时钟偏移
+ * @module utils/ClockEstimator
+ */
+
+const config = require('../config');
+
+/**
+ * 时钟偏移估算器类
+ * 每个 Socket 连接持有一个实例，保留最近若干次 ping/pong 样本，
+ * 以 RTT 最小的样本作为估算结果（RTT 越小，网络排队误差越小）
+ * 
+ * 四个时间戳的含义：
+ * - t0: 服务端发送 ping 的时间（服务端时钟）
+ * - t1: 客户端收到 ping 的时间（客户端时钟）
+ * - t2: 客户端回复 pong 的时间（客户端时钟）
+ * - t3: 服务端收到 pong 的时间（服务端时钟）
+ * 
+ * @class ClockEstimator
+ * @example
+ * const estimator = new ClockEstimator();
+ * estimator.addSample({ t0, t1, t2, t3 });
+ * const { rtt, offset } = estimator.getEstimate();
+ */
+class ClockEstimator {
+  /**
+   * 创建估算器实例
+   * 
+   * @constructor
+   * @param {number} [maxSamples] - 保留的样本数量，默认取 config.sync.clockSampleSize
+   */
+  constructor(maxSamples = config.sync.clockSampleSize) {
+    this.maxSamples = maxSamples;
+    this.samples = [];
+  }
+
+  /**
+   * 添加一次 ping/pong 样本
+   * 
+   * @param {Object} sample - 四时间戳样本(毫秒)
+   * @param {number} sample.t0 - 服务端发送时间
+   * @param {number} sample.t1 - 客户端接收时间
+   * @param {number} sample.t2 - 客户端发送时间
+   * @param {number} sample.t3 - 服务端接收时间
+   * @returns {boolean} 样本是否有效并被采纳
+   */
+  addSample({ t0, t1, t2, t3 }) {
+    if (![t0, t1, t2, t3].every(Number.isFinite)) {
+      return false;
+    }
+
+    const rtt = (t3 - t0) - (t2 - t1);
+    if (rtt < 0) {
+      return false;
+    }
+
+    // offset = 客户端时钟 - 服务端时钟
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+
+    this.samples.push({ rtt, offset, at: t3 });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+    return true;
+  }
+
+  /**
+   * 获取当前估算结果
+   * 
+   * @returns {{rtt: number, offset: number, samples: number}|null} 估算结果，无样本时返回null
+   */
+  getEstimate() {
+    if (this.samples.length === 0) {
+      return null;
+    }
+
+    const best = this.samples.reduce((min, s) => (s.rtt < min.rtt ? s : min));
+    return {
+      rtt: best.rtt,
+      offset: best.offset,
+      samples: this.samples.length
+    };
+  }
+}
+
+module.exports = ClockEstimator;
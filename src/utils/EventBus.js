@@ -0,0 +1,84 @@
+/**
+ * @file 事件总线
+ * @description 模块间的事件驱动通信机制
+ *              Service 层发布领域事件，Gateway 层订阅后通过 Socket.IO 广播，
+ *              使得 HTTP 与 Socket 两种入口产生的状态变化都能推送到客户端
+ * @module utils/EventBus
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * 总线事件名称枚举
+ * @readonly
+ * @enum {string}
+ */
+const BusEvent = {
+  /** 播放同步事件 - 参数: (roomId, SyncEvent) */
+  SYNC: 'sync',
+  /** 播放列表变更 - 参数: (roomId, playlistJSON) */
+  PLAYLIST: 'playlist',
+  /** 参与者角色变更 - 参数: (roomId, { participant, previousRole, operatorId, reason }) */
+  ROLE_CHANGED: 'role_changed',
+  /** 字幕轨道列表变更 - 参数: (roomId, { tracks, active, offset }) */
+  SUBTITLES: 'subtitles',
+  /** 房间解散 - 参数: (roomId) */
+  ROOM_DISSOLVED: 'room_dissolved',
+  /** 房间状态迁移 - 参数: (roomId, { from, to, reason }) */
+  ROOM_STATUS: 'room_status',
+  /** 预约开播时间变更 - 参数: (roomId, Date|null) */
+  SCHEDULE_CHANGED: 'schedule_changed',
+  /** 定时放映进度（预约/取消/倒计时/开播） - 参数: (roomId, { phase, startAt, remaining }) */
+  SHOWTIME: 'showtime',
+  /** 内容命中敏感词、待审核 - 参数: (roomId, { target, participantId, content, words, messageId }) */
+  CONTENT_FLAGGED: 'content_flagged',
+  /** 聊天模式变更 - 参数: (roomId, { chatMode, slowModeInterval, operatorId }) */
+  CHAT_MODE_CHANGED: 'chat_mode_changed',
+  /** 参与者被踢出 - 参数: (roomId, { participant, operatorId, reason, ban }) */
+  PARTICIPANT_KICKED: 'participant_kicked',
+  /** 参与者主动退出房间 - 参数: (roomId, { participantId }) */
+  PARTICIPANT_LEFT: 'participant_left',
+  /** 参与者被禁言或解除禁言 - 参数: (roomId, { participant, muted, mutedUntil, reason, operatorId }) */
+  PARTICIPANT_MUTED: 'participant_muted',
+  /** 参与者聊天连接上线或离线 - 参数: (roomId, { participantId, status }) */
+  PRESENCE_CHANGED: 'presence_changed',
+  /** 房间权限矩阵变更 - 参数: (roomId, { permissions, operatorId }) */
+  PERMISSIONS_CHANGED: 'permissions_changed',
+  /** 收到新的入场申请 - 参数: (roomId, JoinRequest) */
+  JOIN_REQUESTED: 'join_requested',
+  /** 入场申请被批准、拒绝或超时 - 参数: (roomId, JoinRequest) */
+  JOIN_REQUEST_RESOLVED: 'join_request_resolved'
+};
+
+/**
+ * 事件总线类
+ * 基于 Node.js EventEmitter，采用单例模式确保全局只有一条总线
+ * 
+ * @class EventBus
+ * @extends EventEmitter
+ * @singleton
+ */
+class EventBus extends EventEmitter {
+  /**
+   * 单例实例
+   * @private
+   * @static
+   * @type {EventBus|null}
+   */
+  static instance = null;
+
+  /**
+   * 获取单例实例
+   * 
+   * @static
+   * @returns {EventBus} 总线实例
+   */
+  static getInstance() {
+    if (!EventBus.instance) {
+      EventBus.instance = new EventBus();
+    }
+    return EventBus.instance;
+  }
+}
+
+module.exports = { EventBus, BusEvent };
@@ -4,6 +4,7 @@
  * @module utils/IdGenerator
  */
 
+const crypto = require('crypto');
 const config = require('../config');
 
 /**
@@ -67,6 +68,39 @@ class IdGenerator {
     const randomPart = Math.random().toString(36).substring(2, 8);
     return `${timestamp}-${randomPart}`;
   }
+
+  /**
+   * 生成邀请码
+   * 使用密码学安全的随机数，字符集去掉了易混淆的 0/O/1/I/l
+   * 
+   * @static
+   * @param {number} [length=10] - 邀请码长度
+   * @returns {string} 邀请码
+   * @example
+   * const code = IdGenerator.generateInviteCode(); // "k7QmZp3Xwa"
+   */
+  static generateInviteCode(length = config.invite.codeLength) {
+    const characters = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += characters.charAt(crypto.randomInt(characters.length));
+    }
+    return result;
+  }
+
+  /**
+   * 生成随机凭证
+   * 使用密码学安全的随机数，用于只需持有者出示、不需要人工输入的一次性凭证
+   * 
+   * @static
+   * @param {number} [bytes=24] - 随机字节数
+   * @returns {string} base64url 编码的凭证
+   * @example
+   * const ticket = IdGenerator.generateSecret(); // "3q2-7wAAAAD..."
+   */
+  static generateSecret(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64url');
+  }
 }
 
 module.exports = IdGenerator;
@@ -0,0 +1,102 @@
+/**
+ * @file 参与者身份令牌工具类
+ * @description 签发与校验 HMAC-SHA256 签名的身份令牌（JWT 格式），
+ * 令牌在创建或加入房间时签发，用于证明调用者是房间内的某个参与者
+ * @module utils/ParticipantToken
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { UnauthorizedException } = require('../exceptions/BusinessException');
+
+/**
+ * 令牌头部（固定）
+ * @private
+ * @type {string}
+ */
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+/**
+ * 参与者身份令牌类
+ *
+ * @class ParticipantToken
+ * @example
+ * const token = ParticipantToken.sign('123456', participantId);
+ * const { roomId, participantId } = ParticipantToken.verify(token);
+ */
+class ParticipantToken {
+  /**
+   * 计算签名
+   *
+   * @private
+   * @static
+   * @param {string} content - 待签名内容（header.payload）
+   * @returns {string} base64url 编码的签名
+   */
+  static signature(content) {
+    return crypto.createHmac('sha256', config.auth.tokenSecret).update(content).digest('base64url');
+  }
+
+  /**
+   * 签发令牌
+   *
+   * @static
+   * @param {string} roomId - 房间ID
+   * @param {string} participantId - 参与者ID
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {string} 令牌
+   */
+  static sign(roomId, participantId, now = Date.now()) {
+    const issuedAt = Math.floor(now / 1000);
+    const payload = Buffer.from(JSON.stringify({
+      sub: participantId,
+      room: roomId,
+      iat: issuedAt,
+      exp: issuedAt + config.auth.tokenTtl
+    })).toString('base64url');
+
+    const content = `${HEADER}.${payload}`;
+    return `${content}.${ParticipantToken.signature(content)}`;
+  }
+
+  /**
+   * 校验令牌
+   *
+   * @static
+   * @param {string} token - 令牌
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {{roomId: string, participantId: string}} 令牌中的身份
+   * @throws {UnauthorizedException} 当令牌缺失、格式错误、签名不符或已过期时抛出
+   */
+  static verify(token, now = Date.now()) {
+    if (!token || typeof token !== 'string') {
+      throw new UnauthorizedException('missing');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== HEADER) {
+      throw new UnauthorizedException('invalid');
+    }
+
+    const expected = Buffer.from(ParticipantToken.signature(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new UnauthorizedException('invalid');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new UnauthorizedException('invalid');
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp * 1000 <= now) {
+      throw new UnauthorizedException('expired');
+    }
+
+    return { roomId: payload.room, participantId: payload.sub };
+  }
+}
+
+module.exports = ParticipantToken;
@@ -0,0 +1,58 @@
+/**
+ * @file 密码哈希工具类
+ * @description 使用加盐的 scrypt 保存房间密码，校验时进行常量时间比较
+ * @module utils/PasswordHasher
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 密码哈希类
+ * 哈希结果格式为 scrypt$<salt>$<hash>，salt 与 hash 均为 base64 编码
+ *
+ * @class PasswordHasher
+ * @example
+ * const stored = await PasswordHasher.hash('secret');
+ * const ok = await PasswordHasher.verify('secret', stored); // true
+ */
+class PasswordHasher {
+  /**
+   * 计算密码哈希
+   *
+   * @static
+   * @async
+   * @param {string} password - 明文密码
+   * @returns {Promise<string>} 哈希结果
+   */
+  static async hash(password) {
+    const salt = crypto.randomBytes(config.password.saltBytes);
+    const derived = await scrypt(String(password), salt, config.password.keyLength);
+    return `scrypt$${salt.toString('base64')}$${derived.toString('base64')}`;
+  }
+
+  /**
+   * 校验密码
+   *
+   * @static
+   * @async
+   * @param {string} password - 待校验的明文密码
+   * @param {string} stored - 保存的哈希结果
+   * @returns {Promise<boolean>} 密码是否正确
+   */
+  static async verify(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+  }
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,38 @@
+/**
+ * @file 权限校验工具类
+ * @description 统一的权限校验入口，各服务通过它判断操作者能否执行某项操作
+ * @module utils/PermissionGuard
+ */
+
+const { PermissionLabels } = require('../models/Permission');
+const { PermissionDeniedException } = require('../exceptions/BusinessException');
+
+/**
+ * 权限校验类
+ * 
+ * @class PermissionGuard
+ * @example
+ * PermissionGuard.authorize(room, operatorId, Permission.KICK);
+ */
+class PermissionGuard {
+  /**
+   * 校验操作者是否拥有指定权限
+   * 
+   * @static
+   * @param {Room} room - 房间实例
+   * @param {string} operatorId - 操作者ID
+   * @param {string} permission - 所需权限
+   * @param {string} [action] - 操作名称，用于异常提示，默认为权限名称
+   * @returns {Participant} 操作者
+   * @throws {PermissionDeniedException} 当操作者不在房间内或缺少该权限时抛出
+   */
+  static authorize(room, operatorId, permission, action = PermissionLabels[permission]) {
+    const operator = room.getParticipant(operatorId);
+    if (!room.can(operator, permission)) {
+      throw new PermissionDeniedException(action);
+    }
+    return operator;
+  }
+}
+
+module.exports = PermissionGuard;
@@ -140,6 +140,23 @@ class ResponseHelper {
     return this.error(res, 409, message, 'CONFLICT');
   }
 
+  /**
+   * 发送429错误响应 - 请求过于频繁
+   * 同时设置 Retry-After 响应头（秒）
+   * 
+   * @static
+   * @param {Object} res - Express响应对象
+   * @param {string} [message='请求过于频繁'] - 错误消息
+   * @param {number} retryAfter - 需要等待的时间(毫秒)
+   * @param {string} [errorCode='TOO_MANY_REQUESTS'] - 业务错误码
+   * @param {*} [details=null] - 错误详情
+   * @returns {Object} Express响应
+   */
+  static tooManyRequests(res, message = '请求过于频繁', retryAfter, errorCode = 'TOO_MANY_REQUESTS', details = null) {
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    return this.error(res, 429, message, errorCode, details);
+  }
+
   /**
    * 发送500错误响应 - 服务器内部错误
    * 
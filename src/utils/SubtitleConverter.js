@@ -0,0 +1,213 @@
+/**
+ * @file 字幕转换工具类
+ * @description 解析 SRT、ASS/SSA、WebVTT 字幕文件，并统一转换为 WebVTT 格式
+ * @module utils/SubtitleConverter
+ */
+
+const { ValidationException } = require('../exceptions/BusinessException');
+
+/**
+ * 字幕格式枚举
+ * @readonly
+ * @enum {string}
+ */
+const SubtitleFormat = {
+  SRT: 'srt',
+  ASS: 'ass',
+  VTT: 'vtt'
+};
+
+/**
+ * 时间轴匹配规则，兼容 SRT(00:00:01,000) 与 WebVTT(00:01.000 / 00:00:01.000)
+ * @private
+ */
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+/**
+ * 字幕转换类
+ * 
+ * @class SubtitleConverter
+ * @example
+ * const { vtt } = SubtitleConverter.convert(fileContent, 'movie.srt');
+ */
+class SubtitleConverter {
+  /**
+   * 根据文件名与内容识别字幕格式
+   * 
+   * @static
+   * @param {string} content - 字幕文本
+   * @param {string} [fileName=''] - 原始文件名
+   * @returns {string|null} 字幕格式，无法识别时返回null
+   */
+  static detectFormat(content, fileName = '') {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.vtt') || /^WEBVTT/.test(content)) return SubtitleFormat.VTT;
+    if (lowerName.endsWith('.ass') || lowerName.endsWith('.ssa') || /^\[Script Info\]/im.test(content)) {
+      return SubtitleFormat.ASS;
+    }
+    // SRT 的时间轴通常位于序号行之后，逐行检查开头几行
+    if (lowerName.endsWith('.srt') || content.split('\n').slice(0, 3).some(line => TIMING_PATTERN.test(line))) {
+      return SubtitleFormat.SRT;
+    }
+    return null;
+  }
+
+  /**
+   * 将时间字符串解析为毫秒
+   * 
+   * @static
+   * @param {string} value - 时间字符串（[hh:]mm:ss[.,]fff 或 ASS 的 h:mm:ss.cc）
+   * @returns {number} 毫秒数
+   */
+  static parseTime(value) {
+    const [clock, fraction = '0'] = value.trim().split(/[.,]/);
+    const parts = clock.split(':').map(Number);
+    while (parts.length < 3) parts.unshift(0);
+    const [hours, minutes, seconds] = parts;
+    const millis = Number(fraction.padEnd(3, '0').slice(0, 3));
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+  }
+
+  /**
+   * 将毫秒格式化为 WebVTT 时间字符串
+   * 
+   * @static
+   * @param {number} ms - 毫秒数
+   * @returns {string} 形如 00:01:02.345 的时间字符串
+   */
+  static formatTime(ms) {
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * 解析 SRT 或 WebVTT 的时间轴块
+   * 
+   * @static
+   * @param {string} content - 字幕文本（已统一为 \n 换行）
+   * @returns {Array<{start: number, end: number, text: string}>} 字幕条目
+   */
+  static parseCueBlocks(content) {
+    const cues = [];
+
+    content.split(/\n\s*\n/).forEach(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+      if (timingIndex === -1) return;
+
+      const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+      const text = lines.slice(timingIndex + 1).join('\n').trim();
+      if (!text) return;
+
+      cues.push({ start: this.parseTime(start), end: this.parseTime(end), text });
+    });
+
+    return cues;
+  }
+
+  /**
+   * 解析 ASS/SSA 字幕的 Dialogue 行
+   * 去除样式覆盖标签，将 \N 转换为换行
+   * 
+   * @static
+   * @param {string} content - 字幕文本（已统一为 \n 换行）
+   * @returns {Array<{start: number, end: number, text: string}>} 字幕条目
+   */
+  static parseAss(content) {
+    const cues = [];
+    let fields = null;
+    let inEvents = false;
+
+    content.split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+
+      if (/^\[.*\]$/.test(line)) {
+        inEvents = line.toLowerCase() === '[events]';
+        return;
+      }
+      if (!inEvents) return;
+
+      if (line.startsWith('Format:')) {
+        fields = line.slice('Format:'.length).split(',').map(f => f.trim().toLowerCase());
+        return;
+      }
+
+      if (line.startsWith('Dialogue:') && fields) {
+        const values = line.slice('Dialogue:'.length).split(',');
+        // Text 字段可能包含逗号，合并剩余部分
+        const head = values.slice(0, fields.length - 1).map(v => v.trim());
+        const record = {};
+        fields.slice(0, -1).forEach((field, i) => { record[field] = head[i]; });
+        record.text = values.slice(fields.length - 1).join(',');
+
+        const text = (record.text || '')
+          .replace(/\{[^}]*\}/g, '')
+          .replace(/\\[Nn]/g, '\n')
+          .replace(/\\h/g, ' ')
+          .trim();
+        if (!text || !record.start || !record.end) return;
+
+        cues.push({ start: this.parseTime(record.start), end: this.parseTime(record.end), text });
+      }
+    });
+
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 将字幕条目序列化为 WebVTT 文本
+   * 
+   * @static
+   * @param {Array<{start: number, end: number, text: string}>} cues - 字幕条目
+   * @returns {string} WebVTT 文本
+   */
+  static toVtt(cues) {
+    const body = cues
+      .map(cue => `${this.formatTime(cue.start)} --> ${this.formatTime(cue.end)}\n${cue.text}`)
+      .join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  /**
+   * 校验并转换字幕为 WebVTT
+   * 
+   * @static
+   * @param {string} content - 字幕文本
+   * @param {string} [fileName=''] - 原始文件名，用于辅助识别格式
+   * @returns {{format: string, vtt: string, cueCount: number}} 转换结果
+   * @throws {ValidationException} 当格式无法识别或不包含任何字幕条目时抛出
+   */
+  static convert(content, fileName = '') {
+    const normalized = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const format = this.detectFormat(normalized, fileName);
+
+    if (!format) {
+      throw new ValidationException('无法识别的字幕格式，仅支持 SRT、ASS/SSA、WebVTT');
+    }
+
+    if (format === SubtitleFormat.VTT && !/^WEBVTT/.test(normalized)) {
+      throw new ValidationException('WebVTT 文件必须以 WEBVTT 开头');
+    }
+
+    const cues = format === SubtitleFormat.ASS
+      ? this.parseAss(normalized)
+      : this.parseCueBlocks(normalized);
+
+    if (cues.length === 0) {
+      throw new ValidationException('字幕文件中没有有效的字幕条目');
+    }
+
+    if (cues.some(cue => cue.end < cue.start)) {
+      throw new ValidationException('字幕时间轴不合法：结束时间早于开始时间');
+    }
+
+    // WebVTT 保留原文以保留样式与注释
+    const vtt = format === SubtitleFormat.VTT ? normalized : this.toVtt(cues);
+    return { format, vtt, cueCount: cues.length };
+  }
+}
+
+module.exports = { SubtitleConverter, SubtitleFormat };
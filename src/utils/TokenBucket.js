@@ -0,0 +1,75 @@
+/**
+ * @file 令牌桶
+ * @description 令牌桶限流算法实现：桶容量决定允许的突发量，令牌按固定速率补充
+ * @module utils/TokenBucket
+ */
+
+/**
+ * 令牌桶类
+ * 
+ * @class TokenBucket
+ * @example
+ * const bucket = new TokenBucket({ capacity: 5, refillPerSecond: 1 });
+ * const { allowed, retryAfter } = bucket.tryConsume();
+ */
+class TokenBucket {
+  /**
+   * 创建令牌桶实例，初始为满桶
+   * 
+   * @constructor
+   * @param {Object} options - 初始化选项
+   * @param {number} options.capacity - 桶容量（允许的突发量）
+   * @param {number} options.refillPerSecond - 每秒补充的令牌数
+   */
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * 按流逝的时间补充令牌
+   * 
+   * @private
+   * @param {number} now - 当前时间戳(毫秒)
+   */
+  refill(now) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 计算攒够指定数量令牌还需等待的时间
+   * 
+   * @param {number} [count=1] - 需要的令牌数
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {number} 需要等待的时间(毫秒)，令牌充足时为0
+   */
+  getWaitTime(count = 1, now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= count) {
+      return 0;
+    }
+    return Math.ceil((count - this.tokens) / this.refillPerSecond * 1000);
+  }
+
+  /**
+   * 尝试取出令牌
+   * 
+   * @param {number} [count=1] - 需要的令牌数
+   * @param {number} [now=Date.now()] - 当前时间戳(毫秒)
+   * @returns {{allowed: boolean, retryAfter: number}} 是否放行，以及被拒绝时需要等待的时间(毫秒)
+   */
+  tryConsume(count = 1, now = Date.now()) {
+    const retryAfter = this.getWaitTime(count, now);
+    if (retryAfter > 0) {
+      return { allowed: false, retryAfter };
+    }
+    this.tokens -= count;
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,161 @@
+/**
+ * @file 片源校验工具类
+ * @description 校验外部视频链接的格式，并通过 HEAD/Range 请求探测其可达性
+ * @module utils/VideoSourceValidator
+ */
+
+const path = require('path');
+const config = require('../config');
+const {
+  ValidationException,
+  SourceUnreachableException
+} = require('../exceptions/BusinessException');
+
+/**
+ * 片源校验类
+ * 
+ * @class VideoSourceValidator
+ * @example
+ * const source = await VideoSourceValidator.validate('https://cdn.example.com/movie.mp4');
+ */
+class VideoSourceValidator {
+  /**
+   * 校验链接格式
+   * 检查长度、协议，并判断扩展名是否为已知视频格式
+   * 
+   * @static
+   * @param {string} source - 视频链接
+   * @returns {{url: URL, knownExtension: boolean}} 解析后的链接及扩展名是否已知
+   * @throws {ValidationException} 当链接格式不合法时抛出
+   */
+  static validateFormat(source) {
+    if (!source || typeof source !== 'string' || !source.trim()) {
+      throw new ValidationException('参数验证失败', [
+        { field: 'source', message: '视频链接不能为空' }
+      ]);
+    }
+
+    if (source.length > config.video.sourceMaxLength) {
+      throw new ValidationException('参数验证失败', [
+        { field: 'source', message: `视频链接长度不能超过${config.video.sourceMaxLength}个字符` }
+      ]);
+    }
+
+    let url;
+    try {
+      url = new URL(source.trim());
+    } catch (error) {
+      throw new ValidationException('参数验证失败', [
+        { field: 'source', message: '视频链接格式不正确' }
+      ]);
+    }
+
+    if (!config.video.allowedProtocols.includes(url.protocol)) {
+      throw new ValidationException('参数验证失败', [
+        { field: 'source', message: `不支持的协议: ${url.protocol}` }
+      ]);
+    }
+
+    const extension = path.extname(url.pathname).toLowerCase();
+    return {
+      url,
+      knownExtension: config.video.allowedExtensions.includes(extension)
+    };
+  }
+
+  /**
+   * 判断MIME类型是否为允许的视频类型
+   * 
+   * @static
+   * @param {string|null} contentType - 响应头中的 Content-Type
+   * @returns {boolean} 是否允许
+   */
+  static isAllowedMimeType(contentType) {
+    if (!contentType) {
+      return false;
+    }
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    return config.video.allowedMimeTypes.some(allowed =>
+      allowed.endsWith('/') ? mime.startsWith(allowed) : mime === allowed
+    );
+  }
+
+  /**
+   * 探测链接可达性
+   * 先发送 HEAD 请求，服务器不支持 HEAD 时退回到只取首字节的 Range 请求
+   * 
+   * @static
+   * @async
+   * @param {string|URL} url - 视频链接
+   * @param {Object} [options={}] - 探测选项
+   * @param {number} [options.timeout] - 超时时间(毫秒)，默认取 config.video.probeTimeout
+   * @returns {Promise<{status: number, contentType: string|null}>} 探测结果
+   * @throws {SourceUnreachableException} 当链接不可达或超时时抛出
+   */
+  static async probe(url, options = {}) {
+    const timeout = options.timeout || config.video.probeTimeout;
+    const href = url.toString();
+
+    const request = async (init) => {
+      try {
+        return await fetch(href, {
+          redirect: 'follow',
+          signal: AbortSignal.timeout(timeout),
+          ...init
+        });
+      } catch (error) {
+        const reason = error.name === 'TimeoutError'
+          ? `请求超时(${timeout}ms)`
+          : '无法连接到目标服务器';
+        throw new SourceUnreachableException(href, reason);
+      }
+    };
+
+    let response = await request({ method: 'HEAD' });
+
+    if (response.status === 405 || response.status === 501) {
+      response = await request({ method: 'GET', headers: { Range: 'bytes=0-0' } });
+      // 只需要响应头，丢弃响应体
+      if (response.body) {
+        await response.body.cancel().catch(() => {});
+      }
+    }
+
+    if (!response.ok) {
+      throw new SourceUnreachableException(href, `服务器返回状态码 ${response.status}`);
+    }
+
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type')
+    };
+  }
+
+  /**
+   * 完整校验片源
+   * 格式校验 + 可达性探测；扩展名未知时要求响应的MIME类型为视频类型
+   * 
+   * @static
+   * @async
+   * @param {string} source - 视频链接
+   * @param {Object} [options={}] - 探测选项，参见 probe()
+   * @returns {Promise<string>} 规范化后的视频链接
+   * @throws {ValidationException} 当链接格式不合法时抛出
+   * @throws {SourceUnreachableException} 当链接不可达或不是视频资源时抛出
+   */
+  static async validate(source, options = {}) {
+    const { url, knownExtension } = this.validateFormat(source);
+    const { contentType } = await this.probe(url, options);
+
+    if (!knownExtension && !this.isAllowedMimeType(contentType)) {
+      throw new SourceUnreachableException(
+        url.toString(),
+        `资源类型不是视频(${contentType || '未知'})`
+      );
+    }
+
+    return url.toString();
+  }
+}
+
+module.exports = VideoSourceValidator;
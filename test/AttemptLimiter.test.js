@@ -0,0 +1,101 @@
+/**
+ * @file 失败次数限制器测试
+ * @description 通过显式传入时间戳验证锁定、翻倍、并发预计与过期清理
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AttemptLimiter = require('../src/utils/AttemptLimiter');
+
+const createLimiter = () => new AttemptLimiter({
+  maxAttempts: 3,
+  baseLockout: 1000,
+  maxLockout: 3000,
+  resetAfter: 10000
+});
+
+describe('AttemptLimiter', () => {
+  it('连续失败达到次数后锁定，锁定结束后恢复', () => {
+    const limiter = createLimiter();
+
+    assert.equal(limiter.recordFailure('k', 0), 0);
+    assert.equal(limiter.recordFailure('k', 0), 0);
+    assert.equal(limiter.getLockout('k', 0), 0);
+    assert.equal(limiter.recordFailure('k', 0), 1000);
+
+    assert.equal(limiter.getLockout('k', 400), 600);
+    assert.equal(limiter.getLockout('k', 1000), 0);
+  });
+
+  it('再次锁定时时长翻倍且不超过上限', () => {
+    const limiter = createLimiter();
+    const lockOnce = (now) => {
+      let lockout = 0;
+      for (let i = 0; i < 3; i++) {
+        lockout = limiter.recordFailure('k', now);
+      }
+      return lockout;
+    };
+
+    assert.equal(lockOnce(0), 1000);
+    assert.equal(lockOnce(1000), 2000);
+    assert.equal(lockOnce(3000), 3000);
+    assert.equal(lockOnce(6000), 3000);
+  });
+
+  it('进行中的尝试按失败预计，占满次数后不再放行', () => {
+    const limiter = createLimiter();
+
+    limiter.begin('k', 0);
+    limiter.begin('k', 0);
+    assert.equal(limiter.getLockout('k', 0), 0);
+    limiter.begin('k', 0);
+    assert.equal(limiter.getLockout('k', 0), 1000);
+
+    limiter.settle('k', true, 0);
+    assert.equal(limiter.getLockout('k', 0), 0);
+  });
+
+  it('成功的尝试不计入失败次数', () => {
+    const limiter = createLimiter();
+
+    limiter.recordFailure('k', 0);
+    limiter.recordFailure('k', 0);
+    limiter.begin('k', 0);
+    assert.equal(limiter.settle('k', true, 0), 0);
+    assert.equal(limiter.entries.get('k').failures, 2);
+  });
+
+  it('forgive 抵消一次失败，但不解除已施加的锁定', () => {
+    const limiter = createLimiter();
+
+    limiter.recordFailure('k', 0);
+    limiter.recordFailure('k', 0);
+    limiter.forgive('k', 0);
+    assert.equal(limiter.recordFailure('k', 0), 0);
+    assert.equal(limiter.recordFailure('k', 0), 1000);
+
+    limiter.forgive('k', 0);
+    assert.equal(limiter.getLockout('k', 0), 1000);
+  });
+
+  it('距上次失败超过 resetAfter 后清空记录', () => {
+    const limiter = createLimiter();
+
+    limiter.recordFailure('k', 0);
+    limiter.recordFailure('k', 0);
+    assert.equal(limiter.recordFailure('k', 10001), 0);
+    assert.equal(limiter.entries.get('k').failures, 1);
+
+    limiter.prune(20002);
+    assert.equal(limiter.entries.has('k'), false);
+  });
+
+  it('尚未得出结果的记录不会被清理', () => {
+    const limiter = createLimiter();
+
+    limiter.begin('k', 0);
+    limiter.prune(20000);
+    assert.equal(limiter.entries.has('k'), true);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @file 内容过滤服务测试
+ * @description 使用临时词库验证敏感词匹配、干扰字符处理与打码结果
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const wordListFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'content-filter-')), 'words.txt');
+fs.writeFileSync(wordListFile, '# 测试词库\n傻逼\nshit\n\n');
+process.env.SENSITIVE_WORDS_FILE = wordListFile;
+
+const ContentFilterService = require('../src/services/ContentFilterService');
+const { ModerationPolicy } = require('../src/models/Room');
+
+describe('ContentFilterService', () => {
+  let filter;
+
+  before(() => {
+    filter = ContentFilterService.getInstance();
+  });
+
+  it('忽略注释行与空行加载词库', () => {
+    assert.equal(filter.matcher.size, 2);
+  });
+
+  it('不区分大小写与全角/半角', () => {
+    assert.deepEqual(filter.findMatches('SHIT'), [{ word: 'shit', start: 0, end: 4 }]);
+    assert.deepEqual(filter.findMatches('ｓｈｉｔ'), [{ word: 'shit', start: 0, end: 4 }]);
+  });
+
+  it('跳过中文字符之间的空白与标点', () => {
+    assert.equal(filter.moderate('你个傻 逼', ModerationPolicy.MASK).text, '你个***');
+    assert.equal(filter.moderate('傻*逼', ModerationPolicy.MASK).text, '***');
+    assert.equal(filter.moderate('傻　逼', ModerationPolicy.MASK).text, '***');
+  });
+
+  it('跳过英文单词内的标点', () => {
+    assert.equal(filter.moderate('oh s.h.i.t', ModerationPolicy.MASK).text, 'oh *******');
+  });
+
+  it('不跨越英文单词之间的空白匹配', () => {
+    ['this hit was great', 'I was hit', 'Push it', 'this, hit'].forEach(text => {
+      assert.deepEqual(filter.moderate(text, ModerationPolicy.MASK),
+        { text, words: [], action: null }, text);
+    });
+  });
+
+  it('按审核策略返回处理结果', () => {
+    assert.deepEqual(filter.moderate('shit happens', ModerationPolicy.REJECT),
+      { text: 'shit happens', words: ['shit'], action: ModerationPolicy.REJECT });
+    assert.deepEqual(filter.moderate('shit happens', ModerationPolicy.MASK),
+      { text: '**** happens', words: ['shit'], action: ModerationPolicy.MASK });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @file 房间凭证校验测试
+ * @description 验证 RoomService 按「房间+IP」与「房间」两个维度限制密码与邀请码的失败次数
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const RoomService = require('../src/services/RoomService');
+const { Invite } = require('../src/models/Invite');
+const config = require('../src/config');
+
+const { ipMaxAttempts, roomMaxAttempts } = config.password.attempts;
+
+describe('RoomService 凭证校验', () => {
+  let roomService;
+
+  before(() => {
+    roomService = RoomService.getInstance();
+  });
+
+  const createRoom = async () => {
+    const { room } = await roomService.createRoom({ name: '测试房间', creatorNickname: '房主', password: 'secret' });
+    return room.id;
+  };
+
+  const verify = (roomId, password, ip) => roomService.verifyRoomPassword(roomId, password, ip);
+
+  const failTimes = async (roomId, ip, times) => {
+    for (let i = 0; i < times; i++) {
+      await assert.rejects(verify(roomId, 'wrong', ip), { errorCode: 'INVALID_PASSWORD' });
+    }
+  };
+
+  it('同一IP连续输错后锁定，锁定期间正确密码也被拒绝', async () => {
+    const roomId = await createRoom();
+
+    await failTimes(roomId, '10.0.0.1', ipMaxAttempts);
+    await assert.rejects(verify(roomId, 'secret', '10.0.0.1'), (error) => {
+      assert.equal(error.errorCode, 'TOO_MANY_ATTEMPTS');
+      assert.ok(error.retryAfter > 0);
+      return true;
+    });
+
+    // 其他IP不受影响
+    assert.equal(await verify(roomId, 'secret', '10.0.0.2'), true);
+  });
+
+  it('验证成功后清空该IP的失败计数', async () => {
+    const roomId = await createRoom();
+
+    await failTimes(roomId, '10.0.0.1', ipMaxAttempts - 1);
+    assert.equal(await verify(roomId, 'secret', '10.0.0.1'), true);
+    await failTimes(roomId, '10.0.0.1', ipMaxAttempts - 1);
+    assert.equal(await verify(roomId, 'secret', '10.0.0.1'), true);
+  });
+
+  it('并发的猜测同样计入限额', async () => {
+    const roomId = await createRoom();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: ipMaxAttempts + 3 }, () => verify(roomId, 'wrong', '10.0.0.1'))
+    );
+    const codes = results.map(result => result.reason.errorCode);
+
+    assert.equal(codes.filter(code => code === 'INVALID_PASSWORD').length, ipMaxAttempts);
+    assert.equal(codes.filter(code => code === 'TOO_MANY_ATTEMPTS').length, 3);
+  });
+
+  it('多个IP分散猜测累计到房间上限后锁定整个房间，有效邀请码不受影响', async () => {
+    const roomId = await createRoom();
+    const room = roomService.findById(roomId);
+
+    for (let i = 0; i * ipMaxAttempts < roomMaxAttempts; i++) {
+      await failTimes(roomId, `10.0.1.${i}`, Math.min(ipMaxAttempts, roomMaxAttempts - i * ipMaxAttempts));
+    }
+    await assert.rejects(verify(roomId, 'secret', '10.0.2.1'), { errorCode: 'TOO_MANY_ATTEMPTS' });
+
+    const invite = room.addInvite(new Invite({
+      operatorId: room.creatorId,
+      expiresAt: new Date(Date.now() + 60000)
+    }));
+    const admission = await roomService.joinRoom(roomId, { nickname: '受邀用户', inviteCode: invite.code }, '10.0.2.1');
+    assert.equal(admission.participant.nickname, '受邀用户');
+  });
+
+  it('无效的邀请码计入失败次数', async () => {
+    const roomId = await createRoom();
+
+    for (let i = 0; i < ipMaxAttempts; i++) {
+      await assert.rejects(
+        roomService.joinRoom(roomId, { nickname: '访客', inviteCode: 'bogus' }, '10.0.0.1'),
+        { errorCode: 'INVALID_INVITE' }
+      );
+    }
+    await assert.rejects(
+      roomService.joinRoom(roomId, { nickname: '访客', password: 'secret' }, '10.0.0.1'),
+      { errorCode: 'TOO_MANY_ATTEMPTS' }
+    );
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * @file 字幕转换工具测试
+ * @description 验证 SRT、ASS/SSA、WebVTT 的识别、解析与转换结果
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SubtitleConverter, SubtitleFormat } = require('../src/utils/SubtitleConverter');
+
+describe('SubtitleConverter', () => {
+  it('解析时间并格式化为 WebVTT 时间', () => {
+    assert.equal(SubtitleConverter.parseTime('00:01:02,345'), 62345);
+    assert.equal(SubtitleConverter.parseTime('01:02.5'), 62500);
+    assert.equal(SubtitleConverter.parseTime('1:00:00.25'), 3600250);
+    assert.equal(SubtitleConverter.formatTime(3723004), '01:02:03.004');
+  });
+
+  it('按文件名或内容识别格式', () => {
+    assert.equal(SubtitleConverter.detectFormat('', 'Movie.SRT'), SubtitleFormat.SRT);
+    assert.equal(SubtitleConverter.detectFormat('', 'movie.ssa'), SubtitleFormat.ASS);
+    assert.equal(SubtitleConverter.detectFormat('WEBVTT\n'), SubtitleFormat.VTT);
+    assert.equal(SubtitleConverter.detectFormat('[Script Info]\nTitle: x'), SubtitleFormat.ASS);
+    assert.equal(SubtitleConverter.detectFormat('1\n00:00:01,000 --> 00:00:02,000\n你好'), SubtitleFormat.SRT);
+    assert.equal(SubtitleConverter.detectFormat('just some text', 'notes.txt'), null);
+  });
+
+  it('将 SRT 转换为 WebVTT，兼容 BOM 与 CRLF 换行', () => {
+    const srt = '﻿1\r\n00:00:01,000 --> 00:00:02,500\r\n第一行\r\n第二行\r\n\r\n'
+      + '2\r\n00:00:03,000 --> 00:00:04,000\r\nHello\r\n';
+
+    assert.deepEqual(SubtitleConverter.convert(srt, 'movie.srt'), {
+      format: SubtitleFormat.SRT,
+      vtt: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\n第一行\n第二行\n\n00:00:03.000 --> 00:00:04.000\nHello\n',
+      cueCount: 2
+    });
+  });
+
+  it('将 ASS 转换为 WebVTT，去除样式标签并按开始时间排序', () => {
+    const ass = [
+      '[Script Info]',
+      'Title: 测试',
+      '',
+      '[Events]',
+      'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+      'Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,{\\i1}后一句{\\i0}，带逗号',
+      'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,上\\N下\\hsplit',
+      'Comment: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,注释不输出'
+    ].join('\n');
+
+    assert.deepEqual(SubtitleConverter.convert(ass, 'movie.ass'), {
+      format: SubtitleFormat.ASS,
+      vtt: 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n上\n下 split\n\n00:00:05.000 --> 00:00:06.500\n后一句，带逗号\n',
+      cueCount: 2
+    });
+  });
+
+  it('WebVTT 原样保留', () => {
+    const vtt = 'WEBVTT\n\nNOTE 注释\n\n00:01.000 --> 00:02.000 align:start\n<b>你好</b>\n';
+    assert.deepEqual(SubtitleConverter.convert(vtt, 'movie.vtt'), { format: SubtitleFormat.VTT, vtt, cueCount: 1 });
+  });
+
+  it('拒绝无法识别或不合法的字幕', () => {
+    assert.throws(() => SubtitleConverter.convert('hello', 'a.txt'), { errorCode: 'VALIDATION_ERROR' });
+    assert.throws(() => SubtitleConverter.convert('00:01.000 --> 00:02.000\nhi', 'a.vtt'), /WEBVTT/);
+    assert.throws(() => SubtitleConverter.convert('1\n00:00:01,000 --> 00:00:02,000\n', 'a.srt'), /没有有效的字幕条目/);
+    assert.throws(() => SubtitleConverter.convert('1\n00:00:05,000 --> 00:00:02,000\nhi', 'a.srt'), /结束时间早于开始时间/);
+  });
+});